@@ -0,0 +1,276 @@
+// --- Offline Evaluation of Reminder Extraction ---
+// Runs the golden transcripts in eval/golden through the extraction step (prompt,
+// LLM, validation) with one or more prompt versions and reports, side by side:
+//   title precision  extracted reminders that match an expected one
+//   title recall     expected reminders that were extracted
+//   due-date accuracy  matched reminders with the expected due date (where one is expected)
+//   duplicate rate   extracted reminders that repeat a task already extracted
+// Titles match when titleSimilarity() (the matcher used for syncing) reaches
+// --threshold, pairing each expected reminder with at most one extracted one.
+//
+//   npm run eval                                   mock provider, every prompt version
+//   npm run eval -- --prompt v1 --prompt v2        pick the versions to compare
+//   npm run eval -- --replay eval/recordings.json  replay recorded model responses
+//   LLM_PROVIDERS=google npm run eval -- --record eval/recordings.json
+//                                                  call a live model and record it
+//   npm run eval -- --check                        gate recorded scores (see below)
+// The mock provider ignores the prompt, so it checks the pipeline rather than the
+// prompts; compare prompts with recorded or live responses.
+//
+// --check never calls a live model: it replays eval/recordings.json and exits non-zero
+// if any prompt version scores below the minimums in eval/thresholds.json. It refuses to
+// run without recordings, since mock scores say nothing about the prompts.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config();
+// The pipeline's logs are hidden unless --verbose. Set before lib/logger creates the logger.
+if (!process.argv.includes('--verbose')) process.env.LOG_LEVEL = 'silent';
+
+const { createLlmClient, parseProviderChain, llmSettingsFromEnv } = require('../lib/llm');
+const { createReminderExtractor } = require('../lib/reminderExtractor');
+const { PROMPT_VERSIONS } = require('../lib/prompts');
+const { titleSimilarity } = require('../lib/reminderMatcher');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const RECORDINGS_PATH = path.join(__dirname, 'recordings.json');
+const THRESHOLDS_PATH = path.join(__dirname, 'thresholds.json');
+const DEFAULT_THRESHOLD = 0.4;
+
+const { values: args } = parseArgs({
+    options: {
+        prompt: { type: 'string', multiple: true },
+        case: { type: 'string', multiple: true },
+        providers: { type: 'string' },
+        replay: { type: 'string' },
+        record: { type: 'string' },
+        threshold: { type: 'string' },
+        check: { type: 'boolean' },
+        verbose: { type: 'boolean' },
+    },
+});
+const promptVersions = args.prompt || PROMPT_VERSIONS;
+const threshold = args.threshold ? parseFloat(args.threshold) : DEFAULT_THRESHOLD;
+if (Number.isNaN(threshold) || threshold <= 0 || threshold > 1) throw new Error(`--threshold must be a number in (0, 1], got "${args.threshold}".`);
+
+if (args.check && (args.providers || args.record)) throw new Error('--check runs offline, so it can\'t be combined with --providers or --record.');
+if (args.check && !args.replay && !fs.existsSync(RECORDINGS_PATH)) {
+    throw new Error(`--check needs recorded responses in ${path.relative(process.cwd(), RECORDINGS_PATH)}. Record them with "LLM_PROVIDERS=<provider> npm run eval -- --record ${path.relative(process.cwd(), RECORDINGS_PATH)}".`);
+}
+const replayPath = args.replay || (args.check ? path.relative(process.cwd(), RECORDINGS_PATH) : null);
+const chainSpec = replayPath ? `recorded:${replayPath}` : args.providers || process.env.LLM_PROVIDERS || 'mock';
+const llm = createLlmClient({
+    chain: parseProviderChain(chainSpec),
+    settings: llmSettingsFromEnv(),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || undefined,
+    recordTo: args.record,
+});
+
+// Each golden case is { name, group, messages: [{ sender, time, text, replyTo?, attachment?,
+// role?, authoritative? }], expected: [{ title, due_date? }] }, where replyTo is the 1-based
+// index of the quoted message and role/authoritative describe the sender as the bot would.
+function loadCases() {
+    const cases = fs.readdirSync(GOLDEN_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, file), 'utf8')));
+    if (!args.case) return cases;
+    const unknown = args.case.filter(name => !cases.some(goldenCase => goldenCase.name === name));
+    if (unknown.length > 0) throw new Error(`Unknown golden case(s): ${unknown.join(', ')}.`);
+    return cases.filter(goldenCase => args.case.includes(goldenCase.name));
+}
+
+// Golden messages in the shape queued messages have.
+function toMessages(goldenCase) {
+    const id = (index) => `${goldenCase.name}:${index}`;
+    return goldenCase.messages.map((msg, index) => ({
+        id: id(index + 1),
+        groupJid: `eval:${goldenCase.group}`,
+        groupName: goldenCase.group,
+        sender: msg.sender,
+        ...(msg.role && { senderRole: msg.role }),
+        ...(msg.authoritative && { authoritative: true }),
+        timestamp: new Date(msg.time),
+        text: msg.text,
+        ...(msg.replyTo && { replyTo: id(msg.replyTo) }),
+        ...(msg.attachment && { attachment: msg.attachment }),
+    }));
+}
+
+// Pairs extracted and expected reminders, best title match first.
+function matchReminders(extracted, expected) {
+    const pairs = [];
+    extracted.forEach((reminder, extractedIndex) => {
+        expected.forEach((golden, expectedIndex) => {
+            const score = titleSimilarity(reminder.title, golden.title);
+            if (score >= threshold) pairs.push({ extractedIndex, expectedIndex, score });
+        });
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    const matches = [];
+    const usedExtracted = new Set();
+    const usedExpected = new Set();
+    for (const pair of pairs) {
+        if (usedExtracted.has(pair.extractedIndex) || usedExpected.has(pair.expectedIndex)) continue;
+        usedExtracted.add(pair.extractedIndex);
+        usedExpected.add(pair.expectedIndex);
+        matches.push(pair);
+    }
+    return { matches, pairs, usedExtracted };
+}
+
+function scoreCase(extracted, expected) {
+    const { matches, pairs, usedExtracted } = matchReminders(extracted, expected);
+    const dated = matches.filter(match => expected[match.expectedIndex].due_date);
+    const datesCorrect = dated.filter(match => extracted[match.extractedIndex].due_date === expected[match.expectedIndex].due_date);
+
+    // An unmatched reminder is a duplicate if it resembles an earlier extracted one, or
+    // an expected reminder that another extraction already took.
+    let duplicates = 0;
+    extracted.forEach((reminder, index) => {
+        if (usedExtracted.has(index)) return;
+        const repeatsEarlier = extracted.slice(0, index).some(earlier => titleSimilarity(reminder.title, earlier.title) >= threshold);
+        const repeatsMatched = pairs.some(pair => pair.extractedIndex === index);
+        if (repeatsEarlier || repeatsMatched) duplicates++;
+    });
+
+    return {
+        extracted: extracted.length,
+        expected: expected.length,
+        matched: matches.length,
+        dated: dated.length,
+        datesCorrect: datesCorrect.length,
+        duplicates,
+    };
+}
+
+async function evaluate(promptVersion, cases) {
+    const extractor = createReminderExtractor({ llm, promptVersion });
+    const results = [];
+    for (const goldenCase of cases) {
+        const messages = toMessages(goldenCase);
+        try {
+            const extracted = await extractor.extract(messages, messages[messages.length - 1].timestamp);
+            results.push({ name: goldenCase.name, reminders: extracted, ...scoreCase(extracted, goldenCase.expected) });
+        } catch (error) {
+            results.push({ name: goldenCase.name, reminders: [], error: error.message, ...scoreCase([], goldenCase.expected) });
+        }
+    }
+    return results;
+}
+
+const ratio = (part, whole) => (whole === 0 ? null : part / whole);
+const formatRatio = (value) => (value === null ? '-' : value.toFixed(2));
+
+// Micro-averaged over all cases. Ratios are null when there is nothing to divide by.
+function summarize(results) {
+    const total = (field) => results.reduce((sum, result) => sum + result[field], 0);
+    return {
+        titlePrecision: ratio(total('matched'), total('extracted')),
+        titleRecall: ratio(total('matched'), total('expected')),
+        dueDateAccuracy: ratio(total('datesCorrect'), total('dated')),
+        duplicateRate: ratio(total('duplicates'), total('extracted')),
+        extracted: total('extracted'),
+        failedCases: results.filter(result => result.error).length,
+    };
+}
+
+// Each entry is [summary field, label, kind], where kind is 'min' or 'max' for the
+// metrics eval/thresholds.json can bound.
+const METRICS = [
+    ['titlePrecision', 'Title precision', 'min'],
+    ['titleRecall', 'Title recall', 'min'],
+    ['dueDateAccuracy', 'Due-date accuracy', 'min'],
+    ['duplicateRate', 'Duplicate rate', 'max'],
+    ['extracted', 'Reminders extracted'],
+    ['failedCases', 'Failed cases'],
+];
+
+// Thresholds look like { "titlePrecision": { "min": 0.35 }, "duplicateRate": { "max": 0.1 } }.
+// Returns a description of every bound `summary` misses.
+function checkThresholds(summary, thresholds) {
+    const failures = [];
+    for (const [field, label, kind] of METRICS) {
+        const bound = kind && thresholds[field]?.[kind];
+        if (bound === undefined) continue;
+        const value = summary[field];
+        if (value === null) continue;
+        if (kind === 'min' ? value < bound : value > bound) {
+            failures.push(`${label} ${formatRatio(value)} is ${kind === 'min' ? 'below the minimum' : 'above the maximum'} of ${bound}`);
+        }
+    }
+    return failures;
+}
+
+async function main() {
+    const cases = loadCases();
+    console.log(`Evaluating ${cases.length} golden case(s) with ${llm.describe()}, prompt(s) ${promptVersions.join(', ')}, title threshold ${threshold}.`);
+    if (chainSpec.split(',').every(entry => entry.trim().startsWith('mock')) && promptVersions.length > 1) {
+        console.log('Note: the mock provider ignores the prompt, so every version scores the same.');
+    }
+
+    const resultsByVersion = {};
+    for (const version of promptVersions) {
+        resultsByVersion[version] = await evaluate(version, cases);
+    }
+
+    console.log('\nPer case (matched/expected, extracted, correct due dates, duplicates):');
+    const perCase = {};
+    for (const goldenCase of cases) {
+        perCase[goldenCase.name] = {};
+        for (const version of promptVersions) {
+            const result = resultsByVersion[version].find(candidate => candidate.name === goldenCase.name);
+            perCase[goldenCase.name][version] = result.error
+                ? 'failed (see below)'
+                : `${result.matched}/${result.expected}, ${result.extracted} out, ${result.datesCorrect}/${result.dated} dates, ${result.duplicates} dup`;
+        }
+    }
+    console.table(perCase);
+
+    if (args.verbose) {
+        for (const version of promptVersions) {
+            for (const result of resultsByVersion[version]) {
+                console.log(`\n[${version}] ${result.name}:`);
+                for (const reminder of result.reminders) console.log(`  - ${reminder.title} (${reminder.due_date || 'no date'})`);
+            }
+        }
+    }
+    for (const version of promptVersions) {
+        for (const result of resultsByVersion[version].filter(candidate => candidate.error)) {
+            console.error(`[${version}] ${result.name} failed: ${result.error}`);
+        }
+    }
+
+    console.log('\nSummary:');
+    const summaries = Object.fromEntries(promptVersions.map(version => [version, summarize(resultsByVersion[version])]));
+    const table = {};
+    for (const [field, label, kind] of METRICS) {
+        table[label] = Object.fromEntries(promptVersions.map(version => {
+            const value = summaries[version][field];
+            return [version, kind ? formatRatio(value) : value];
+        }));
+    }
+    console.table(table);
+
+    if (args.record) console.log(`Recorded responses saved to ${args.record}.`);
+    if (Object.values(resultsByVersion).flat().some(result => result.error)) process.exitCode = 1;
+
+    if (args.check) {
+        const thresholds = JSON.parse(fs.readFileSync(THRESHOLDS_PATH, 'utf8'));
+        let failed = false;
+        for (const version of promptVersions) {
+            for (const failure of checkThresholds(summaries[version], thresholds)) {
+                console.error(`[${version}] ${failure}.`);
+                failed = true;
+            }
+        }
+        if (failed) process.exitCode = 1;
+        else console.log(`Every prompt version meets the minimums in ${path.relative(process.cwd(), THRESHOLDS_PATH)}.`);
+    }
+}
+
+main().catch(error => {
+    console.error('[Eval Error]:', error.message);
+    process.exitCode = 1;
+});
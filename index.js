@@ -1,481 +1,1035 @@
 // --- Standard & Baileys Imports ---
-const { makeWASocket, useMultiFileAuthState, fetchLatestBaileysVersion, DisconnectReason, isJidGroup } = require('@whiskeysockets/baileys');
-const { Boom } = require('@hapi/boom');
+const { makeWASocket, useMultiFileAuthState, fetchLatestBaileysVersion, DisconnectReason, WAMessageStubType, isJidGroup } = require('@whiskeysockets/baileys');
 const fs = require('fs');
 const path = require('path');
-const P = require('pino');
 const http = require('http'); // <<<--- ADDED: Node.js HTTP module
+const { parseArgs } = require('util');
 
 // --- Vercel AI SDK Imports ---
 require('dotenv').config(); // Still needed for standard Node.js
-const { z } = require('zod');
-const { generateObject } = require('ai');
-const { createGoogleGenerativeAI } = require('@ai-sdk/google');
 
-// --- Google Sheets Imports ---
-const { google } = require('googleapis');
+// --- Local Modules ---
+const { createMessageQueue } = require('./lib/messageQueue');
+const { loadGroupConfig } = require('./lib/groupConfig');
+const { createReminderStore, STORE_TYPES } = require('./lib/storage');
+const { getSheetsClient } = require('./lib/storage/sheetsStore');
+const { syncReminders, withdrawSourceMessages } = require('./lib/reminderSync');
+const { createCommandHandler } = require('./lib/chatCommands');
+const { createNotifier } = require('./lib/notifier');
+const { createMediaExtractor, getAttachmentInfo } = require('./lib/mediaExtractor');
+const { parseChatExport, groupNameFromExportFile } = require('./lib/chatExport');
+const { selectSyncedMessages } = require('./lib/historySync');
+const { todayIn, isIsoDate, DEFAULT_TIME_ZONE } = require('./lib/dates');
+const { createLlmClient, parseProviderChain, llmSettingsFromEnv } = require('./lib/llm');
+const { chunkEntries, mergeChunkReminders } = require('./lib/transcriptChunker');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { createReminderExtractor } = require('./lib/reminderExtractor');
+const { createAdminRoutes } = require('./lib/admin');
+const { createPausedGroups } = require('./lib/pausedGroups');
+const { createSourceIndex } = require('./lib/sourceIndex');
+const { createActivityLog } = require('./lib/activityLog');
+const { createScheduler } = require('./lib/scheduler');
+const { createConnectionManager } = require('./lib/connectionManager');
+const { createGroupDirectory, loadParticipantConfig } = require('./lib/groupDirectory');
+const { createLogger, createBaileysLogger } = require('./lib/logger');
+const { counter, gauge, histogram, renderMetrics } = require('./lib/metrics');
+const { createRunReports } = require('./lib/runReports');
+
+// --- Logging and Metrics ---
+// Structured logs through pino (LOG_LEVEL, LOG_FORMAT; see lib/logger.js) and
+// Prometheus metrics at GET /metrics (see lib/metrics.js).
+const log = createLogger('bot');
+const processingLog = createLogger('processing');
+const messageLog = createLogger('messages');
+const messagesIngested = counter('reminder_bot_messages_ingested_total', 'Group messages queued for processing, by source (live, history or edit).', ['source']);
+const processingRuns = counter('reminder_bot_processing_runs_total', 'Processing runs, by outcome (ok, partial, failed or empty).', ['outcome']);
+const processingRunDuration = histogram('reminder_bot_processing_run_duration_seconds', 'How long processing runs took.');
+
+// --- Command Line Modes ---
+//   node index.js                      run the bot (default)
+//   node index.js --list-groups        print the account's groups and exit
+//   node index.js --import <file.txt>  replay a WhatsApp chat export (see importChatExport)
+const { values: cliArgs } = parseArgs({
+    options: {
+        'list-groups': { type: 'boolean' },
+        import: { type: 'string' },
+        group: { type: 'string' },
+        'group-jid': { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'date-format': { type: 'string' },
+        'utc-offset': { type: 'string' },
+        'dry-run': { type: 'boolean' },
+    },
+});
+const BOT_MODE = !cliArgs['list-groups'] && !cliArgs.import;
+const DRY_RUN = Boolean(cliArgs['dry-run']);
 
 // --- Basic Input Validation ---
-if (!process.env.GOOGLE_GENERATIVE_AI_API_KEY) throw new Error("Missing GOOGLE_GENERATIVE_AI_API_KEY");
-if (!process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL) throw new Error("Missing GOOGLE_SERVICE_ACCOUNT_EMAIL env variable.");
-if (!process.env.GOOGLE_PRIVATE_KEY) throw new Error("Missing GOOGLE_PRIVATE_KEY env variable.");
-if (!process.env.GOOGLE_SHEET_ID) throw new Error("Missing GOOGLE_SHEET_ID env variable.");
-if (!process.env.GOOGLE_SHEET_NAME) throw new Error("Missing GOOGLE_SHEET_NAME env variable.");
+if (process.env.REMINDER_STORE && !STORE_TYPES.includes(process.env.REMINDER_STORE)) throw new Error(`Invalid REMINDER_STORE "${process.env.REMINDER_STORE}". Expected one of: ${STORE_TYPES.join(', ')}.`);
+// Google credentials are only needed when reminders are synced to Google Sheets
+if (!DRY_RUN && (!process.env.REMINDER_STORE || process.env.REMINDER_STORE === 'sheets')) {
+    if (!process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL) throw new Error("Missing GOOGLE_SERVICE_ACCOUNT_EMAIL env variable.");
+    if (!process.env.GOOGLE_PRIVATE_KEY) throw new Error("Missing GOOGLE_PRIVATE_KEY env variable.");
+    if (!process.env.GOOGLE_SHEET_ID) throw new Error("Missing GOOGLE_SHEET_ID env variable.");
+    if (!process.env.GOOGLE_SHEET_NAME) throw new Error("Missing GOOGLE_SHEET_NAME env variable.");
+}
+for (const option of ['from', 'to']) {
+    if (cliArgs[option] && !isIsoDate(cliArgs[option])) throw new Error(`--${option} must be a YYYY-MM-DD date, got "${cliArgs[option]}".`);
+}
+if (cliArgs['date-format'] && !['auto', 'dmy', 'mdy'].includes(cliArgs['date-format'])) throw new Error('--date-format must be one of: auto, dmy, mdy.');
+if (cliArgs['utc-offset'] && !/^[+-]\d{2}:\d{2}$/.test(cliArgs['utc-offset'])) throw new Error('--utc-offset must look like +05:30.');
 
 // <<<--- ADDED: Define Port for Web Service ---
 // Render provides the PORT environment variable for Web Services
 const PORT = process.env.PORT || 3000; // Use Render's port, or 3000 locally
 
-// --- Initialize AI Client (Google) ---
-const googleAI = createGoogleGenerativeAI();
-const llmModel = 'gemini-1.5-flash-latest';
-
-// --- Google Sheets Client Initialization ---
-const SHEETS_SCOPE = ['https://www.googleapis.com/auth/spreadsheets'];
-let sheetsClient = null;
-
-// --- Sheet Column Definitions and Defaults ---
-const HEADER_ROW_INDEX = 0;
-const TITLE_COL = 0;        // Column A
-const DUE_DATE_COL = 1;     // Column B
-const DESC_COL = 2;         // Column C
-const ICON_TYPE_COL = 3;    // Column D
-const STATUS_COL = 4;       // Column E
-const NUM_COLUMNS = 5;      // How many columns to read/write (A to E)
-
-const DEFAULT_ICON_TYPE = 'alert'; // Default for new reminders
-const DEFAULT_STATUS = 'To DO';   // Default for new reminders
-
-// Function to authenticate and get sheets API client
-async function getSheetsClient() {
-    console.log("[Google Sheets]: Attempting to get Google Sheets client...");
-    const email = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
-    const key = process.env.GOOGLE_PRIVATE_KEY;
-
-    if (!email || !key) {
-        console.error("[Google Sheets Auth Error]: Credentials missing.");
-        throw new Error("Google Sheets API credentials missing.");
-    } else {
-        console.log("[Google Sheets]: Found GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_PRIVATE_KEY environment variables.");
+// --- Initialize AI Client ---
+// LLM_PROVIDERS is an ordered fallback chain of "provider[:model]" entries, e.g.
+// "google:gemini-1.5-flash-latest,ollama:llama3.1". Without it, Gemini is used when
+// GOOGLE_GENERATIVE_AI_API_KEY is set. Use "mock" to run offline. See lib/llm.
+// The client is created when reminders are first extracted, so --list-groups and an
+// import with nothing to extract don't need a provider configured.
+let llm = null;
+let reminderExtractor = null;
+// Large batches are split into transcripts of at most TRANSCRIPT_MAX_TOKENS (estimated),
+// with up to LLM_CONCURRENCY of them sent to the LLM at once. See lib/transcriptChunker.js.
+const TRANSCRIPT_MAX_TOKENS = parseInt(process.env.TRANSCRIPT_MAX_TOKENS, 10) || undefined;
+const LLM_CONCURRENCY = parseInt(process.env.LLM_CONCURRENCY, 10) || 2;
+
+// PROMPT_VERSION picks the extraction prompt (see lib/prompts.js); the latest by default.
+// Throws if no LLM provider is configured.
+function getReminderExtractor() {
+    if (!reminderExtractor) {
+        llm = createLlmClient({
+            chain: parseProviderChain(process.env.LLM_PROVIDERS || (process.env.GOOGLE_GENERATIVE_AI_API_KEY ? 'google' : '')),
+            settings: llmSettingsFromEnv(),
+            timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || undefined,
+        });
+        reminderExtractor = createReminderExtractor({ llm, promptVersion: process.env.PROMPT_VERSION || undefined });
     }
+    return reminderExtractor;
+}
 
-    try {
-        const auth = new google.auth.GoogleAuth({
-            credentials: {
-            client_email: email,
-            private_key: key.replace(/\\n/g, '\n'),
-            },
-            scopes: SHEETS_SCOPE,
-        });
-        const authClient = await auth.getClient();
-        console.log("[Google Sheets]: Successfully obtained Google auth client.");
-        return google.sheets({ version: 'v4', auth: authClient });
-    } catch (error) {
-        console.error("[Google Sheets Auth Error]: Failed to create Google auth client:", error);
-        throw new Error(`Failed to authenticate with Google Sheets API. Check credentials and scope. Error: ${error.message}`);
+// --- Reminder Storage Backend ---
+// REMINDER_STORE picks where reminders are synced: "sheets" (default), "json", "csv"
+// or "sqlite". The local stores keep their files under DATA_DIR. See lib/storage.
+const REMINDER_STORE = process.env.REMINDER_STORE || 'sheets';
+const DATA_DIR = process.env.DATA_DIR || './data';
+// SHEET_COLUMNS optionally maps reminder fields to sheet header names, e.g.
+// {"dueDate": "Deadline", "sourceGroup": "Class"}. See lib/storage/fields.js.
+let SHEET_COLUMNS = {};
+try {
+    SHEET_COLUMNS = JSON.parse(process.env.SHEET_COLUMNS || '{}');
+} catch (error) {
+    throw new Error(`Invalid SHEET_COLUMNS env variable (expected JSON): ${error.message}`);
+}
+let sheetsClient = null;
+const reminderStores = new Map(); // "spreadsheetId::sheetName" -> store
+
+// Returns the (cached) store for a routing target. Throws if it can't be created,
+// e.g. the Sheets client failed to initialize.
+function getReminderStore(target) {
+    const targetKey = `${target.spreadsheetId}::${target.sheetName}`;
+    if (!reminderStores.has(targetKey)) {
+        reminderStores.set(targetKey, createReminderStore({
+            type: REMINDER_STORE,
+            target,
+            sheetsClient,
+            dataDir: DATA_DIR,
+            columns: SHEET_COLUMNS,
+            historySheetName: process.env.CHANGE_HISTORY_SHEET_NAME || undefined,
+        }));
     }
+    return reminderStores.get(targetKey);
 }
 
 
 // --- Global State for Messages and Timing ---
-let messageStore = [];
+// Incoming messages are journaled to disk (DATA_DIR, default ./data) and only removed
+// once their batch has been synced. See lib/messageQueue.js. Only the bot opens the
+// journal, so an import can run next to it without touching the live queue.
+const messageQueue = BOT_MODE ? createMessageQueue({
+    dir: DATA_DIR,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || undefined,
+    retryBaseMs: parseInt(process.env.QUEUE_RETRY_BASE_MS, 10) || undefined,
+}) : null;
+// Which sheet targets cite each processed message, so deletes and edits only read the
+// reminder store when a reminder came from that message. See lib/sourceIndex.js.
+const sourceIndex = BOT_MODE ? createSourceIndex({ stateDir: DATA_DIR }) : null;
 let lastProcessedTime = new Date();
+const activityLog = createActivityLog({ stateDir: DATA_DIR }); // Last run and recent reminders, for the admin dashboard
+// One report per processing run in DATA_DIR/runs (the newest RUN_REPORTS_KEEP, default
+// 200), listing what each chunk extracted and what the sync did with every reminder.
+const runReports = createRunReports({
+    dir: path.join(DATA_DIR, 'runs'),
+    keep: parseInt(process.env.RUN_REPORTS_KEEP, 10) || undefined,
+});
 
-// --- Reminder JSON Schema ---
-const reminderSchema = z.object({
-    title: z.string().describe("A clear, concise title for the reminder or task (max 10 words).."),
-    description: z.string().describe("A detailed description of the task, event, or information to be reminded of."),
-    due_date: z.string().optional().describe("The due date in YYYY-MM-DD ISO 8601 format. Infer from text and current date. Omit if not found/inferrable.")
+// --- Per-Group Include/Exclude Rules and Sheet Routing ---
+const groupConfig = loadGroupConfig(process.env.GROUP_CONFIG_PATH || './groups.config.json', {
+    spreadsheetId: process.env.GOOGLE_SHEET_ID,
+    sheetName: process.env.GOOGLE_SHEET_NAME || 'Reminders',
 });
-const reminderListSchema = z.array(reminderSchema);
+let retryTimeoutId = null;
+let retryTimeoutAt = null;
+
+// --- Chat Commands (!reminders, !done, ...) ---
+// Only senders listed in ADMIN_JIDS (comma-separated phone numbers or JIDs) may run them.
+const commandHandler = createCommandHandler({
+    getStoreForGroup: (groupJid, groupName) => getReminderStore(groupConfig.resolveGroup(groupJid, groupName)),
+    adminJids: (process.env.ADMIN_JIDS || '').split(',').map(jid => jid.trim()).filter(Boolean),
+});
+if (commandHandler.adminCount === 0) {
+    log.info("No ADMIN_JIDS configured. Chat commands are disabled.");
+}
 
-// --- Function to Sync (Read, Update, Append) Reminders ---
-// Note: This version uses valueInputOption: 'RAW' to store dates as plain text.
-async function syncRemindersToSheet(remindersFromLLM) {
-    if (!sheetsClient) {
-        console.error("[Google Sheets Sync Error]: Client not initialized. Cannot sync.");
-        return;
+// --- Due-Date Notifications ---
+// Daily digest plus due-today / due-tomorrow alerts, posted to each reminder's source
+// group (or NOTIFY_CHAT_JID). Set NOTIFICATIONS_ENABLED=false to turn them off.
+let activeSock = null; // The connected socket, or null while disconnected
+const NOTIFICATIONS_ENABLED = process.env.NOTIFICATIONS_ENABLED !== 'false';
+const notifier = createNotifier({
+    getTargets: () => groupConfig.listTargets(),
+    getStore: getReminderStore,
+    getSocket: () => activeSock,
+    stateDir: DATA_DIR,
+    chatJid: process.env.NOTIFY_CHAT_JID || null,
+    digestTime: process.env.NOTIFY_DIGEST_TIME || undefined,
+    todayAlertTime: process.env.NOTIFY_TODAY_TIME || undefined,
+    tomorrowAlertTime: process.env.NOTIFY_TOMORROW_TIME || undefined,
+});
+
+// --- Attachment Text Extraction ---
+// Images are OCR'd and PDFs/text documents read so their text joins the transcript.
+// Set MEDIA_EXTRACTION_ENABLED=false to only use captions.
+const mediaExtractor = process.env.MEDIA_EXTRACTION_ENABLED === 'false' ? null : createMediaExtractor({
+    logger: createBaileysLogger(),
+    maxBytes: parseInt(process.env.MEDIA_MAX_BYTES, 10) || undefined,
+    ocrLanguages: process.env.OCR_LANGUAGES || undefined,
+});
+// Live messages are queued first, flagged `attachmentPending`, and their attachment
+// text is added once extracted, so OCR never holds up messages.upsert. A processing run
+// waits for the extractions of the messages it takes.
+const attachmentExtractions = new Map(); // message id -> extraction in progress
+
+// Adds `attachment` ({ name, mimeType, text } or null) to a queued message and clears
+// its flag. A message left with no text at all is dropped.
+function finishAttachment(id, attachment) {
+    const [entry] = messageQueue.find(queued => queued.id === id);
+    if (!entry) return; // Deleted while its attachment was read
+    const { attachmentPending, ...message } = entry.message;
+    if (attachment) {
+        messageQueue.update(id, { ...message, attachment });
+    } else if (message.text) {
+        messageQueue.update(id, message);
+    } else {
+        messageQueue.drop([id], 'no text');
     }
-    if (!remindersFromLLM) {
-        console.log("[Google Sheets Sync]: No reminders received from LLM to sync.");
-        return;
+}
+
+function extractAttachment(sock, message, id) {
+    const extraction = mediaExtractor.extract(message, sock)
+        .then(attachment => finishAttachment(id, attachment))
+        .catch(error => messageLog.error({ err: error }, `Failed to add the attachment text to message ${id}`))
+        .finally(() => attachmentExtractions.delete(id));
+    attachmentExtractions.set(id, extraction);
+}
+
+// Media only comes with the live message, so an extraction cut short by a restart
+// can't be redone; those messages keep just their caption.
+if (messageQueue) {
+    for (const entry of messageQueue.find(queued => queued.message.attachmentPending)) {
+        messageLog.warn(`The attachment of message ${entry.id} was not read before the restart; using its caption only.`);
+        finishAttachment(entry.id, null);
     }
+}
+
+// --- Paused Groups ---
+// Groups paused from the admin dashboard are skipped when queueing messages. Groups
+// seen since startup are remembered (JID -> subject) so the dashboard can list them.
+const pausedGroups = createPausedGroups({ stateDir: DATA_DIR });
+const knownGroups = new Map();
 
-    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-    const sheetName = process.env.GOOGLE_SHEET_NAME;
-    const readRange = `${sheetName}!A:${String.fromCharCode(65 + NUM_COLUMNS - 1)}`; // A:E
+function rememberGroup(jid, subject) {
+    knownGroups.set(jid, subject || knownGroups.get(jid) || jid);
+    notifier.rememberGroup(jid, subject);
+}
+
+// --- Group Metadata and Sender Names ---
+// Group subjects and admins are cached in DATA_DIR and kept current by WhatsApp's group
+// events (or refetched after GROUP_METADATA_MAX_AGE_HOURS, default 24). Transcripts
+// name senders from PARTICIPANT_CONFIG_PATH (see participants.config.example.json) or
+// their push names, and mark teachers and group admins as authoritative. See
+// lib/groupDirectory.js.
+const groupDirectory = createGroupDirectory({
+    stateDir: DATA_DIR,
+    participantConfig: loadParticipantConfig(process.env.PARTICIPANT_CONFIG_PATH || './participants.config.json'),
+    maxAgeMs: (parseFloat(process.env.GROUP_METADATA_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000,
+});
+
+// --- History Sync ---
+// WhatsApp replays recent chat history when the account is linked. Group messages
+// from the last HISTORY_SYNC_DAYS days (default 7, 0 to ignore history) are queued
+// like live ones; use --import for anything older. Messages already processed, or sent
+// before the last successful run started, were seen live and are skipped.
+const HISTORY_SYNC_DAYS = process.env.HISTORY_SYNC_DAYS === undefined ? 7 : parseInt(process.env.HISTORY_SYNC_DAYS, 10) || 0;
+
+// --- Processing Schedule ---
+// PROCESS_SCHEDULE holds cron expressions separated by ";" (default "0 * * * *", every
+// hour on the hour), in Asia/Kolkata time. QUIET_HOURS (e.g. "22:00-07:00") holds runs
+// until they end. IDLE_FLUSH_MINUTES processes a group once it has been silent that
+// long after new messages. CONNECT_RUN_DELAY_SECONDS (default 15, "off" to disable) is
+// the catch-up run after connecting. See lib/scheduler.js.
+const CONNECT_RUN_DELAY_SECONDS = process.env.CONNECT_RUN_DELAY_SECONDS || '15';
+if (CONNECT_RUN_DELAY_SECONDS !== 'off' && !/^\d+$/.test(CONNECT_RUN_DELAY_SECONDS)) throw new Error(`CONNECT_RUN_DELAY_SECONDS must be a number of seconds or "off", got "${CONNECT_RUN_DELAY_SECONDS}".`);
+const scheduler = BOT_MODE ? createScheduler({
+    run: processRecentMessages,
+    schedules: (process.env.PROCESS_SCHEDULE || '0 * * * *').split(';').map(expression => expression.trim()).filter(Boolean),
+    quietHours: process.env.QUIET_HOURS || null,
+    idleFlushMinutes: parseInt(process.env.IDLE_FLUSH_MINUTES, 10) || 0,
+    connectDelayMs: CONNECT_RUN_DELAY_SECONDS === 'off' ? null : parseInt(CONNECT_RUN_DELAY_SECONDS, 10) * 1000,
+}) : null;
+
+// --- Processing Function ---
+// Called by the scheduler, which never runs two at once. `trigger` says why the run
+// started ("schedule", "idle", "connect", "retry" or "manual", joined with "+" when
+// requests were merged) and is recorded with the run's result for the admin
+// dashboard and in a run report (see lib/runReports.js). `groupJids` limits the run to
+// those groups' messages.
+async function processRecentMessages(trigger, { groupJids = null } = {}) {
+    const processingStartTime = new Date();
+    processingLog.info({ trigger }, `Running reminder sync (${trigger}).`);
+    lastProcessedTime = processingStartTime;
+    const endTimer = processingRunDuration.startTimer();
+    const run = { trigger, startedAt: processingStartTime.toISOString(), messages: 0, reminders: 0, failedMessages: 0 };
+    const report = { retried: 0, targets: [], errors: [] };
 
-    let existingRows = [];
     try {
-        console.log(`[Google Sheets Sync]: Reading existing data from range "${readRange}"...`);
-        const response = await sheetsClient.spreadsheets.values.get({
-            spreadsheetId,
-            range: readRange,
-        });
-        existingRows = response.data.values || [];
-        console.log(`[Google Sheets Sync]: Read ${existingRows.length} rows.`);
-    } catch (error) {
-        console.error('[Google Sheets Sync Error]: Failed to read sheet data:', error.message);
-        if (error.response?.data?.error) { console.error('[Google API Error Details]:', JSON.stringify(error.response.data.error, null, 2)); }
-        console.error('[Google Sheets Sync]: Aborting sync due to read error.');
-        return;
-    }
+        const inRun = entry => !groupJids || groupJids.includes(entry.message.groupJid);
+        // Wait for attachments still being read, so their text is in the transcript;
+        // messages that arrive meanwhile with one are left for the next run
+        await Promise.all(messageQueue.getDue().filter(inRun).map(entry => attachmentExtractions.get(entry.id)));
+        const batch = messageQueue.getDue().filter(entry => inRun(entry) && !attachmentExtractions.has(entry.id));
+
+        if (batch.length === 0) {
+            processingLog.info(`No messages due for processing (${messageQueue.size()} waiting on retry backoff).`);
+            scheduleRetry(messageQueue.nextRetryAt());
+            return;
+        }
 
-    // --- Map existing data by normalized title ---
-    const existingRemindersMap = new Map();
-    if (existingRows.length > HEADER_ROW_INDEX) {
-        console.log("[Google Sheets Sync]: Mapping existing reminders by title...");
-        for (let i = HEADER_ROW_INDEX + 1; i < existingRows.length; i++) {
-            const row = existingRows[i];
-            if (row && row.length > TITLE_COL && row[TITLE_COL]) {
-                const title = row[TITLE_COL].trim();
-                const normalizedTitle = title.toLowerCase();
-                if (!existingRemindersMap.has(normalizedTitle)) {
-                    existingRemindersMap.set(normalizedTitle, {
-                        title: title,
-                        dueDate: row.length > DUE_DATE_COL ? row[DUE_DATE_COL] : '',
-                        desc: row.length > DESC_COL ? row[DESC_COL] : '',
-                        icon: row.length > ICON_TYPE_COL ? row[ICON_TYPE_COL] : '',
-                        status: row.length > STATUS_COL ? row[STATUS_COL] : '',
-                        rowNum: i + 1
-                    });
-                }
-            } else {
-                console.warn(`[Google Sheets Sync]: Skipping row ${i+1} due to missing title or insufficient columns.`);
+        // Route each message to the sheet its group is configured for, and process each
+        // destination as its own batch so one failing sheet doesn't hold up the others.
+        const batchesByTarget = new Map();
+        for (const entry of batch) {
+            const { spreadsheetId, sheetName } = groupConfig.resolveGroup(entry.message.groupJid, entry.message.groupName);
+            const targetKey = `${spreadsheetId}::${sheetName}`;
+            if (!batchesByTarget.has(targetKey)) {
+                batchesByTarget.set(targetKey, { target: { spreadsheetId, sheetName }, entries: [] });
             }
+            batchesByTarget.get(targetKey).entries.push(entry);
         }
-        console.log(`[Google Sheets Sync]: Mapped ${existingRemindersMap.size} unique existing reminders.`);
-    } else {
-        console.log("[Google Sheets Sync]: No existing data rows found or only header exists.");
-    }
 
-    // --- Process reminders from LLM ---
-    const remindersToAppend = [];
-    const updatesToPerform = [];
-
-    console.log(`[Google Sheets Sync]: Processing ${remindersFromLLM.length} reminders from LLM...`);
-    for (const reminder of remindersFromLLM) {
-        if (!reminder.title) {
-            console.warn("[Google Sheets Sync]: Skipping reminder from LLM with no title:", reminder);
-            continue;
+        const retryCount = batch.filter(entry => entry.attempts > 0).length;
+        processingLog.info(`Found ${batch.length} queued messages to process (${retryCount} being retried) across ${batchesByTarget.size} sheet target(s).`);
+        run.messages = batch.length;
+        report.retried = retryCount;
+
+        for (const { target, entries } of batchesByTarget.values()) {
+            const targetReport = { ...target, messages: entries.length, chunks: [] };
+            report.targets.push(targetReport);
+            const result = await processBatch(entries, target, targetReport);
+            run.reminders += result.reminders;
+            run.failedMessages += result.failedMessages;
         }
-        const normalizedTitle = reminder.title.trim().toLowerCase();
-        const existingData = existingRemindersMap.get(normalizedTitle);
-
-        if (existingData) {
-            // --- UPDATE ---
-            console.log(`[Google Sheets Sync]: Found existing reminder for "${reminder.title}" at row ${existingData.rowNum}. Preparing update.`);
-            const rowDataForUpdate = [
-                reminder.title.trim(),
-                reminder.due_date || '', // Send date as string
-                reminder.description || '',
-                existingData.icon || DEFAULT_ICON_TYPE,
-                existingData.status || DEFAULT_STATUS
-            ];
-            while(rowDataForUpdate.length < NUM_COLUMNS) { rowDataForUpdate.push(''); }
-            const updateRange = `${sheetName}!A${existingData.rowNum}:${String.fromCharCode(65 + NUM_COLUMNS - 1)}${existingData.rowNum}`;
-            updatesToPerform.push({ range: updateRange, values: [rowDataForUpdate] });
-
-        } else {
-            // --- APPEND ---
-            console.log(`[Google Sheets Sync]: Adding new reminder "${reminder.title}" to append list.`);
-            const rowDataForAppend = [
-                reminder.title.trim(),
-                reminder.due_date || '', // Send date as string
-                reminder.description || '',
-                DEFAULT_ICON_TYPE,
-                DEFAULT_STATUS
-            ];
-            while(rowDataForAppend.length < NUM_COLUMNS) { rowDataForAppend.push(''); }
-            remindersToAppend.push(rowDataForAppend);
+        scheduleRetry(messageQueue.nextRetryAt());
+    } catch (error) {
+        processingLog.error({ err: error }, "Processing run failed");
+        run.error = error.message;
+    } finally {
+        const finishedAt = new Date().toISOString();
+        activityLog.recordRun({ ...run, finishedAt });
+        endTimer();
+
+        // Errors from every chunk and sync, plus the run's own, so a missing reminder
+        // can be traced from the report alone
+        for (const targetReport of report.targets) {
+            for (const chunk of targetReport.chunks) {
+                if (chunk.error) report.errors.push(`${targetReport.sheetName}, chunk ${chunk.index}: ${chunk.error}`);
+            }
+            if (targetReport.error) report.errors.push(`${targetReport.sheetName}: ${targetReport.error}`);
+        }
+        if (run.error) report.errors.push(run.error);
+        const outcome = run.error ? 'failed' : run.messages === 0 ? 'empty' : run.failedMessages === 0 ? 'ok' : run.failedMessages < run.messages ? 'partial' : 'failed';
+        processingRuns.inc({ outcome });
+        const counts = { appended: 0, flagged: 0, updated: 0, skipped: 0 };
+        for (const targetReport of report.targets) {
+            for (const action of Object.keys(counts)) counts[action] += targetReport[action]?.length || 0;
         }
+        const reportId = runReports.save({ ...run, finishedAt, outcome, groupJids, counts, ...report });
+        processingLog.info({ outcome, ...counts, failedMessages: run.failedMessages }, `Reminder sync run complete (report ${reportId}).`);
     }
+}
+
 
-    // --- Perform Batch Update ---
-    if (updatesToPerform.length > 0) {
-        console.log(`[Google Sheets Sync]: Performing batch update for ${updatesToPerform.length} reminders...`);
+// Extracts reminders from one batch of queued messages and syncs them to `target`.
+// The batch is split into chunks that go to the LLM separately; reminders from the
+// chunks that succeed are synced together and those messages acknowledged, while a
+// failed chunk (or a failed sync) is recorded as failed for retry. Returns
+// { reminders, failedMessages } counts for the run's result, and fills `report` with
+// each chunk's outcome and what the sync did with each reminder.
+async function processBatch(batch, target, report = {}) {
+    const extractor = getReminderExtractor();
+    const chunks = chunkEntries(batch, { maxTokens: TRANSCRIPT_MAX_TOKENS });
+    processingLog.info(`Processing ${batch.length} messages for sheet "${target.sheetName}" (${target.spreadsheetId}) in ${chunks.length} chunk(s).`);
+    report.chunks = chunks.map((chunk, index) => ({ index: index + 1, messageIds: chunk.map(entry => entry.id) }));
+
+    // Messages stay in the queue until the sheet sync below succeeds.
+    const results = await mapWithConcurrency(chunks, LLM_CONCURRENCY, async (chunk, index) => {
+        const chunkReport = report.chunks[index];
         try {
-            const batchUpdateRequest = {
-                spreadsheetId: spreadsheetId,
-                resource: {
-                    valueInputOption: 'RAW', // <<< Ensures date string is stored as text
-                    data: updatesToPerform
-                }
-            };
-            const result = await sheetsClient.spreadsheets.values.batchUpdate(batchUpdateRequest);
-            console.log(`[Google Sheets Sync]: Batch update successful. Responses: ${result.data.totalUpdatedRows || 0} rows updated across ${result.data.responses?.length || 0} ranges.`);
+            const { reminders, provider, rejected, repairs } = await extractor.extractDetailed(chunk.map(entry => ({ ...entry.message, id: entry.id })));
+            Object.assign(chunkReport, { provider, reminders: reminders.map(reminder => reminder.title), rejected, repairs });
+            return { chunk, reminders };
         } catch (error) {
-            console.error('[Google Sheets Sync Error]: Failed during batch update:', error.message);
-            if (error.response?.data?.error) { console.error('[Google API Error Details]:', JSON.stringify(error.response.data.error, null, 2)); }
+            processingLog.error({ err: error }, `Chunk ${index + 1} of ${chunks.length} (${chunk.length} messages) failed`);
+            chunkReport.error = error.message;
+            failBatch(chunk.map(entry => entry.id), error);
+            return null;
         }
-    } else {
-        console.log("[Google Sheets Sync]: No existing reminders found requiring updates.");
+    });
+    const succeeded = results.filter(Boolean);
+    const failedChunkMessages = batch.length - succeeded.reduce((count, result) => count + result.chunk.length, 0);
+    if (succeeded.length === 0) return { reminders: 0, failedMessages: failedChunkMessages };
+
+    const batchIds = succeeded.flatMap(result => result.chunk.map(entry => entry.id));
+    const messagesToProcess = succeeded.flatMap(result => result.chunk.map(entry => entry.message));
+    try {
+        const reminderResults = mergeChunkReminders(succeeded.map(result => result.reminders));
+        processingLog.debug({ reminders: reminderResults }, "Reminders received from LLM");
+
+        const store = getReminderStore(target);
+        const sourceGroups = [...new Set(messagesToProcess.map(msg => msg.groupName || msg.groupJid))];
+        const sourceGroupIds = [...new Set(messagesToProcess.map(msg => msg.groupJid).filter(Boolean))];
+        const synced = await syncReminders(store, reminderResults, { sourceGroups, sourceGroupIds, sourceMessageIds: batchIds, report }); // Call sync function
+        if (!synced) throw new Error(`Sync to ${store.name} did not complete successfully.`);
+        await reconcileEdits(store, succeeded.flatMap(result => result.chunk).filter(entry => entry.message.editOf));
+        sourceIndex.record(reminderResults.flatMap(reminder => reminder.source_message_ids || []), target);
+
+        messageQueue.ack(batchIds);
+        processingLog.info(`Acknowledged ${batchIds.length} messages. ${messageQueue.size()} still queued.`);
+        activityLog.recordReminders(reminderResults, new Map(succeeded.flatMap(result => result.chunk.map(entry => [entry.id, entry.message]))), target);
+        return { reminders: reminderResults.length, failedMessages: failedChunkMessages };
+
+    } catch (error) {
+        processingLog.error({ err: error, cause: error.cause }, "Failed processing reminders");
+        report.error = error.message;
+        failBatch(batchIds, error);
+        return { reminders: 0, failedMessages: batch.length };
     }
+}
 
-    // --- Perform Append ---
-    if (remindersToAppend.length > 0) {
-        console.log(`[Google Sheets Sync]: Appending ${remindersToAppend.length} new reminders...`);
+// After an edited message (queued as a new one, see handleMessageRevision) is synced,
+// reminders from the original that the new text doesn't support any more are withdrawn.
+// Errors are only logged; the reminders from the edit are already synced.
+async function reconcileEdits(store, editEntries) {
+    for (const entry of editEntries) {
+        if (sourceIndex.targetsOf(entry.message.editOf).length === 0) continue; // The original gave no reminders
         try {
-            const appendRequest = {
-                spreadsheetId: spreadsheetId,
-                range: sheetName, // Append to the sheet name - finds first empty row
-                valueInputOption: 'RAW', // <<< Ensures date string is stored as text
-                insertDataOption: 'INSERT_ROWS',
-                resource: { values: remindersToAppend },
-            };
-            const result = await sheetsClient.spreadsheets.values.append(appendRequest);
-            console.log(`[Google Sheets Sync]: Append successful. Appended ${result.data.updates?.updatedRows || 0} rows.`);
+            await withdrawSourceMessages(store, [entry.message.editOf], {
+                reason: 'edited',
+                keep: (record, sourceIds) => sourceIds.includes(entry.id),
+            });
         } catch (error) {
-            console.error('[Google Sheets Sync Error]: Failed during append:', error.message);
-            if (error.response?.data?.error) { console.error('[Google API Error Details]:', JSON.stringify(error.response.data.error, null, 2)); }
+            processingLog.error({ err: error }, `Could not withdraw reminders from the original of edited message ${entry.message.editOf}`);
         }
-    } else {
-        console.log("[Google Sheets Sync]: No new reminders to append.");
     }
-    console.log("[Google Sheets Sync]: Sync process complete.");
-} // --- End of syncRemindersToSheet function ---
-
+}
 
-// --- Hourly Processing Function ---
-async function processRecentMessages() {
-    const processingStartTime = new Date();
-    console.log(`\n[${processingStartTime.toLocaleString()}] --- Running Hourly Reminder Sync ---`);
+// Records a failed attempt for `ids`, reporting any that were dead-lettered.
+function failBatch(ids, error) {
+    const { deadLettered } = messageQueue.fail(ids, error);
+    if (deadLettered > 0) {
+        processingLog.error(`${deadLettered} messages exceeded the retry limit and were moved to ${messageQueue.deadLetterPath}.`);
+    }
+}
 
-    const messagesToProcess = messageStore.filter(msg => msg.timestamp > lastProcessedTime);
 
-    if (messagesToProcess.length === 0) {
-        console.log("[AI Batch]: No new messages received since the last run.");
-        lastProcessedTime = processingStartTime;
-        console.log(`--- Hourly Sync Run Complete ---`);
-        return;
+// Schedules an extra processing run for when the earliest failed batch becomes due,
+// instead of waiting for the next scheduled run.
+function scheduleRetry(retryAt) {
+    if (retryAt === null) return;
+    if (retryTimeoutId) {
+        if (retryTimeoutAt <= retryAt) return; // An earlier retry will pick this batch up too
+        clearTimeout(retryTimeoutId);
     }
+    retryTimeoutAt = retryAt;
+    const delayMs = Math.max(retryAt - Date.now(), 0);
+    processingLog.info(`Retrying failed batch in ${Math.round(delayMs / 1000)} seconds.`);
+    retryTimeoutId = setTimeout(() => {
+        retryTimeoutId = null;
+        retryTimeoutAt = null;
+        scheduler.requestRun('retry');
+    }, delayMs);
+}
 
-    console.log(`[AI Batch]: Found ${messagesToProcess.length} new messages to process.`);
-
-    let messageTranscript = "";
-    messagesToProcess.forEach(msg => {
-        // Attempt to get group name if available, otherwise use JID
-        let groupIdentifier = msg.groupName || msg.groupJid;
-        messageTranscript += `[${msg.timestamp.toISOString()}] [Group: ${groupIdentifier}] [Sender: ${msg.sender}]: ${msg.text}\n`;
-    });
 
-    // Clear processed messages *before* AI call (or handle potential AI errors carefully)
-    const processedMessageTimestamps = messagesToProcess.map(m => m.timestamp);
-    messageStore = messageStore.filter(msg => !processedMessageTimestamps.includes(msg.timestamp));
-    lastProcessedTime = processingStartTime; // Update time
+// --- Message Normalization ---
+const QUOTE_MAX_CHARS = 500; // Quoted text kept with a reply, for context in the transcript
 
-    console.log(`[AI Batch]: Sending transcript to ${llmModel} for reminder extraction...`);
-    let reminderResults = [];
+// The text of a message's content: the body of a text message or the caption of media.
+function getMessageText(content) {
+    return content?.conversation || content?.extendedTextMessage?.text || content?.imageMessage?.caption || content?.videoMessage?.caption || content?.documentMessage?.caption || content?.documentWithCaptionMessage?.message?.documentMessage?.caption || '';
+}
 
-    try {
-        // Use current date in India timezone if possible, otherwise fallback to UTC
-        const currentDate = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }); // YYYY-MM-DD format for India
-        // Fallback if timezone fails (shouldn't normally)
-        const fallbackDate = new Date().toISOString().split('T')[0];
-        const dateForPrompt = currentDate || fallbackDate;
+// Pulls what the reminder pipeline needs out of a Baileys message, or returns null for
+// messages it ignores. Shared by live messages and history sync.
+function normalizeMessage(message) {
+    // Basic checks to ignore irrelevant messages
+    if (!message.message || message.key.fromMe || !message.key.remoteJid) {
+        return null;
+    }
 
-        const prompt = `You are an AI assistant analyzing a transcript of WhatsApp group messages from the last processing period for a 'Resource Hub Dashboard'. Your task is to identify any potential tasks, deadlines, events, or important information mentioned in *any* of the messages that should be turned into reminders. Avoid creating duplicate reminders if the same task is mentioned multiple times, consolidate if possible.
+    const groupJid = message.key.remoteJid;
+    // Only process messages from groups
+    if (!isJidGroup(groupJid)) {
+        return null;
+    }
 
-Current Date: ${dateForPrompt} (India Time)
+    const text = getMessageText(message.message);
+    const hasAttachment = Boolean(mediaExtractor && getAttachmentInfo(message));
+    // Ignore empty messages (an image or document may still carry text of its own)
+    if (!text.trim() && !hasAttachment) {
+        return null;
+    }
 
-Analyze the following transcript:
---- TRANSCRIPT START ---
-${messageTranscript}--- TRANSCRIPT END ---
+    const timestamp = message.messageTimestamp; // Unix timestamp (seconds or ms?) Baileys usually uses seconds.
+    // Convert timestamp to Date object (handle seconds vs ms if necessary - assume seconds)
+    const messageDateTime = new Date((typeof timestamp === 'number' ? timestamp : timestamp.low) * 1000);
+    const participant = message.key.participant || groupJid; // Sender's JID within the group
+    // The message this one replies to, so threads stay together when transcripts are chunked
+    const content = message.message;
+    const contextInfo = content.extendedTextMessage?.contextInfo || content.imageMessage?.contextInfo || content.videoMessage?.contextInfo || content.documentMessage?.contextInfo || content.documentWithCaptionMessage?.message?.documentMessage?.contextInfo;
+    // What it quotes, shown in the transcript when the quoted message isn't in the same one
+    const quotedText = getMessageText(contextInfo?.quotedMessage).trim();
+
+    return {
+        id: message.key.id || `${groupJid}:${messageDateTime.getTime()}:${participant}`,
+        groupJid,
+        participant,
+        text: text.trim(),
+        timestamp: messageDateTime,
+        replyTo: contextInfo?.stanzaId || null,
+        quoted: quotedText ? { participant: contextInfo.participant || null, text: quotedText.slice(0, QUOTE_MAX_CHARS) } : null,
+        hasAttachment,
+    };
+}
 
-Extract all potential reminders. For each reminder, provide:
-1.  A concise 'title'.
-2.  A detailed 'description'.
-3.  A 'due_date' in YYYY-MM-DD format if a specific date or deadline is mentioned or clearly inferrable from the text and current date. Omit 'due_date' if none is found or clearly inferrable.
+// Journals a normalized message for the next processing run. Returns false if it was
+// already queued or couldn't be written.
+function enqueueMessage(normalized, groupName, { attachmentPending = false } = {}) {
+    const { senderName, senderRole, authoritative } = groupDirectory.resolveSender(normalized.groupJid, normalized.participant);
+    try {
+        return messageQueue.enqueue(normalized.id, {
+            timestamp: normalized.timestamp,
+            sender: normalized.participant,
+            senderName,
+            ...(senderRole && { senderRole }),
+            ...(authoritative && { authoritative }),
+            groupJid: normalized.groupJid,
+            groupName: groupName, // Store fetched name or JID
+            text: normalized.text,
+            ...(normalized.replyTo && { replyTo: normalized.replyTo }),
+            ...(normalized.quoted && {
+                quoted: {
+                    sender: normalized.quoted.participant ? groupDirectory.resolveSender(normalized.groupJid, normalized.quoted.participant).senderName : 'unknown',
+                    text: normalized.quoted.text,
+                },
+            }),
+            ...(normalized.editOf && { editOf: normalized.editOf }),
+            ...(attachmentPending && { attachmentPending }), // Until finishAttachment adds { name, mimeType, text }
+        });
+    } catch (err) {
+        messageLog.error({ err }, `Failed to persist message ${normalized.id}`);
+        return false;
+    }
+}
 
-Format the output STRICTLY as a JSON array containing reminder objects conforming to the provided schema.
-If no reminders are found in the transcript, return an empty JSON array: [].`;
 
-        const { object } = await generateObject({
-            model: googleAI(llmModel),
-            schema: reminderListSchema,
-            prompt: prompt,
-        });
-        reminderResults = object;
-
-        if (reminderResults && Array.isArray(reminderResults)) { // Added check if it's an array
-            console.log("[AI Batch]: Reminders received from LLM:", JSON.stringify(reminderResults, null, 2));
-            await syncRemindersToSheet(reminderResults); // Call sync function
-        } else {
-            console.log("[AI Batch]: No valid reminder list (or empty array) received from LLM.");
-            // Ensure sync is not called with invalid data
-            await syncRemindersToSheet([]);
+// --- Reminder Storage Setup ---
+// The Sheets client is created once at startup; reconnecting the socket doesn't touch it.
+async function initReminderStorage() {
+    if (REMINDER_STORE === 'sheets') {
+        try {
+            sheetsClient = await getSheetsClient(); // Initialize Sheets client
+        } catch (error) {
+            log.fatal({ err: error }, "Could not initialize Google Sheets Client on startup. Sheet sync will be disabled.");
+            // Decide if you want to continue without sheets or exit
+            // For now, we continue, but sync will fail later if called.
         }
-
-    } catch (error) {
-        console.error("[AI Batch Error]: Failed processing reminders:", error);
-        if (error.cause) console.error("Error Cause:", error.cause);
-        // Consider re-adding messages if AI fails? Or log for manual check.
-        // For now, messages are already removed, so potential loss on error.
-    } finally {
-        console.log(`--- Hourly Sync Run Complete ---`);
+    } else {
+        log.info(`Using local "${REMINDER_STORE}" reminder store in ${DATA_DIR}.`);
     }
 }
 
 
-// --- Baileys Connection Function ---
-async function startSock() {
-    try {
-        sheetsClient = await getSheetsClient(); // Initialize Sheets client
-    } catch (error) {
-        console.error("FATAL: Could not initialize Google Sheets Client on startup. Sheet sync will be disabled.", error.message);
-        // Decide if you want to continue without sheets or exit
-        // For now, we continue, but sync will fail later if called.
+// --- Incoming Messages ---
+// Handles one message from a messages.upsert batch. Commands are only run for new
+// messages (`runCommands`), not ones replayed into an "append" batch.
+async function handleIncomingMessage(sock, message, { runCommands }) {
+    const normalized = normalizeMessage(message);
+    if (!normalized) return;
+    const { groupJid: senderJid, participant, text } = normalized;
+    // Cached; only fetched the first time a group is seen or when the cache is stale
+    const metadata = await groupDirectory.get(sock, senderJid);
+    const groupName = metadata?.subject || senderJid; // Default to JID if name fetch fails
+    rememberGroup(senderJid, groupName);
+    groupDirectory.noteName(participant, message.pushName);
+
+    // Groups excluded by the group config (GROUP_CONFIG_PATH) are ignored entirely,
+    // commands included
+    if (!groupConfig.resolveGroup(senderJid, groupName).included) {
+        return;
     }
 
-    // --- Baileys Auth State Loading ---
-    console.log("[Auth]: Attempting to load auth state from ./auth");
-    let state, saveCreds;
-    try {
-        const authInfo = await useMultiFileAuthState('./auth');
-        state = authInfo.state;
-        saveCreds = authInfo.saveCreds;
-        console.log("[Auth]: Auth state loaded successfully.");
-    } catch (error) {
-         console.error("[Auth Error]: Failed to get authentication state:", error.message);
-         // Depending on severity, you might want to exit
-         throw new Error("Failed to get authentication state: " + error.message);
+    // Handle chat commands; they are replies to us, not content for the transcript
+    if (commandHandler.isCommand(text)) {
+        if (!runCommands) return;
+        const reply = await commandHandler.handle({ text, sender: participant, groupJid: senderJid, groupName });
+        if (reply) {
+            try {
+                await sock.sendMessage(senderJid, { text: reply }, { quoted: message });
+            } catch (err) {
+                messageLog.error({ err }, `Failed to send a command reply to ${senderJid}`);
+            }
+        }
+        return;
     }
-    if (!state || !state.creds || !state.keys) {
-        console.error("FATAL: Invalid authentication state loaded. Credentials or keys missing. Cannot proceed.");
-        process.exit(1); // Exit if auth state is fundamentally broken
+
+    // Paused groups (from the dashboard) still answer commands, but nothing is queued
+    if (pausedGroups.isPaused(senderJid)) {
+        return;
     }
 
-    const { version, isLatest } = await fetchLatestBaileysVersion();
-    console.log(`Using WA v${version.join('.')} / AI Model: ${llmModel} (Google - Hourly Sync + Sheets), isLatest: ${isLatest}`);
-    console.log(`Hourly reminder sync configured.`);
+    // Store relevant message info (journaled to disk until processed), then pull text
+    // out of an image or document in the background while the media is still downloadable
+    if (enqueueMessage(normalized, groupName, { attachmentPending: normalized.hasAttachment })) {
+        if (normalized.hasAttachment) extractAttachment(sock, message, normalized.id);
+        messagesIngested.inc({ source: 'live' });
+        scheduler.noteActivity(senderJid);
+        messageLog.debug({ group: groupName, sender: participant, id: normalized.id }, `Queued message: ${text.substring(0, 50)}`);
+    }
+}
 
-    const sock = makeWASocket({
-        version,
-        logger: P({ level: 'silent' }), // 'info' or 'debug' for more logs if needed
-        printQRInTerminal: true,
-        auth: state,
-     });
 
-    // --- Attach saveCreds handler ---
-    if(saveCreds) {
-        sock.ev.on('creds.update', saveCreds);
-        console.log("[Auth]: Attached creds.update handler.");
-    } else {
-        console.error("[Error]: saveCreds function is missing from useMultiFileAuthState! Session might not persist across restarts.");
+// --- Edited and Deleted Messages ---
+// WhatsApp reports edits and deletes ("delete for everyone") as messages.update events.
+// A message still in the queue is changed or dropped there. For one already processed,
+// a delete withdraws the reminders that came only from it (see withdrawSourceMessages),
+// and an edit is queued as a new message marked [Edited]; once the next run has synced
+// it, reminders from the original that the edit no longer supports are withdrawn.
+async function handleMessageRevision({ key, update }) {
+    const groupJid = key?.remoteJid;
+    if (!groupJid || !isJidGroup(groupJid) || key.fromMe || !key.id) return;
+    const editedContent = update.message?.editedMessage?.message || update.message?.protocolMessage?.editedMessage;
+    const deleted = update.messageStubType === WAMessageStubType.REVOKE;
+    if (!editedContent && !deleted) return; // Receipts, reactions, polls and so on
+
+    const groupName = groupDirectory.subjectOf(groupJid) || knownGroups.get(groupJid) || groupJid;
+    const target = groupConfig.resolveGroup(groupJid, groupName);
+    if (!target.included || pausedGroups.isPaused(groupJid)) return;
+    // Earlier edits still waiting in the queue are replaced by this change
+    const pendingEdits = messageQueue.find(entry => entry.message.editOf === key.id).map(entry => entry.id);
+
+    if (deleted) {
+        const dropped = messageQueue.drop([key.id, ...pendingEdits], 'deleted');
+        let withdrawn = 0;
+        for (const sourceTarget of sourceIndex.targetsOf(key.id)) {
+            withdrawn += await withdrawSourceMessages(getReminderStore(sourceTarget), [key.id], { reason: 'deleted' });
+        }
+        sourceIndex.forget(key.id);
+        messageLog.info(`Message ${key.id} in ${groupName} was deleted. Dropped ${dropped} queued message(s), changed ${withdrawn} reminder(s).`);
+        return;
     }
 
-    // --- Event Handlers ---
-    sock.ev.on('messages.upsert', async ({ messages }) => {
-        const message = messages[0];
-        // Basic checks to ignore irrelevant messages
-        if (!message.message || message.key.fromMe || !message.key.remoteJid) {
-            return;
+    const text = getMessageText(editedContent).trim();
+    if (!text || commandHandler.isCommand(text)) return;
+    const [original] = messageQueue.find(entry => entry.id === key.id);
+    if (original) {
+        messageQueue.update(key.id, { ...original.message, text, edited: true });
+        messageLog.info(`Message ${key.id} in ${groupName} was edited before processing; the queued text was updated.`);
+        return;
+    }
+    messageQueue.drop(pendingEdits, 'edited again');
+    const editedAt = update.messageTimestamp; // Seconds, as a number or a Long
+    const timestamp = editedAt ? new Date((typeof editedAt === 'number' ? editedAt : editedAt.low) * 1000) : new Date();
+    const queued = enqueueMessage({
+        id: `${key.id}:edit:${timestamp.getTime()}`,
+        groupJid,
+        participant: key.participant || groupJid,
+        text,
+        timestamp,
+        editOf: key.id,
+    }, groupName);
+    if (queued) {
+        messagesIngested.inc({ source: 'edit' });
+        messageLog.info(`Message ${key.id} in ${groupName} was edited after processing; queued the new text.`);
+        scheduler.noteActivity(groupJid);
+    }
+}
+
+
+// --- WhatsApp Event Handlers ---
+// Attached to every socket the connection manager creates. `listen` registers a
+// handler so it is removed again when the socket is replaced.
+function registerHandlers(sock, listen) {
+    // A batch can hold several messages (e.g. those received while reconnecting); each
+    // is handled on its own so one failure doesn't drop the rest.
+    listen('messages.upsert', async ({ messages, type }) => {
+        for (const message of messages) {
+            try {
+                await handleIncomingMessage(sock, message, { runCommands: type === 'notify' });
+            } catch (error) {
+                messageLog.error({ err: error }, `Failed to handle message ${message.key?.id}`);
+            }
         }
+    });
 
-        const senderJid = message.key.remoteJid;
-        // Only process messages from groups
-        if (!isJidGroup(senderJid)) {
-            // console.log(`[Msg Ignore]: Ignoring non-group message from ${senderJid}`);
-            return;
+    listen('messages.update', async (updates) => {
+        for (const revision of updates) {
+            try {
+                await handleMessageRevision(revision);
+            } catch (error) {
+                messageLog.error({ err: error }, `Failed to apply the change to message ${revision.key?.id}`);
+            }
         }
+    });
 
-        const text = message.message?.conversation || message.message?.extendedTextMessage?.text || message.message?.imageMessage?.caption || message.message?.videoMessage?.caption || '';
-        // Ignore empty messages
-        if (!text.trim()) {
-            return;
+    // Queue recent group messages from history syncs (see HISTORY_SYNC_DAYS). Their
+    // media isn't downloaded, and old commands are not re-run.
+    listen('messaging-history.set', ({ chats, messages }) => {
+        if (HISTORY_SYNC_DAYS <= 0) return;
+        const chatNames = new Map();
+        for (const chat of chats || []) {
+            if (!isJidGroup(chat.id) || !chat.name) continue;
+            chatNames.set(chat.id, chat.name);
+            rememberGroup(chat.id, chat.name);
         }
 
-        const timestamp = message.messageTimestamp; // Unix timestamp (seconds or ms?) Baileys usually uses seconds.
-        // Convert timestamp to Date object (handle seconds vs ms if necessary - assume seconds)
-        const messageDateTime = new Date((typeof timestamp === 'number' ? timestamp : timestamp.low) * 1000);
+        const synced = [];
+        const pushNames = new Map(); // message id -> sender's push name
+        for (const message of messages || []) {
+            const normalized = normalizeMessage(message);
+            if (!normalized) continue;
+            synced.push(normalized);
+            pushNames.set(normalized.id, message.pushName);
+        }
 
-        const participant = message.key.participant || senderJid; // Sender's JID within the group
-        let groupName = senderJid; // Default to JID if name fetch fails
+        let queued = 0;
+        for (const normalized of selectSyncedMessages(synced, { days: HISTORY_SYNC_DAYS, messageQueue })) {
+            if (commandHandler.isCommand(normalized.text)) continue;
+            const groupName = chatNames.get(normalized.groupJid) || groupDirectory.subjectOf(normalized.groupJid) || normalized.groupJid;
+            if (!groupConfig.resolveGroup(normalized.groupJid, groupName).included || pausedGroups.isPaused(normalized.groupJid)) continue;
+            groupDirectory.noteName(normalized.participant, pushNames.get(normalized.id));
+            if (enqueueMessage(normalized, groupName)) queued++;
+        }
+        if (queued > 0) {
+            messagesIngested.inc({ source: 'history' }, queued);
+            messageLog.info(`Queued ${queued} of ${(messages || []).length} synced messages from the last ${HISTORY_SYNC_DAYS} day(s).`);
+        }
+    });
 
-        // Attempt to fetch group metadata for name (can be cached)
-        try {
-            const metadata = await sock.groupMetadata(senderJid);
-            groupName = metadata.subject || senderJid;
-        } catch (err) {
-            console.warn(`[Group Metadata Warn]: Could not fetch metadata for group ${senderJid}: ${err.message}`);
-            // Continue with JID as groupName
+    // Keep the group metadata cache current (renames, admins promoted or demoted)
+    listen('groups.update', (updates) => {
+        groupDirectory.applyGroupUpdates(updates);
+        for (const update of updates) {
+            if (update.subject) rememberGroup(update.id, update.subject);
         }
+    });
+    listen('group-participants.update', (update) => groupDirectory.applyParticipantsUpdate(update));
+}
 
-        // Store relevant message info
-        messageStore.push({
-            timestamp: messageDateTime,
-            sender: participant,
-            groupJid: senderJid,
-            groupName: groupName, // Store fetched name or JID
-            text: text.trim()
+
+// --- WhatsApp Connection ---
+// One socket at a time, reconnected with exponential backoff (RECONNECT_BASE_DELAY_MS,
+// default 2 s, up to RECONNECT_MAX_DELAY_MS, default 5 min). After a logout the old
+// session is moved aside and a new QR code is shown in the terminal and at /admin; set
+// PAIRING_PHONE_NUMBER (country code and number, digits only) to get a pairing code
+// instead. See lib/connectionManager.js.
+const connectionManager = BOT_MODE ? createConnectionManager({
+    attach: registerHandlers,
+    logger: createBaileysLogger(), // BAILEYS_LOG_LEVEL=info or debug for more
+    authDir: './auth',
+    pairingPhoneNumber: process.env.PAIRING_PHONE_NUMBER || null,
+    baseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS, 10) || undefined,
+    maxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS, 10) || undefined,
+    archiveRetentionDays: process.env.AUTH_ARCHIVE_DAYS === undefined ? undefined : parseInt(process.env.AUTH_ARCHIVE_DAYS, 10) || 0,
+}) : null;
+
+// ALERT_WEBHOOK_URL, if set, receives a JSON POST ({ "text": ... }) for problems that
+// need a person, such as a logout. Alerts are always logged.
+async function sendAlert(text) {
+    log.error({ alert: true }, text);
+    if (!process.env.ALERT_WEBHOOK_URL) return;
+    try {
+        const response = await fetch(process.env.ALERT_WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text }),
         });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+        log.error({ err: error }, "Could not send alert to ALERT_WEBHOOK_URL");
+    }
+}
 
-        // Optional: Log stored message confirmation (can be verbose)
-        // console.log(`[${messageDateTime.toLocaleString()}] [Stored] Group: ${groupName} | Sender: ${participant} | Msg: ${text.substring(0, 50)}...`);
-    });
+connectionManager?.on('open', (sock) => {
+    log.info('Connection opened. WhatsApp bot is active.');
+    activeSock = sock;
+    // Starts scheduled runs, plus a catch-up run for messages queued while disconnected
+    scheduler.start();
+
+    // One request refreshes the metadata of every group, instead of one per group later
+    sock.groupFetchAllParticipating()
+        .then(groups => log.info(`Cached metadata for ${groupDirectory.prime(groups)} group(s).`))
+        .catch(error => log.warn({ err: error }, 'Could not fetch the group list'));
+
+    if (NOTIFICATIONS_ENABLED) {
+        notifier.start();
+        setTimeout(notifier.tick, 20000); // Catch up on notifications missed while disconnected
+    }
+});
+
+connectionManager?.on('close', ({ reason, reconnectInMs }) => {
+    activeSock = null;
+    // No scheduled runs while disconnected; the next connect restarts them
+    scheduler.stop();
+    if (reconnectInMs === null) {
+        sendAlert(`WhatsApp connection closed (${reason}): another client took over this session. Not reconnecting; restart the bot to take it back.`);
+    } else {
+        log.warn(`Connection closed due to: ${reason}. Reconnecting in ${Math.round(reconnectInMs / 1000)} seconds.`);
+    }
+});
 
-    // Handle connection updates and start interval timer
-    sock.ev.on('connection.update', (update) => {
-        const { connection, lastDisconnect } = update;
-        if (connection === 'close') {
-            const shouldReconnect = (lastDisconnect?.error instanceof Boom) && lastDisconnect.error.output?.statusCode !== DisconnectReason.loggedOut;
-            console.log('Connection closed due to:', lastDisconnect?.error?.message || 'Unknown reason', ', Reconnecting:', shouldReconnect);
-
-            if(lastDisconnect?.error?.output?.statusCode === DisconnectReason.loggedOut) {
-                console.error("‼️ CONNECTION CLOSED: LOGGED OUT ‼️");
-                console.error("Please delete the './auth' folder and re-scan the QR code.");
-                // Stop the interval timer if it exists
-                if (global.hourlyIntervalId) {
-                    clearInterval(global.hourlyIntervalId);
-                    console.log("Stopped hourly processing interval due to logout.");
-                }
-                process.exit(1); // Exit script on logout to force re-auth
-            } else if (shouldReconnect) {
-                // Stop interval timer before attempting reconnect to avoid duplicates
-                 if (global.hourlyIntervalId) {
-                    clearInterval(global.hourlyIntervalId);
-                    console.log("Stopped hourly processing interval during reconnection attempt.");
-                    delete global.hourlyIntervalId; // Clear the variable
-                }
-                console.log("Attempting to reconnect in 5 seconds...");
-                setTimeout(startSock, 5000); // Re-run the main connection logic
-            } else {
-                 console.log("Connection closed. Not attempting automatic reconnection.");
-                 // Stop interval timer if connection is closed and not reconnecting
-                 if (global.hourlyIntervalId) {
-                    clearInterval(global.hourlyIntervalId);
-                    console.log("Stopped hourly processing interval.");
-                 }
+connectionManager?.on('logged-out', () => {
+    sendAlert(`WhatsApp logged this bot out. Link it again by scanning the new QR code at /admin or in the terminal${process.env.PAIRING_PHONE_NUMBER ? ', or with the pairing code in the log' : ''}. The health server keeps running.`);
+});
+
+
+// --- List Groups Mode (`node index.js --list-groups`) ---
+// Connects with the saved auth state, prints every group the account can see along
+// with how the group config currently treats it, then exits. Use the output to
+// write GROUP_CONFIG_PATH rules.
+async function listGroups() {
+    const listLog = createLogger('list-groups');
+    const { state, saveCreds } = await useMultiFileAuthState('./auth');
+    const { version } = await fetchLatestBaileysVersion();
+    const sock = makeWASocket({
+        version,
+        logger: createBaileysLogger(),
+        printQRInTerminal: true,
+        auth: state,
+    });
+    sock.ev.on('creds.update', saveCreds);
+
+    sock.ev.on('connection.update', async ({ connection, lastDisconnect }) => {
+        if (connection === 'open') {
+            try {
+                const groups = await sock.groupFetchAllParticipating();
+                const rows = Object.values(groups)
+                    .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''))
+                    .map(group => {
+                        const route = groupConfig.resolveGroup(group.id, group.subject);
+                        return {
+                            jid: group.id,
+                            subject: group.subject,
+                            participants: group.participants?.length || 0,
+                            ingest: route.included ? 'include' : 'exclude',
+                            sheet: route.included ? `${route.sheetName} (${route.spreadsheetId})` : '',
+                        };
+                    });
+                listLog.info(`The linked account is in ${rows.length} group(s):`);
+                console.table(rows);
+                process.exit(0);
+            } catch (error) {
+                listLog.error({ err: error }, "Failed to fetch groups");
+                process.exit(1);
             }
-        } else if (connection === 'open') {
-            console.log('✅ Connection Opened - WhatsApp Bot is Active!');
-            // Clear any existing interval just in case before starting a new one
-            if (global.hourlyIntervalId) {
-                clearInterval(global.hourlyIntervalId);
-                delete global.hourlyIntervalId;
+        } else if (connection === 'close') {
+            const statusCode = lastDisconnect?.error?.output?.statusCode;
+            if (statusCode === DisconnectReason.restartRequired) {
+                // Expected once right after pairing with a fresh QR code
+                listGroups().catch(err => {
+                    listLog.error({ err }, "Could not reconnect after pairing");
+                    process.exit(1);
+                });
+                return;
             }
-            // <<<--- CORRECTED INTERVAL TIME ---
-            const oneHourInMs = 60 * 60 * 1000; // 1 hour in milliseconds
-            global.hourlyIntervalId = setInterval(processRecentMessages, oneHourInMs);
-            console.log(`Hourly processing interval started (runs every ${oneHourInMs / 60000} minutes).`);
-
-            // Optional: Run once shortly after connecting to process any messages missed during downtime?
-            console.log("Running initial message processing shortly after connection...");
-            setTimeout(processRecentMessages, 15000); // e.g., 15 seconds after connect
+            listLog.error(`Connection closed: ${lastDisconnect?.error?.message || 'Unknown reason'}`);
+            process.exit(1);
         }
     });
+}
+
+
+// --- Import Mode (`node index.js --import <export.txt>`) ---
+// Replays a WhatsApp "Export chat" file through the same extraction and sync as the
+// live bot, e.g. to backfill a semester or to try a prompt change on real history:
+//   --group <name>        group subject to route by (default: taken from the file name)
+//   --group-jid <jid>     the group's JID, for group config rules and chat commands
+//   --from / --to         only messages on or between these YYYY-MM-DD dates
+//   --date-format         dmy or mdy when the export's dates are ambiguous (default: auto)
+//   --utc-offset          the exporting phone's UTC offset (default +05:30)
+//   --dry-run             print the extracted reminders instead of syncing them
+// Chunks are imported one at a time, oldest first, so a failed import can be resumed.
+async function importChatExport() {
+    const importLog = createLogger('import');
+    const filePath = cliArgs.import;
+    const groupName = cliArgs.group || groupNameFromExportFile(filePath);
+    const groupJid = cliArgs['group-jid'] || `export:${groupName}`;
+    const target = groupConfig.resolveGroup(groupJid, groupName);
+    if (!target.included) {
+        importLog.error(`Group "${groupName}" is excluded by the group config. Nothing imported.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const messages = parseChatExport(fs.readFileSync(filePath, 'utf8'), {
+        groupJid,
+        groupName,
+        dateOrder: cliArgs['date-format'] || undefined,
+        utcOffset: cliArgs['utc-offset'] || undefined,
+    }).filter(msg => {
+        const day = todayIn(DEFAULT_TIME_ZONE, msg.timestamp);
+        return (!cliArgs.from || day >= cliArgs.from) && (!cliArgs.to || day <= cliArgs.to);
+    });
+    importLog.info(`${messages.length} message(s) from "${groupName}" in ${filePath}${cliArgs.from || cliArgs.to ? ` between ${cliArgs.from || 'the start'} and ${cliArgs.to || 'the end'}` : ''}.`);
+    if (messages.length === 0) return;
 
-    console.log("[Baileys]: Socket configured. Waiting for connection events...");
+    if (!DRY_RUN && REMINDER_STORE === 'sheets') {
+        sheetsClient = await getSheetsClient();
+    }
+    const extractor = getReminderExtractor();
+    const store = DRY_RUN ? null : getReminderStore(target);
+    const extracted = [];
+    const chunks = chunkEntries(messages.map(msg => ({ id: msg.id, message: msg })), { maxTokens: TRANSCRIPT_MAX_TOKENS });
+
+    for (const [index, chunk] of chunks.entries()) {
+        const batch = chunk.map(entry => entry.message);
+        const firstDay = todayIn(DEFAULT_TIME_ZONE, batch[0].timestamp);
+        const lastDay = todayIn(DEFAULT_TIME_ZONE, batch[batch.length - 1].timestamp);
+        importLog.info(`Chunk ${index + 1} of ${chunks.length} (${firstDay} to ${lastDay}).`);
+        try {
+            // Resolve "tomorrow" and "next week" against when the messages were sent
+            const reminders = await extractor.extract(batch, batch[batch.length - 1].timestamp);
+            if (DRY_RUN) {
+                extracted.push(...reminders);
+                continue;
+            }
+            // Without --group-jid there is no real JID to record, so chat commands match these by name
+            const sourceGroupIds = cliArgs['group-jid'] ? [groupJid] : [];
+            const scoped = reminders.map(reminder => ({ ...reminder, source_group_id: sourceGroupIds.join(', ') }));
+            const synced = await syncReminders(store, scoped, { sourceGroups: [groupName], sourceGroupIds, sourceMessageIds: batch.map(msg => msg.id) });
+            if (!synced) throw new Error(`Sync to ${store.name} did not complete successfully.`);
+        } catch (error) {
+            importLog.error({ err: error }, `Chunk starting ${firstDay} failed. Earlier chunks were synced. Re-run with --from ${firstDay} to continue.`);
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    if (DRY_RUN) {
+        const reminders = mergeChunkReminders([extracted]);
+        importLog.info(`Dry run - ${reminders.length} reminder(s) extracted, nothing synced:`);
+        console.table(reminders.map(r => ({
+            due: [r.due_date, r.due_time].filter(Boolean).join(' '),
+            category: r.category,
+            priority: r.priority,
+            title: r.title,
+            sender: r.sender,
+            source_attachment: r.source_attachment || '',
+        })));
+    } else {
+        importLog.info(`Done. Reminders synced to ${store.name}.`);
+    }
+}
 
-} // End startSock function
 
+// --- Admin API and Dashboard (/admin) ---
+// Authenticated with ADMIN_TOKEN; see lib/admin for the endpoints.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const startedAt = new Date();
+const adminRoutes = createAdminRoutes({
+    token: ADMIN_TOKEN,
+    getStatus: () => ({
+        connected: Boolean(activeSock),
+        connection: connectionManager.getState(),
+        connectionMetrics: connectionManager.metrics(),
+        queue: {
+            size: messageQueue.size(),
+            due: messageQueue.getDue().length,
+            nextRetryAt: messageQueue.nextRetryAt(),
+        },
+        syncInProgress: scheduler.isRunning(),
+        schedule: scheduler.status(),
+        lastRun: activityLog.lastRun(),
+        lastProcessedAt: lastProcessedTime.toISOString(),
+        llm: llm ? llm.describe() : null, // Until the first run creates the client
+        store: REMINDER_STORE,
+        startedAt: startedAt.toISOString(),
+    }),
+    getRecentReminders: (limit) => activityLog.recentReminders(limit),
+    listRunReports: (limit) => runReports.list(limit),
+    getRunReport: (id) => runReports.get(id),
+    // Ignores quiet hours; during a run, another run follows it
+    triggerSync: () => {
+        const result = scheduler.requestRun('manual', { force: true });
+        return { started: result === 'started', queued: result === 'queued' };
+    },
+    getGroups: () => {
+        const groups = new Map(knownGroups);
+        for (const { jid, name } of pausedGroups.list()) {
+            if (!groups.has(jid)) groups.set(jid, name);
+        }
+        return [...groups].map(([jid, name]) => {
+            const route = groupConfig.resolveGroup(jid, name);
+            return { jid, name, paused: pausedGroups.isPaused(jid), included: route.included, sheetName: route.sheetName };
+        }).sort((a, b) => a.name.localeCompare(b.name));
+    },
+    pauseGroup: (jid) => {
+        const changed = pausedGroups.pause(jid, knownGroups.get(jid));
+        if (changed) log.info(`Paused ingestion for group ${knownGroups.get(jid) || jid}.`);
+        return changed;
+    },
+    resumeGroup: (jid) => {
+        const changed = pausedGroups.resume(jid);
+        if (changed) log.info(`Resumed ingestion for group ${knownGroups.get(jid) || jid}.`);
+        return changed;
+    },
+    getQr: () => ({ connected: Boolean(activeSock), ...connectionManager.getQr() }),
+});
+if (BOT_MODE && !ADMIN_TOKEN) {
+    log.info("No ADMIN_TOKEN configured. The admin API is disabled.");
+}
+
+// Read each time /metrics is scraped
+gauge('reminder_bot_queue_messages', 'Messages waiting in the queue, including those on retry backoff.', () => messageQueue ? messageQueue.size() : NaN);
+gauge('reminder_bot_whatsapp_connected', '1 while the WhatsApp connection is open, else 0.', () => activeSock ? 1 : 0);
+gauge('reminder_bot_whatsapp_reconnect_attempt', 'Failed WhatsApp connection attempts since the last one that opened.', () => connectionManager ? connectionManager.metrics().reconnectAttempt : NaN);
+gauge('reminder_bot_whatsapp_reconnect_backoff_seconds', 'Delay before the pending WhatsApp reconnect, or 0 when none is pending.', () => connectionManager ? (connectionManager.metrics().reconnectInMs || 0) / 1000 : NaN);
 
 // --- Create a Simple HTTP Server for Health Checks ---  <<<--- ADDED THIS SECTION
 const server = http.createServer((req, res) => {
+    if (adminRoutes.handle(req, res)) return; // /admin and /admin/api/*
+
     // Basic health check endpoint that Render/platforms can ping
     if (req.url === '/health' && req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'text/plain' });
         res.end('OK');
+    } else if (req.url === '/metrics' && req.method === 'GET') {
+        // Prometheus scrape endpoint; see the metric names in the README
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderMetrics());
     } else {
         // You can add more info or just a simple response
         res.writeHead(200, { 'Content-Type': 'text/plain' });
@@ -484,21 +1038,29 @@ const server = http.createServer((req, res) => {
 });
 
 // --- Start the HTTP Server and THEN the Bot --- <<<--- MODIFIED THIS SECTION
-server.listen(PORT, () => {
-    console.log(`🚀 Server listening on port ${PORT}`);
-    console.log("Starting WhatsApp Bot connection logic...");
-    // Start the Baileys bot connection process *after* the HTTP server is ready
-    startSock().catch(err => {
-        console.error("❌ FATAL ERROR during bot startup:", err);
-        process.exit(1); // Exit if the bot fails critically during initial start
+if (cliArgs['list-groups']) {
+    listGroups().catch(err => {
+        log.fatal({ err }, "Failed while listing groups");
+        process.exit(1);
     });
-});
+} else if (cliArgs.import) {
+    importChatExport().catch(err => {
+        log.fatal({ err }, "Failed while importing chat export");
+        process.exit(1);
+    });
+} else {
+    server.listen(PORT, () => {
+        log.info(`Server listening on port ${PORT}. Starting the WhatsApp connection.`);
+        // Start the Baileys bot connection process *after* the HTTP server is ready
+        initReminderStorage().then(() => connectionManager.start()).catch(err => {
+            log.fatal({ err }, "Bot startup failed");
+            process.exit(1); // Exit if the bot fails critically during initial start
+        });
+    });
+}
 
 // Optional: Handle server errors more gracefully
 server.on('error', (error) => {
-    console.error(`❌ Server Error: ${error.message}`);
-    if (error.code === 'EADDRINUSE') {
-        console.error(`Port ${PORT} is already in use. Is another instance running?`);
-    }
+    log.fatal({ err: error }, error.code === 'EADDRINUSE' ? `Port ${PORT} is already in use. Is another instance running?` : 'HTTP server error');
     process.exit(1); // Exit if the server faces a critical error (like port conflict)
 });
\ No newline at end of file
@@ -0,0 +1,87 @@
+// --- Activity Log ---
+// What the admin dashboard shows about past processing runs: the result of the last
+// run and the most recent reminders extracted, each with the messages it came from.
+// Kept in DATA_DIR (activity.json) because synced messages leave the queue and the
+// reminder stores only keep their IDs.
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('activity-log');
+
+const DEFAULT_MAX_REMINDERS = 100;
+const MAX_SOURCE_TEXT_CHARS = 1000;
+
+function createActivityLog({ stateDir = './data', maxReminders = DEFAULT_MAX_REMINDERS } = {}) {
+    const statePath = path.join(stateDir, 'activity.json');
+    let state = { lastRun: null, reminders: [] }; // reminders: newest first
+
+    function load() {
+        try {
+            const saved = readJsonFile(statePath);
+            if (saved) state = { lastRun: saved.lastRun || null, reminders: saved.reminders || [] };
+        } catch (error) {
+            log.error({ err: error }, `Could not read ${statePath}, starting empty`);
+        }
+    }
+
+    function save() {
+        try {
+            writeJsonFile(statePath, state);
+        } catch (error) {
+            // Losing dashboard history must never fail a processing run
+            log.error({ err: error }, `Could not write ${statePath}`);
+        }
+    }
+
+    // `run` is { trigger, startedAt, finishedAt, messages, reminders, failedMessages, error? }.
+    function recordRun(run) {
+        state.lastRun = run;
+        save();
+    }
+
+    // Records reminders synced to `target`. `messagesById` maps queue IDs to the
+    // queued messages, so each reminder keeps a copy of its source messages.
+    function recordReminders(reminders, messagesById, target) {
+        const syncedAt = new Date().toISOString();
+        const entries = reminders.map(reminder => ({
+            title: reminder.title,
+            description: reminder.description || '',
+            dueDate: reminder.due_date || '',
+            dueTime: reminder.due_time || '',
+            category: reminder.category || '',
+            priority: reminder.priority || '',
+            sourceGroup: reminder.source_group || '',
+            sender: reminder.sender || '',
+            attachment: reminder.source_attachment || '',
+            target: target.sheetName,
+            syncedAt,
+            sources: (reminder.source_message_ids || [])
+                .map(id => messagesById.get(id) && { id, ...messagesById.get(id) })
+                .filter(Boolean)
+                .map(msg => ({
+                    id: msg.id,
+                    sender: msg.sender,
+                    groupName: msg.groupName || msg.groupJid,
+                    timestamp: msg.timestamp,
+                    text: String(msg.text || '').slice(0, MAX_SOURCE_TEXT_CHARS),
+                    ...(msg.attachment && { attachment: msg.attachment.name }),
+                })),
+        }));
+        state.reminders = [...entries.reverse(), ...state.reminders].slice(0, maxReminders);
+        save();
+    }
+
+    function lastRun() {
+        return state.lastRun;
+    }
+
+    function recentReminders(limit = maxReminders) {
+        return state.reminders.slice(0, limit);
+    }
+
+    load();
+    return { recordRun, recordReminders, lastRun, recentReminders };
+}
+
+module.exports = { createActivityLog };
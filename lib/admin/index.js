@@ -0,0 +1,140 @@
+// --- Admin API and Dashboard ---
+// JSON endpoints on the bot's HTTP server for running it on a headless host, plus a
+// small HTML page (GET /admin) over them. Every /admin/api request needs an
+// "Authorization: Bearer <ADMIN_TOKEN>" header; without ADMIN_TOKEN the API is off.
+//   GET  /admin/api/status               connection, queue size, last run
+//   GET  /admin/api/reminders?limit=20   recent reminders with their source messages
+//   GET  /admin/api/runs?limit=20        summaries of recent processing runs
+//   GET  /admin/api/runs/<id>            one run's report: chunks, reminders synced or skipped, errors
+//   POST /admin/api/sync                 process the queue now (or right after the current run)
+//   GET  /admin/api/groups               known groups and whether they are paused
+//   POST /admin/api/groups/<jid>/pause   stop queueing the group's messages
+//   POST /admin/api/groups/<jid>/resume
+//   GET  /admin/api/qr                   the pairing QR code (raw and SVG), or pairing code, while unlinked
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../logger');
+
+const log = createLogger('admin');
+
+const DASHBOARD_HTML = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf8');
+const DEFAULT_REMINDER_LIMIT = 20;
+const DEFAULT_RUN_LIMIT = 20;
+const QR_QUIET_ZONE = 4; // Modules of blank margin scanners expect around the code
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Compares hashes so the check takes the same time whatever the token's length.
+function isAuthorized(req, token) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return Boolean(match) && crypto.timingSafeEqual(sha256(match[1].trim()), sha256(token));
+}
+
+// Renders a QR code as SVG with the encoder bundled in qrcode-terminal (which Baileys
+// uses to print it). Returns null if that package isn't available.
+function qrToSvg(text) {
+    let QRCode;
+    let QRErrorCorrectLevel;
+    try {
+        QRCode = require('qrcode-terminal/vendor/QRCode');
+        QRErrorCorrectLevel = require('qrcode-terminal/vendor/QRCode/QRErrorCorrectLevel');
+    } catch (error) {
+        return null;
+    }
+    const qrcode = new QRCode(-1, QRErrorCorrectLevel.L);
+    qrcode.addData(text);
+    qrcode.make();
+    const count = qrcode.getModuleCount();
+    const size = count + 2 * QR_QUIET_ZONE;
+    let modules = '';
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qrcode.isDark(row, col)) modules += `M${col + QR_QUIET_ZONE} ${row + QR_QUIET_ZONE}h1v1h-1z`;
+        }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${modules}" fill="#000"/></svg>`;
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+// The callbacks read and change the bot's state:
+//   getStatus() -> object, getGroups() -> [{ jid, name, paused, included }],
+//   getRecentReminders(limit) -> [...], triggerSync() -> { started, queued },
+//   listRunReports(limit) -> [...], getRunReport(id) -> report or null,
+//   pauseGroup(jid) / resumeGroup(jid) -> boolean (false if nothing changed),
+//   getQr() -> { connected, qr, updatedAt, pairingCode }
+function createAdminRoutes({ token, getStatus, getGroups, getRecentReminders, listRunReports, getRunReport, triggerSync, pauseGroup, resumeGroup, getQr }) {
+    async function route(req, res, url) {
+        const { pathname } = url;
+        if (req.method === 'GET' && pathname === '/admin/api/status') {
+            return sendJson(res, 200, await getStatus());
+        }
+        if (req.method === 'GET' && pathname === '/admin/api/reminders') {
+            const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_REMINDER_LIMIT;
+            return sendJson(res, 200, { reminders: await getRecentReminders(limit) });
+        }
+        if (req.method === 'GET' && pathname === '/admin/api/runs') {
+            const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_RUN_LIMIT;
+            return sendJson(res, 200, { runs: await listRunReports(limit) });
+        }
+        const runMatch = /^\/admin\/api\/runs\/([^/]+)$/.exec(pathname);
+        if (req.method === 'GET' && runMatch) {
+            const report = await getRunReport(decodeURIComponent(runMatch[1]));
+            return report ? sendJson(res, 200, report) : sendJson(res, 404, { error: `No run report "${runMatch[1]}".` });
+        }
+        if (req.method === 'POST' && pathname === '/admin/api/sync') {
+            const result = await triggerSync();
+            return sendJson(res, result.started || result.queued ? 202 : 409, result);
+        }
+        if (req.method === 'GET' && pathname === '/admin/api/groups') {
+            return sendJson(res, 200, { groups: await getGroups() });
+        }
+        const groupAction = /^\/admin\/api\/groups\/([^/]+)\/(pause|resume)$/.exec(pathname);
+        if (req.method === 'POST' && groupAction) {
+            const jid = decodeURIComponent(groupAction[1]);
+            const changed = groupAction[2] === 'pause' ? await pauseGroup(jid) : await resumeGroup(jid);
+            return sendJson(res, 200, { jid, paused: groupAction[2] === 'pause', changed });
+        }
+        if (req.method === 'GET' && pathname === '/admin/api/qr') {
+            const { connected, qr, updatedAt, pairingCode } = await getQr();
+            return sendJson(res, 200, { connected, qr: qr || null, svg: qr ? qrToSvg(qr) : null, updatedAt: updatedAt || null, pairingCode: pairingCode || null });
+        }
+        return sendJson(res, 404, { error: `No admin endpoint ${req.method} ${pathname}.` });
+    }
+
+    // Returns true if the request was for /admin (and has been answered).
+    function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/admin' && !url.pathname.startsWith('/admin/')) return false;
+
+        // The page itself holds no data; it asks for the token and calls the API.
+        if (req.method === 'GET' && (url.pathname === '/admin' || url.pathname === '/admin/')) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            res.end(DASHBOARD_HTML);
+            return true;
+        }
+        if (!token) {
+            sendJson(res, 503, { error: 'The admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+            return true;
+        }
+        if (!isAuthorized(req, token)) {
+            sendJson(res, 401, { error: 'Missing or invalid admin token.' }, { 'WWW-Authenticate': 'Bearer' });
+            return true;
+        }
+        route(req, res, url).catch(error => {
+            log.error({ err: error }, `${req.method} ${url.pathname} failed`);
+            if (!res.headersSent) sendJson(res, 500, { error: error.message });
+        });
+        return true;
+    }
+
+    return { handle };
+}
+
+module.exports = { createAdminRoutes };
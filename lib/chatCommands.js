@@ -0,0 +1,239 @@
+// --- WhatsApp Chat Commands ---
+// Lets admins query and manage reminders from inside a group:
+//   !reminders              open reminders from this group
+//   !due [today|tomorrow|this week|next week|<n>d]
+//   !done <id>              mark a reminder as done
+//   !add <text>             add a reminder (a YYYY-MM-DD, "today" or "tomorrow" in the text sets the due date)
+//   !snooze <id> [<n>d|<n>w] push the due date back (default 1d)
+//   !help
+// Commands read and write the same store the hourly sync uses, and every change is
+// recorded in its change history. A store can be shared by several groups, so commands
+// only see reminders from the asking group (or with no source group, e.g. added by hand).
+// Groups are told apart by JID, so a renamed group keeps its reminders.
+const { todayIn, isIsoDate, addDays, dayOfWeek, formatDate, DEFAULT_TIME_ZONE } = require('./dates');
+const { generateReminderId, isClosed, DEFAULT_ICON_TYPE, DEFAULT_STATUS, DONE_STATUS } = require('./reminderSync');
+const { bareJid } = require('./jid');
+const { createLogger } = require('./logger');
+
+const log = createLogger('commands');
+
+const COMMAND_PREFIX = '!';
+const MAX_LISTED = 15;
+
+const HELP_TEXT = [
+    '*Reminder commands*',
+    '!reminders - open reminders',
+    '!due [today|tomorrow|this week|next week|3d] - reminders due in a range',
+    '!done <id> - mark a reminder as done',
+    '!add <text> - add a reminder (include a YYYY-MM-DD, "today" or "tomorrow" for the due date)',
+    '!snooze <id> [2d|1w] - push a due date back',
+].join('\n');
+
+// "• *R-3f9a1c* DBMS Assignment 2 - due Sun, 25 Oct 17:00"
+function formatReminder(record) {
+    const id = record.id ? `*${record.id}*` : '_(no ID)_';
+    const due = isIsoDate(record.dueDate) ? ` - due ${formatDate(record.dueDate)}` : (record.dueDate ? ` - due ${record.dueDate}` : '');
+    const time = due && record.dueTime ? ` ${record.dueTime}` : '';
+    return `• ${id} ${record.title}${due}${time}`;
+}
+
+function formatList(heading, records) {
+    if (records.length === 0) return `${heading}\nNothing here.`;
+    const lines = records.slice(0, MAX_LISTED).map(formatReminder);
+    if (records.length > MAX_LISTED) lines.push(`…and ${records.length - MAX_LISTED} more.`);
+    return `${heading}\n${lines.join('\n')}`;
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// True if `record` came from the group `groupJid`, or from no group in particular.
+// Rows written before the Source Group ID column existed only name their group, so
+// those are matched on `groupName`.
+function belongsToGroup(record, { groupJid, groupName }) {
+    const groupJids = splitList(record.sourceGroupId);
+    if (groupJids.length > 0) return groupJids.includes(groupJid);
+    const groupNames = splitList(record.sourceGroup);
+    return groupNames.length === 0 || groupNames.includes(groupName);
+}
+
+function byDueDate(a, b) {
+    return (a.dueDate || '9999-99-99').localeCompare(b.dueDate || '9999-99-99');
+}
+
+// `getStoreForGroup(groupJid, groupName)` returns the reminder store for that group.
+// Only senders listed in `adminJids` may run commands.
+function createCommandHandler({ getStoreForGroup, adminJids = [], timeZone = DEFAULT_TIME_ZONE }) {
+    const admins = new Set(adminJids.map(bareJid).filter(Boolean));
+
+    const commands = {
+        help: async () => HELP_TEXT,
+        reminders: listOpen,
+        due: listDue,
+        done: markDone,
+        add: addReminder,
+        snooze: snoozeReminder,
+    };
+
+    function parse(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed.startsWith(COMMAND_PREFIX)) return null;
+        const [name, ...args] = trimmed.slice(COMMAND_PREFIX.length).split(/\s+/);
+        const command = name.toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(commands, command)) return null;
+        return { command, args, rest: trimmed.slice(COMMAND_PREFIX.length + name.length).trim() };
+    }
+
+    // True if `text` is one of our commands (whether or not the sender may run it),
+    // so the caller can keep it out of the reminder transcript.
+    function isCommand(text) {
+        return parse(text) !== null;
+    }
+
+    function isAdmin(jid) {
+        return admins.has(bareJid(jid));
+    }
+
+    // The asking group's reminders. `group` is { groupJid, groupName }.
+    async function readGroup(store, group) {
+        return (await store.read()).filter(record => belongsToGroup(record, group));
+    }
+
+    async function findById(store, group, id) {
+        const records = await readGroup(store, group);
+        return { record: records.find(r => r.id && r.id.toLowerCase() === String(id).toLowerCase()) };
+    }
+
+    async function recordHistory(store, entries) {
+        try {
+            await store.appendHistory(entries);
+        } catch (error) {
+            log.error({ err: error }, `Failed to record change history in ${store.name}`);
+        }
+    }
+
+    async function listOpen({ store, group }) {
+        const open = (await readGroup(store, group)).filter(r => r.title && !isClosed(r)).sort(byDueDate);
+        return formatList(`*Open reminders (${open.length})*`, open);
+    }
+
+    async function listDue({ store, rest, group }) {
+        const today = todayIn(timeZone);
+        const range = (rest || 'this week').toLowerCase();
+        let from = today;
+        let to;
+        const daysMatch = /^(\d+)\s*d(ays?)?$/.exec(range);
+        if (range === 'today') {
+            to = today;
+        } else if (range === 'tomorrow') {
+            from = to = addDays(today, 1);
+        } else if (range === 'this week') {
+            to = addDays(today, (7 - dayOfWeek(today)) % 7); // Through Sunday
+        } else if (range === 'next week') {
+            from = addDays(today, ((7 - dayOfWeek(today)) % 7) + 1);
+            to = addDays(from, 6);
+        } else if (daysMatch) {
+            to = addDays(today, parseInt(daysMatch[1], 10));
+        } else {
+            return `Unknown range "${rest}". Try: today, tomorrow, this week, next week or 3d.`;
+        }
+
+        const due = (await readGroup(store, group))
+            .filter(r => r.title && !isClosed(r) && isIsoDate(r.dueDate) && r.dueDate >= from && r.dueDate <= to)
+            .sort(byDueDate);
+        return formatList(`*Due ${range}* (${formatDate(from)}${from === to ? '' : ` - ${formatDate(to)}`})`, due);
+    }
+
+    async function markDone({ store, args, group, source }) {
+        if (!args[0]) return 'Usage: !done <id>';
+        const { record } = await findById(store, group, args[0]);
+        if (!record) return `No reminder with ID ${args[0]}.`;
+        if (isClosed(record)) return `${record.id} is already ${record.status.trim().toLowerCase()}.`;
+
+        await store.upsert([{ key: record.key, status: DONE_STATUS }]);
+        await recordHistory(store, [{ timestamp: new Date().toISOString(), reminderId: record.id, title: record.title, field: 'status', oldValue: record.status || '', newValue: DONE_STATUS, source }]);
+        return `✅ Marked *${record.id}* ${record.title} as done.`;
+    }
+
+    async function addReminder({ store, rest, group, sender, source }) {
+        if (!rest) return 'Usage: !add <text>, e.g. !add DBMS assignment 3 due 2026-10-30';
+        const today = todayIn(timeZone);
+        let dueDate = '';
+        let title = rest;
+        const dateMatch = /\b(?:(?:due|by|on)\s+)?(\d{4}-\d{2}-\d{2}|today|tomorrow)\b/i.exec(rest);
+        if (dateMatch) {
+            const value = dateMatch[1].toLowerCase();
+            dueDate = value === 'today' ? today : value === 'tomorrow' ? addDays(today, 1) : value;
+            if (!isIsoDate(dueDate)) return `"${dateMatch[1]}" is not a valid date.`;
+            title = (rest.slice(0, dateMatch.index) + rest.slice(dateMatch.index + dateMatch[0].length)).replace(/\s+/g, ' ').trim() || rest;
+        }
+
+        const records = await store.read();
+        const id = generateReminderId(new Set(records.map(r => r.id).filter(Boolean)));
+        await store.append([{
+            id,
+            title,
+            dueDate,
+            description: rest,
+            icon: DEFAULT_ICON_TYPE,
+            status: DEFAULT_STATUS,
+            sourceGroup: group.groupName,
+            sourceGroupId: group.groupJid,
+            sender,
+            createdAt: new Date().toISOString(),
+        }]);
+        // Only hand out the ID once it is known to be stored, so !done and !snooze can find it
+        const { record } = await findById(store, group, id);
+        await recordHistory(store, [{ timestamp: new Date().toISOString(), reminderId: record ? id : '', title, field: 'created', oldValue: '', newValue: title, source }]);
+        const due = dueDate ? ` - due ${formatDate(dueDate)}` : '';
+        if (!record) return `📝 Added ${title}${due}, but ${store.name} didn't keep its ID, so it can't be changed from chat.`;
+        return `📝 Added *${id}* ${title}${due}.`;
+    }
+
+    async function snoozeReminder({ store, args, group, source }) {
+        if (!args[0]) return 'Usage: !snooze <id> [2d|1w]';
+        const durationMatch = /^(\d+)([dw])$/i.exec(args[1] || '1d');
+        if (!durationMatch) return `Unknown duration "${args[1]}". Use something like 2d or 1w.`;
+        const days = parseInt(durationMatch[1], 10) * (durationMatch[2].toLowerCase() === 'w' ? 7 : 1);
+
+        const { record } = await findById(store, group, args[0]);
+        if (!record) return `No reminder with ID ${args[0]}.`;
+        const baseDate = isIsoDate(record.dueDate) ? record.dueDate : todayIn(timeZone);
+        const newDueDate = addDays(baseDate, days);
+
+        await store.upsert([{ key: record.key, dueDate: newDueDate }]);
+        await recordHistory(store, [{ timestamp: new Date().toISOString(), reminderId: record.id, title: record.title, field: 'dueDate', oldValue: record.dueDate || '', newValue: newDueDate, source }]);
+        return `⏰ Snoozed *${record.id}* ${record.title} to ${formatDate(newDueDate)}.`;
+    }
+
+    // Runs a command message and returns the reply text, or null if `text` isn't a
+    // command or the sender isn't allowed to run it.
+    async function handle({ text, sender, groupJid, groupName }) {
+        const parsed = parse(text);
+        if (!parsed) return null;
+        if (!isAdmin(sender)) {
+            log.info(`Ignoring !${parsed.command} from non-admin ${sender} in ${groupName}.`);
+            return null;
+        }
+
+        log.info(`Running !${parsed.command} from ${sender} in ${groupName}.`);
+        try {
+            const store = getStoreForGroup(groupJid, groupName);
+            return await commands[parsed.command]({
+                ...parsed,
+                store,
+                sender,
+                group: { groupJid, groupName },
+                source: `!${parsed.command} by ${bareJid(sender)} in ${groupName}`,
+            });
+        } catch (error) {
+            log.error({ err: error }, `!${parsed.command} failed`);
+            return `⚠️ Couldn't run !${parsed.command}: ${error.message}`;
+        }
+    }
+
+    return { isCommand, handle, adminCount: admins.size };
+}
+
+module.exports = { createCommandHandler, formatReminder };
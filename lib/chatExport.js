@@ -0,0 +1,143 @@
+// --- WhatsApp Chat Export Parser ---
+// Reads the .txt file WhatsApp writes for "Export chat" (without media) so an old
+// group history can be replayed through the reminder pipeline. Both common layouts
+// are understood:
+//   Android: 31/12/23, 9:15 pm - Asha: Assignment due Friday
+//   iOS:     [31/12/23, 9:15:42 PM] Asha: Assignment due Friday
+// Lines that don't start with a timestamp continue the previous message. System
+// lines ("Asha added Ravi", "Asha changed the subject to ...", encryption notices) and
+// media placeholders are dropped.
+const crypto = require('crypto');
+const path = require('path');
+const { pad } = require('./dates');
+const { createLogger } = require('./logger');
+
+const log = createLogger('import');
+
+const HEADER_PATTERNS = [
+    /^\[(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4}),? (\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)?\] (.*)$/i,
+    /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4}),? (\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)? - (.*)$/i,
+];
+
+// Message bodies WhatsApp writes in place of content that isn't in the export
+const SKIPPED_BODIES = [
+    /^<media omitted>$/i,
+    /^(image|video|audio|sticker|gif|document|contact card) omitted$/i,
+    /^this message was deleted\.?$/i,
+    /^you deleted this message\.?$/i,
+    /^null$/,
+    /end-to-end encrypted/i,
+];
+const EDITED_SUFFIX = /\s*<this message was edited>$/i;
+
+// Group events WhatsApp writes as "<name> <event>". Most have no ": " and are dropped for
+// that, but a new subject or a contact's name can contain one. A name never does, so
+// "Asha: added the slides" is still a message. iOS exports put the group's name before
+// them as if it had sent them: "CSE-A: Asha added Ravi".
+const SYSTEM_EVENTS = [
+    'changed the subject (?:from .* )?to\\b',
+    'changed (?:this group\'s|the group) (?:icon|description|settings)',
+    'deleted this group\'s (?:icon|description)',
+    'created (?:the )?group\\b',
+    'added\\b',
+    'removed\\b',
+    'left$',
+    'joined using this group\'s invite link',
+    'changed their phone number',
+    'pinned a message',
+    'turned (?:on|off) disappearing messages',
+];
+const SYSTEM_LINE = new RegExp(`^[^:]+? (?:${SYSTEM_EVENTS.join('|')})`, 'i');
+
+// Strips the invisible direction marks iOS exports add and the narrow no-break space
+// newer exports put before "PM".
+function cleanLine(line) {
+    return line.replace(/[\u200e\u200f\u202a-\u202e\ufeff]/g, '').replace(/[\u202f\u00a0]/g, ' ');
+}
+
+// "WhatsApp Chat with CSE-A.txt" -> "CSE-A"
+function groupNameFromExportFile(filePath) {
+    const base = path.basename(filePath, path.extname(filePath));
+    return base.replace(/^WhatsApp Chat (with|-)\s*/i, '').trim() || base;
+}
+
+// Whether dates are day-first or month-first can only be told from a day over 12,
+// so look at every header before parsing any of them.
+function detectDateOrder(headers, fallback) {
+    if (headers.some(h => parseInt(h[1], 10) > 12)) return 'dmy';
+    if (headers.some(h => parseInt(h[2], 10) > 12)) return 'mdy';
+    return fallback;
+}
+
+function toTimestamp(header, dateOrder, utcOffset) {
+    const [, first, second, rawYear, rawHour, minute, second_ = '00', meridiem] = header;
+    const day = dateOrder === 'mdy' ? second : first;
+    const month = dateOrder === 'mdy' ? first : second;
+    const year = rawYear.length === 2 ? `20${rawYear}` : rawYear;
+    let hour = parseInt(rawHour, 10);
+    if (meridiem) {
+        const isPm = meridiem.toLowerCase().startsWith('p');
+        hour = (hour % 12) + (isPm ? 12 : 0);
+    }
+    const iso = `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${minute}:${pad(second_)}${utcOffset}`;
+    const timestamp = new Date(iso);
+    return Number.isNaN(timestamp.getTime()) ? null : timestamp;
+}
+
+// Parses an export into messages shaped like the live queue's:
+// { id, timestamp, sender, groupJid, groupName, text }. IDs are derived from the
+// message content, so importing the same file (or a longer re-export) twice gives
+// the same IDs. Options:
+//   dateOrder  'auto' (default), 'dmy' or 'mdy'
+//   utcOffset  the phone's UTC offset the times were written in, default '+05:30'
+function parseChatExport(content, { groupJid, groupName, dateOrder = 'auto', utcOffset = '+05:30' } = {}) {
+    const entries = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = cleanLine(rawLine);
+        const header = HEADER_PATTERNS.map(pattern => pattern.exec(line)).find(Boolean);
+        if (header) {
+            entries.push({ header, lines: [header[8]] });
+        } else if (entries.length > 0) {
+            entries[entries.length - 1].lines.push(line);
+        }
+    }
+
+    const order = dateOrder === 'auto' ? detectDateOrder(entries.map(e => e.header), 'dmy') : dateOrder;
+    const seen = new Map(); // content hash -> occurrences, so repeated messages keep distinct IDs
+    const messages = [];
+    let skipped = 0;
+
+    for (const { header, lines } of entries) {
+        const separator = lines[0].indexOf(': ');
+        if (separator === -1 || SYSTEM_LINE.test(lines[0])) continue; // System line, e.g. "Asha added Ravi"
+        const sender = lines[0].slice(0, separator).trim();
+        const text = [lines[0].slice(separator + 2), ...lines.slice(1)].join('\n').replace(EDITED_SUFFIX, '').trim();
+        if (!text || SKIPPED_BODIES.some(pattern => pattern.test(text))) continue;
+        if (sender === groupName && SYSTEM_LINE.test(text)) continue;
+
+        const timestamp = toTimestamp(header, order, utcOffset);
+        if (!timestamp) {
+            skipped++;
+            continue;
+        }
+
+        const hash = crypto.createHash('sha1').update(`${groupJid}\n${timestamp.toISOString()}\n${sender}\n${text}`).digest('hex').slice(0, 16);
+        const occurrence = (seen.get(hash) || 0) + 1;
+        seen.set(hash, occurrence);
+        messages.push({
+            id: `export:${hash}${occurrence > 1 ? `:${occurrence}` : ''}`,
+            timestamp,
+            sender,
+            groupJid,
+            groupName,
+            text,
+        });
+    }
+
+    if (skipped > 0) {
+        log.warn(`Skipped ${skipped} message(s) with unreadable timestamps.`);
+    }
+    return messages;
+}
+
+module.exports = { parseChatExport, groupNameFromExportFile };
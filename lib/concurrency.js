@@ -0,0 +1,20 @@
+// --- Bounded Concurrency ---
+
+// Like Promise.all(items.map(fn)), but with at most `limit` calls in flight. Results
+// keep the order of `items`. `fn` should handle its own errors; a rejection rejects
+// the whole call, as with Promise.all.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,297 @@
+// --- WhatsApp Connection Manager ---
+// Owns the one Baileys socket the bot uses, and its lifecycle:
+//   - before a new socket is made, the old one is ended and every listener that was
+//     attached to it (through `listen`) is removed, so handlers never run twice
+//   - a dropped connection is retried with exponential backoff and jitter; the delay
+//     resets once a connection opens
+//   - on logout, the stale session in `authDir` is moved aside (not deleted) and a
+//     fresh one is started, so the account can be linked again by QR code, or by
+//     pairing code when `pairingPhoneNumber` is set, without restarting the process;
+//     sessions moved aside are deleted after `archiveRetentionDays` (0 keeps them)
+//   - if another client takes over the session, it stops instead of fighting over it
+// The manager emits "state" on every change, plus "open" (socket), "close"
+// ({ code, reason, reconnectInMs }), "qr" (qr), "pairing-code" (code) and "logged-out"
+// events. metrics() returns counters for the admin API; the same counts are exported
+// at /metrics.
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { makeWASocket, useMultiFileAuthState, fetchLatestBaileysVersion, DisconnectReason } = require('@whiskeysockets/baileys');
+const { createLogger } = require('./logger');
+const { counter } = require('./metrics');
+
+const log = createLogger('connection');
+const connectsTotal = counter('reminder_bot_whatsapp_connects_total', 'WhatsApp connections opened.');
+const disconnectsTotal = counter('reminder_bot_whatsapp_disconnects_total', 'WhatsApp connections closed, by disconnect reason.', ['reason']);
+const reconnectsTotal = counter('reminder_bot_whatsapp_reconnects_total', 'Reconnects scheduled after a dropped WhatsApp connection.');
+const logoutsTotal = counter('reminder_bot_whatsapp_logouts_total', 'Times the WhatsApp session was logged out.');
+
+const DEFAULT_BASE_DELAY_MS = 2 * 1000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_ARCHIVE_RETENTION_DAYS = 30;
+const ARCHIVE_SUFFIX = '.logged-out-';
+
+// Names a disconnect status code ("loggedOut", "connectionLost", ...).
+function disconnectReasonName(code) {
+    const entry = Object.entries(DisconnectReason).find(([, value]) => value === code);
+    return entry ? entry[0] : code ? `status ${code}` : 'unknown';
+}
+
+// Full delay doubles with each failed `attempt` up to `maxDelayMs`; a random half of it
+// is added so several instances don't reconnect in lockstep.
+function backoffDelay(attempt, { baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS, random = Math.random } = {}) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(attempt - 1, 0));
+    return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+// Deletes sessions moved aside from `authDir` that haven't changed for `retentionDays`.
+// They can't be used again, and they hold the account's keys.
+function pruneArchivedSessions(authDir, retentionDays, now = Date.now()) {
+    if (retentionDays <= 0) return;
+    const parentDir = path.dirname(authDir);
+    const prefix = path.basename(authDir) + ARCHIVE_SUFFIX;
+    const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+    let names = [];
+    try {
+        names = fs.readdirSync(parentDir).filter(name => name.startsWith(prefix));
+    } catch (error) {
+        log.error({ err: error }, `Could not list archived sessions in ${parentDir}`);
+        return;
+    }
+    for (const name of names) {
+        const archivedDir = path.join(parentDir, name);
+        try {
+            if (fs.statSync(archivedDir).mtimeMs >= cutoff) continue;
+            fs.rmSync(archivedDir, { recursive: true, force: true });
+            log.info(`Deleted ${archivedDir}, unchanged for more than ${retentionDays} day(s).`);
+        } catch (error) {
+            log.error({ err: error }, `Could not delete the archived session ${archivedDir}`);
+        }
+    }
+}
+
+// Moves the logged-out session in `authDir` aside so the next socket starts a fresh
+// pairing, then prunes old ones. Returns where it went, or null.
+function archiveSession(authDir, retentionDays, now = new Date()) {
+    if (!fs.existsSync(authDir)) return null;
+    let archivedDir = `${authDir}${ARCHIVE_SUFFIX}${now.toISOString().replace(/[:.]/g, '-')}`;
+    try {
+        fs.renameSync(authDir, archivedDir);
+        log.info(`Moved the logged-out session to ${archivedDir}.`);
+    } catch (error) {
+        log.error({ err: error }, `Could not move ${authDir} aside; delete it by hand to re-link`);
+        archivedDir = null;
+    }
+    pruneArchivedSessions(authDir, retentionDays, now.getTime());
+    return archivedDir;
+}
+
+// `attach(sock, listen)` registers the bot's handlers on each new socket, using
+// listen(event, handler) so they can be removed again. `logger` is the pino logger
+// handed to Baileys.
+function createConnectionManager({
+    attach,
+    logger,
+    authDir = './auth',
+    pairingPhoneNumber = null,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    archiveRetentionDays = DEFAULT_ARCHIVE_RETENTION_DAYS,
+}) {
+    const events = new EventEmitter();
+    let sock = null;
+    let listeners = []; // [event, handler] attached to `sock`
+    let reconnectTimeoutId = null;
+    let connecting = false;
+    let stopped = false;
+    let attempt = 0; // Failed connections since the last open
+    let reconnectDelayMs = null; // Delay of the pending reconnect, if any
+    let state = 'idle'; // idle, connecting, open, reconnecting, logged-out, replaced, stopped
+    let qr = null; // { value, updatedAt } while waiting to be linked
+    let pairingCode = null;
+    const counters = {
+        connects: 0,
+        disconnects: 0,
+        reconnects: 0,
+        logouts: 0,
+        disconnectsByReason: {},
+        lastConnectedAt: null,
+        lastDisconnectedAt: null,
+        lastDisconnectReason: null,
+    };
+
+    function setState(next, detail = {}) {
+        state = next;
+        events.emit('state', { state, attempt, ...detail });
+    }
+
+    function teardown() {
+        if (!sock) return;
+        for (const [event, handler] of listeners) sock.ev.off(event, handler);
+        listeners = [];
+        try {
+            sock.end(undefined);
+        } catch (error) {
+            // Already closed
+        }
+        sock = null;
+    }
+
+    function nextDelay() {
+        return backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+    }
+
+    function scheduleReconnect(delayMs) {
+        clearTimeout(reconnectTimeoutId);
+        reconnectDelayMs = delayMs;
+        reconnectTimeoutId = setTimeout(() => {
+            reconnectTimeoutId = null;
+            reconnectDelayMs = null;
+            connect().catch(error => {
+                log.error({ err: error }, "Could not create the WhatsApp socket");
+                attempt++;
+                scheduleReconnect(nextDelay());
+            });
+        }, delayMs);
+    }
+
+    function handleClose(lastDisconnect) {
+        const code = lastDisconnect?.error?.output?.statusCode;
+        const reason = disconnectReasonName(code);
+        counters.disconnects++;
+        counters.disconnectsByReason[reason] = (counters.disconnectsByReason[reason] || 0) + 1;
+        disconnectsTotal.inc({ reason });
+        counters.lastDisconnectedAt = new Date().toISOString();
+        counters.lastDisconnectReason = reason;
+        teardown();
+        if (stopped) return;
+
+        if (code === DisconnectReason.loggedOut) {
+            counters.logouts++;
+            logoutsTotal.inc();
+            attempt = 0;
+            archiveSession(authDir, archiveRetentionDays);
+            setState('logged-out', { reason });
+            events.emit('close', { code, reason, reconnectInMs: 0 });
+            events.emit('logged-out');
+            scheduleReconnect(0); // A fresh session shows a new QR code
+            return;
+        }
+        if (code === DisconnectReason.connectionReplaced) {
+            setState('replaced', { reason });
+            events.emit('close', { code, reason, reconnectInMs: null });
+            return;
+        }
+
+        // After pairing, WhatsApp asks for an immediate restart
+        let delayMs = 0;
+        if (code !== DisconnectReason.restartRequired) {
+            attempt++;
+            delayMs = nextDelay();
+        }
+        counters.reconnects++;
+        reconnectsTotal.inc();
+        setState('reconnecting', { reason, reconnectInMs: delayMs });
+        events.emit('close', { code, reason, reconnectInMs: delayMs });
+        scheduleReconnect(delayMs);
+    }
+
+    async function requestPairingCode(currentSock) {
+        try {
+            pairingCode = await currentSock.requestPairingCode(pairingPhoneNumber);
+            log.info(`Pairing code for ${pairingPhoneNumber}: ${pairingCode} (WhatsApp > Linked devices > Link with phone number).`);
+            events.emit('pairing-code', pairingCode);
+        } catch (error) {
+            log.error({ err: error }, "Could not request a pairing code");
+        }
+    }
+
+    // Creates a new socket, replacing any current one.
+    async function connect() {
+        if (connecting || stopped) return;
+        connecting = true;
+        try {
+            teardown();
+            setState('connecting');
+            const { state: authState, saveCreds } = await useMultiFileAuthState(authDir);
+            const { version, isLatest } = await fetchLatestBaileysVersion();
+            log.info(`Connecting with WA v${version.join('.')} (isLatest: ${isLatest}), attempt ${attempt + 1}.`);
+
+            const currentSock = makeWASocket({
+                version,
+                logger,
+                printQRInTerminal: !pairingPhoneNumber,
+                auth: authState,
+            });
+            sock = currentSock;
+            const listen = (event, handler) => {
+                currentSock.ev.on(event, handler);
+                listeners.push([event, handler]);
+            };
+
+            listen('creds.update', saveCreds);
+            let pairingRequested = false;
+            listen('connection.update', ({ connection, lastDisconnect, qr: newQr }) => {
+                if (newQr) {
+                    qr = { value: newQr, updatedAt: new Date().toISOString() };
+                    events.emit('qr', newQr);
+                    if (pairingPhoneNumber && !authState.creds.registered && !pairingRequested) {
+                        pairingRequested = true;
+                        requestPairingCode(currentSock);
+                    }
+                }
+                if (connection === 'open') {
+                    attempt = 0;
+                    qr = null;
+                    pairingCode = null;
+                    counters.connects++;
+                    connectsTotal.inc();
+                    counters.lastConnectedAt = new Date().toISOString();
+                    setState('open');
+                    events.emit('open', currentSock);
+                } else if (connection === 'close' && currentSock === sock) {
+                    handleClose(lastDisconnect);
+                }
+            });
+            attach(currentSock, listen);
+        } finally {
+            connecting = false;
+        }
+    }
+
+    function start() {
+        stopped = false;
+        pruneArchivedSessions(authDir, archiveRetentionDays);
+        return connect();
+    }
+
+    function stop() {
+        stopped = true;
+        clearTimeout(reconnectTimeoutId);
+        reconnectDelayMs = null;
+        teardown();
+        setState('stopped');
+    }
+
+    function metrics() {
+        return {
+            state,
+            reconnectAttempt: attempt,
+            reconnectInMs: reconnectDelayMs,
+            connectedForSeconds: state === 'open' && counters.lastConnectedAt ? Math.round((Date.now() - Date.parse(counters.lastConnectedAt)) / 1000) : 0,
+            ...counters,
+            disconnectsByReason: { ...counters.disconnectsByReason },
+        };
+    }
+
+    return {
+        start,
+        stop,
+        on: (event, handler) => events.on(event, handler),
+        getState: () => state,
+        getQr: () => ({ qr: qr?.value || null, updatedAt: qr?.updatedAt || null, pairingCode }),
+        metrics,
+    };
+}
+
+module.exports = { createConnectionManager, disconnectReasonName, backoffDelay, archiveSession, pruneArchivedSessions };
@@ -0,0 +1,107 @@
+// --- Cron Expressions ---
+// Standard five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in a given timezone. Each field takes *, numbers, ranges (1-5), lists
+// (1,15) and steps (*/15, 9-17/2); months and weekdays also take three-letter names
+// (jan, mon). As in cron, when both day fields are restricted a time matches if
+// either one does. @hourly, @daily, @weekly and @monthly are accepted too.
+const { todayIn, dayOfWeek, DEFAULT_TIME_ZONE } = require('./dates');
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+};
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+function parseValue(text, field, expression) {
+    const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = nameIndex !== -1 ? nameIndex + field.offset : Number(text);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} "${text}" in cron expression "${expression}".`);
+    }
+    return value;
+}
+
+// Returns the set of values a field matches.
+function parseField(text, field, expression) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepText}" in cron expression "${expression}".`);
+        let [from, to] = [field.min, field.max];
+        if (range !== '*') {
+            const [start, end] = range.split('-');
+            from = parseValue(start, field, expression);
+            to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expression);
+        }
+        if (from > to) throw new Error(`Invalid range "${range}" in cron expression "${expression}".`);
+        for (let value = from; value <= to; value += step) values.add(value);
+    }
+    return values;
+}
+
+// The time in `timeZone` as cron fields: { minute, hour, day, month, weekday }.
+function localTimeParts(timeZone, now = new Date()) {
+    const date = todayIn(timeZone, now);
+    const [hours, minutes] = now.toLocaleTimeString('en-GB', { timeZone, hour12: false }).split(':');
+    return {
+        minute: parseInt(minutes, 10),
+        hour: parseInt(hours, 10) % 24,
+        day: parseInt(date.slice(8, 10), 10),
+        month: parseInt(date.slice(5, 7), 10),
+        weekday: dayOfWeek(date),
+    };
+}
+
+// Returns { expression, matches(date), next(after) }. Throws on an invalid expression.
+function parseCron(expression, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const source = String(expression || '').trim();
+    const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+    if (fields.length !== 5) throw new Error(`Cron expression "${source}" must have 5 fields (minute hour day-of-month month day-of-week).`);
+    const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index], source));
+    if (weekdays.has(7)) weekdays.add(0); // 7 is Sunday too
+    const dayRestricted = fields[2] !== '*';
+    const weekdayRestricted = fields[4] !== '*';
+
+    function dayMatches(parts) {
+        if (!months.has(parts.month)) return false;
+        if (dayRestricted && weekdayRestricted) return days.has(parts.day) || weekdays.has(parts.weekday);
+        return days.has(parts.day) && weekdays.has(parts.weekday);
+    }
+
+    function matches(date = new Date()) {
+        const parts = localTimeParts(timeZone, date);
+        return minutes.has(parts.minute) && hours.has(parts.hour) && dayMatches(parts);
+    }
+
+    // The first whole minute after `after` that matches, or null within a year. Days and
+    // hours that can't match are skipped whole.
+    function next(after = new Date()) {
+        const candidate = new Date(after);
+        candidate.setSeconds(0, 0);
+        candidate.setTime(candidate.getTime() + 60 * 1000);
+        const limit = candidate.getTime() + MAX_LOOKAHEAD_MINUTES * 60 * 1000;
+        while (candidate.getTime() < limit) {
+            const parts = localTimeParts(timeZone, candidate);
+            let skipMinutes = 0;
+            if (!dayMatches(parts)) skipMinutes = 24 * 60 - (parts.hour * 60 + parts.minute);
+            else if (!hours.has(parts.hour)) skipMinutes = 60 - parts.minute;
+            else if (minutes.has(parts.minute)) return candidate;
+            candidate.setTime(candidate.getTime() + Math.max(skipMinutes, 1) * 60 * 1000);
+        }
+        return null;
+    }
+
+    return { expression: source, matches, next };
+}
+
+module.exports = { parseCron, localTimeParts };
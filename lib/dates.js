@@ -0,0 +1,45 @@
+// --- Date Helpers ---
+// Reminders store due dates as plain "YYYY-MM-DD" strings in the group's local
+// timezone (Asia/Kolkata by default, matching the extraction prompt), so date math
+// here works on those strings rather than on Date objects in the server's timezone.
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Today's date in `timeZone` as YYYY-MM-DD
+function todayIn(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+    return now.toLocaleDateString('en-CA', { timeZone });
+}
+
+// True for a real calendar date in YYYY-MM-DD form ("2026-02-30" is rejected)
+function isIsoDate(value) {
+    if (!ISO_DATE_PATTERN.test(value || '')) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function addDays(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// 5 -> "05", for building dates and times
+const pad = (value) => String(value).padStart(2, '0');
+
+// Whole days from `fromDate` to `toDate` (negative if `toDate` is earlier)
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+// 0 = Sunday ... 6 = Saturday
+function dayOfWeek(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+}
+
+// "Sat, 25 Oct"
+function formatDate(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-IN', { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+module.exports = { DEFAULT_TIME_ZONE, todayIn, isIsoDate, pad, addDays, daysBetween, dayOfWeek, formatDate };
@@ -0,0 +1,110 @@
+// --- Per-Group Configuration ---
+// Decides which WhatsApp groups are ingested and which spreadsheet/tab each group's
+// reminders are synced to. Rules are read from a JSON file, e.g.:
+//
+// {
+//   "defaultAction": "include",
+//   "groups": [
+//     { "jid": "120363000000000000@g.us", "sheetName": "CSE-A" },
+//     { "subject": "/announcements?/i", "action": "exclude" },
+//     { "subject": "DBMS", "spreadsheetId": "1AbC...", "sheetName": "DBMS" }
+//   ]
+// }
+//
+// Rules are checked in order and the first match wins. `jid` may be a string or an
+// array of JIDs. `subject` is a case-insensitive substring, or a "/regex/flags" string.
+const fs = require('fs');
+const { readJsonFile } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('group-config');
+
+const VALID_ACTIONS = ['include', 'exclude'];
+
+function parseSubjectPattern(pattern) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2]);
+    const needle = pattern.toLowerCase();
+    return { test: (subject) => subject.toLowerCase().includes(needle) };
+}
+
+function compileRule(rule, index) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Group config rule #${index + 1} must be an object.`);
+    }
+    if (!rule.jid && !rule.subject) {
+        throw new Error(`Group config rule #${index + 1} needs a "jid" or "subject" to match on.`);
+    }
+    const action = rule.action || 'include';
+    if (!VALID_ACTIONS.includes(action)) {
+        throw new Error(`Group config rule #${index + 1} has invalid action "${action}" (expected ${VALID_ACTIONS.join(' or ')}).`);
+    }
+    const jids = rule.jid ? [].concat(rule.jid) : null;
+    const subjectPattern = rule.subject ? parseSubjectPattern(rule.subject) : null;
+
+    return {
+        index,
+        action,
+        spreadsheetId: rule.spreadsheetId,
+        sheetName: rule.sheetName,
+        matches(jid, subject) {
+            if (jids && !jids.includes(jid)) return false;
+            if (subjectPattern && !subjectPattern.test(subject || '')) return false;
+            return true;
+        },
+    };
+}
+
+// Loads the config file (if present) and returns a resolver. `defaults` supplies the
+// spreadsheet/tab used when neither the file nor a matching rule names one.
+function loadGroupConfig(configPath, defaults = {}) {
+    let raw = {};
+    if (configPath && fs.existsSync(configPath)) {
+        try {
+            raw = readJsonFile(configPath);
+        } catch (error) {
+            throw new Error(`Failed to parse group config "${configPath}": ${error.message}`);
+        }
+        log.info(`Loaded ${(raw.groups || []).length} group rule(s) from ${configPath}.`);
+    } else {
+        log.info(`No group config found at ${configPath}. All groups will be ingested into the default sheet.`);
+    }
+
+    const defaultAction = raw.defaultAction || 'include';
+    if (!VALID_ACTIONS.includes(defaultAction)) {
+        throw new Error(`Group config has invalid defaultAction "${defaultAction}".`);
+    }
+    if (raw.groups !== undefined && !Array.isArray(raw.groups)) {
+        throw new Error('Group config "groups" must be an array of rules.');
+    }
+    const rules = (raw.groups || []).map(compileRule);
+    const defaultSpreadsheetId = raw.spreadsheetId || defaults.spreadsheetId;
+    const defaultSheetName = raw.sheetName || defaults.sheetName;
+
+    // Returns { included, spreadsheetId, sheetName, ruleIndex } for a group.
+    function resolveGroup(jid, subject) {
+        const rule = rules.find(r => r.matches(jid, subject));
+        return {
+            included: (rule ? rule.action : defaultAction) === 'include',
+            spreadsheetId: rule?.spreadsheetId || defaultSpreadsheetId,
+            sheetName: rule?.sheetName || defaultSheetName,
+            ruleIndex: rule ? rule.index : null,
+        };
+    }
+
+    // Every distinct { spreadsheetId, sheetName } that included groups can route to.
+    function listTargets() {
+        const targets = new Map();
+        const addTarget = (spreadsheetId, sheetName) => targets.set(`${spreadsheetId}::${sheetName}`, { spreadsheetId, sheetName });
+        if (defaultAction === 'include') addTarget(defaultSpreadsheetId, defaultSheetName);
+        for (const rule of rules) {
+            if (rule.action !== 'include') continue;
+            addTarget(rule.spreadsheetId || defaultSpreadsheetId, rule.sheetName || defaultSheetName);
+        }
+        return [...targets.values()];
+    }
+
+    return { resolveGroup, listTargets };
+}
+
+module.exports = { loadGroupConfig };
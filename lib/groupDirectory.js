@@ -0,0 +1,208 @@
+// --- Group Directory ---
+// Caches group metadata (subject and who the admins are) and sender names, so messages
+// don't each cost a groupMetadata() call and transcripts can say who wrote what:
+//   - metadata is fetched once per group and kept in DATA_DIR/group-metadata.json;
+//     groups.update and group-participants.update events keep it current, and an
+//     entry older than `maxAgeMs` is fetched again (the stale copy is used if that fails)
+//   - sender names come from the participant config, else from the push names seen on
+//     messages, else the sender's number is used
+//   - senders are "authoritative" when the participant config says so (e.g. teachers),
+//     or when they are admins of the group and `trustGroupAdmins` is on
+// The participant config is a JSON file, e.g.:
+//
+// {
+//   "trustGroupAdmins": true,
+//   "people": [
+//     { "jid": "919876543210", "name": "Prof. Rao", "role": "teacher" },
+//     { "jid": "919812345678", "name": "Ravi (CR)", "role": "class rep", "authoritative": false }
+//   ]
+// }
+//
+// `jid` is a phone number with country code or a full JID. People with a role are
+// authoritative unless `authoritative` is false.
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { bareJid } = require('./jid');
+const { createLogger } = require('./logger');
+
+const log = createLogger('group-directory');
+
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+// Loads the participant config (if present). Returns { trustGroupAdmins, people }
+// where `people` maps bare numbers to { name, role, authoritative }.
+function loadParticipantConfig(configPath) {
+    let raw = {};
+    if (configPath && fs.existsSync(configPath)) {
+        try {
+            raw = readJsonFile(configPath);
+        } catch (error) {
+            throw new Error(`Failed to parse participant config "${configPath}": ${error.message}`);
+        }
+        log.info(`Loaded ${(raw.people || []).length} participant(s) from ${configPath}.`);
+    }
+    if (raw.people !== undefined && !Array.isArray(raw.people)) {
+        throw new Error('Participant config "people" must be an array.');
+    }
+
+    const people = new Map();
+    (raw.people || []).forEach((person, index) => {
+        if (!person || typeof person !== 'object' || !bareJid(person.jid)) {
+            throw new Error(`Participant config entry #${index + 1} needs a "jid".`);
+        }
+        people.set(bareJid(person.jid), {
+            name: person.name || null,
+            role: person.role || null,
+            // null: not set, so being a group admin decides
+            authoritative: person.authoritative !== undefined ? Boolean(person.authoritative) : person.role ? true : null,
+        });
+    });
+    return { trustGroupAdmins: raw.trustGroupAdmins !== false, people };
+}
+
+// Participants arrive as JID strings or as { id, admin } objects depending on the event.
+function participantId(participant) {
+    return typeof participant === 'string' ? participant : participant?.id;
+}
+
+function createGroupDirectory({
+    stateDir = './data',
+    participantConfig = { trustGroupAdmins: true, people: new Map() },
+    maxAgeMs = DEFAULT_MAX_AGE_MS,
+} = {}) {
+    const statePath = path.join(stateDir, 'group-metadata.json');
+    // groups: jid -> { subject, admins: { bareJid: "admin"|"superadmin" }, participantCount, fetchedAt }
+    // names: bareJid -> push name
+    let state = { groups: {}, names: {} };
+    const inFlight = new Map(); // jid -> pending groupMetadata() promise
+
+    function load() {
+        try {
+            const saved = readJsonFile(statePath);
+            if (saved) state = { groups: saved.groups || {}, names: saved.names || {} };
+        } catch (error) {
+            log.error({ err: error }, `Could not read ${statePath}, starting with an empty cache`);
+        }
+    }
+
+    function save() {
+        try {
+            writeJsonFile(statePath, state);
+        } catch (error) {
+            log.error({ err: error }, `Could not save ${statePath}`);
+        }
+    }
+
+    // Stores metadata as returned by groupMetadata() or groupFetchAllParticipating().
+    function storeMetadata(metadata) {
+        const admins = {};
+        for (const participant of metadata.participants || []) {
+            if (ADMIN_ROLES.includes(participant.admin)) admins[bareJid(participant.id)] = participant.admin;
+            const name = participant.notify || participant.name;
+            if (name) state.names[bareJid(participant.id)] = name;
+        }
+        state.groups[metadata.id] = {
+            subject: metadata.subject || state.groups[metadata.id]?.subject || null,
+            admins,
+            participantCount: (metadata.participants || []).length,
+            fetchedAt: new Date().toISOString(),
+        };
+        return state.groups[metadata.id];
+    }
+
+    function isFresh(entry) {
+        return Boolean(entry) && Date.now() - Date.parse(entry.fetchedAt) < maxAgeMs;
+    }
+
+    // Returns the group's cached metadata ({ subject, admins, ... }), fetching it with
+    // `sock` when missing or stale. Returns null if it isn't cached and can't be fetched.
+    async function get(sock, groupJid) {
+        const cached = state.groups[groupJid];
+        if (isFresh(cached)) return cached;
+        if (!inFlight.has(groupJid)) {
+            inFlight.set(groupJid, sock.groupMetadata(groupJid)
+                .then(metadata => {
+                    const entry = storeMetadata({ ...metadata, id: groupJid });
+                    save();
+                    return entry;
+                })
+                .catch(error => {
+                    log.warn(`Could not fetch metadata for group ${groupJid}: ${error.message}`);
+                    return cached || null;
+                })
+                .finally(() => inFlight.delete(groupJid)));
+        }
+        return inFlight.get(groupJid);
+    }
+
+    // Fills the cache from groupFetchAllParticipating() ({ jid: metadata }), one request
+    // for every group, e.g. right after connecting.
+    function prime(groupsByJid) {
+        const groups = Object.values(groupsByJid || {});
+        for (const metadata of groups) storeMetadata(metadata);
+        if (groups.length > 0) save();
+        return groups.length;
+    }
+
+    // groups.update: partial metadata, e.g. { id, subject } after a rename.
+    function applyGroupUpdates(updates) {
+        let changed = false;
+        for (const update of updates || []) {
+            const entry = state.groups[update.id];
+            if (update.participants) {
+                storeMetadata({ ...update, subject: update.subject || entry?.subject });
+            } else if (entry && update.subject && update.subject !== entry.subject) {
+                entry.subject = update.subject;
+            } else {
+                continue;
+            }
+            changed = true;
+        }
+        if (changed) save();
+    }
+
+    // group-participants.update: { id, participants, action } where action is add,
+    // remove, promote or demote. Keeps the admin list and participant count current.
+    function applyParticipantsUpdate({ id, participants, action }) {
+        const entry = state.groups[id];
+        if (!entry) return;
+        for (const participant of participants || []) {
+            const jid = bareJid(participantId(participant));
+            if (action === 'promote') entry.admins[jid] = 'admin';
+            else if (action === 'demote' || action === 'remove') delete entry.admins[jid];
+        }
+        if (action === 'add') entry.participantCount += (participants || []).length;
+        if (action === 'remove') entry.participantCount = Math.max(entry.participantCount - (participants || []).length, 0);
+        save();
+    }
+
+    // Remembers the push name a message was sent with. Saved only when it changes.
+    function noteName(senderJid, pushName) {
+        const jid = bareJid(senderJid);
+        if (!jid || !pushName || state.names[jid] === pushName) return;
+        state.names[jid] = pushName;
+        save();
+    }
+
+    // How a sender appears in the transcript: { senderName, senderRole, authoritative }.
+    function resolveSender(groupJid, senderJid) {
+        const jid = bareJid(senderJid);
+        const person = participantConfig.people.get(jid);
+        const groupRole = state.groups[groupJid]?.admins[jid];
+        const senderName = person?.name || state.names[jid] || jid;
+        if (person?.role) return { senderName, senderRole: person.role, authoritative: person.authoritative };
+        if (groupRole) return { senderName, senderRole: 'group admin', authoritative: person?.authoritative ?? participantConfig.trustGroupAdmins };
+        return { senderName, senderRole: null, authoritative: person?.authoritative === true };
+    }
+
+    function subjectOf(groupJid) {
+        return state.groups[groupJid]?.subject || null;
+    }
+
+    load();
+    return { get, prime, applyGroupUpdates, applyParticipantsUpdate, noteName, resolveSender, subjectOf };
+}
+
+module.exports = { createGroupDirectory, loadParticipantConfig };
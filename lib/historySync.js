@@ -0,0 +1,16 @@
+// --- History Sync ---
+// Which messages from a WhatsApp history sync (messaging-history.set) get queued: those
+// from the last `days` days that the queue hasn't already processed. There is no cutoff
+// at the last run: the catch-up run after connecting usually finishes before the history
+// arrives, so such a cutoff would throw away the very messages sent while offline.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `messages` are normalized messages ({ id, text, timestamp, ... }); returns those to queue.
+function selectSyncedMessages(messages, { days, messageQueue, now = Date.now() }) {
+    const since = now - days * DAY_MS;
+    return messages.filter(message => message.text
+        && message.timestamp.getTime() >= since
+        && !messageQueue.wasProcessed(message.id));
+}
+
+module.exports = { selectSyncedMessages };
@@ -0,0 +1,8 @@
+// --- WhatsApp JIDs ---
+
+// "919876543210:12@s.whatsapp.net" -> "919876543210"
+function bareJid(jid) {
+    return String(jid || '').split('@')[0].split(':')[0];
+}
+
+module.exports = { bareJid };
@@ -0,0 +1,28 @@
+// --- JSON Files ---
+// Reading and saving the JSON files the bot keeps (state in DATA_DIR, configs,
+// recordings). Saves write a temporary file next to the target and rename it over the
+// target, so a crash mid-write leaves the previous version instead of a truncated file.
+const fs = require('fs');
+const path = require('path');
+
+// Replaces `filePath` with `content`, creating its directory if needed.
+function writeFileAtomic(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = filePath + '.tmp';
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+}
+
+// The parsed contents of `filePath`, or `fallback` if there is no such file. Throws if
+// the file isn't valid JSON; callers decide whether that's fatal.
+function readJsonFile(filePath, fallback = null) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// `indent` 0 writes compact JSON, for files that can grow large.
+function writeJsonFile(filePath, value, { indent = 2 } = {}) {
+    writeFileAtomic(filePath, JSON.stringify(value, null, indent) + '\n');
+}
+
+module.exports = { readJsonFile, writeJsonFile, writeFileAtomic };
@@ -0,0 +1,21 @@
+// --- Google Gemini Provider ---
+// Structured output through the AI SDK's Google provider. The API key defaults to
+// the GOOGLE_GENERATIVE_AI_API_KEY env variable.
+const { generateObject } = require('ai');
+const { createGoogleGenerativeAI } = require('@ai-sdk/google');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash-latest';
+
+function createGoogleProvider({ model = DEFAULT_MODEL, apiKey } = {}) {
+    if (!apiKey) throw new Error('The "google" LLM provider needs GOOGLE_GENERATIVE_AI_API_KEY.');
+    const google = createGoogleGenerativeAI({ apiKey });
+
+    async function generate({ schema, prompt, abortSignal }) {
+        const { object } = await generateObject({ model: google(model), schema, prompt, abortSignal });
+        return object;
+    }
+
+    return { name: 'google', model, generate };
+}
+
+module.exports = { createGoogleProvider };
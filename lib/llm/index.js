@@ -0,0 +1,105 @@
+// --- LLM Providers ---
+// Reminder extraction can run on any of these providers, tried in order until one
+// returns a result that matches the schema:
+//   google  Gemini via @ai-sdk/google (GOOGLE_GENERATIVE_AI_API_KEY)
+//   openai  OpenAI or an OpenAI-compatible server (OPENAI_API_KEY, OPENAI_BASE_URL)
+//   ollama  a local Ollama server (OLLAMA_BASE_URL, default http://localhost:11434/v1)
+//   mock    deterministic keyword rules, no network needed (see mockProvider.js)
+//   recorded  responses replayed from a file (LLM_RECORDINGS_FILE, see recordedProvider.js)
+// LLM_PROVIDERS lists the chain as "provider[:model]" entries, e.g.
+// "google:gemini-1.5-flash-latest,ollama:llama3.1,mock".
+const { createGoogleProvider } = require('./googleProvider');
+const { createOpenAiCompatibleProvider } = require('./openAiProvider');
+const { createMockProvider } = require('./mockProvider');
+const { createRecordedProvider, saveRecording } = require('./recordedProvider');
+const { createLogger } = require('../logger');
+const { counter, histogram } = require('../metrics');
+
+const log = createLogger('llm');
+const llmCalls = counter('reminder_bot_llm_calls_total', 'LLM provider calls, by provider and outcome (success or error).', ['provider', 'outcome']);
+const llmCallDuration = histogram('reminder_bot_llm_call_duration_seconds', 'How long LLM provider calls took, by provider.', { labelNames: ['provider'] });
+
+const PROVIDER_TYPES = ['google', 'openai', 'ollama', 'mock', 'recorded'];
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+
+// "google:gemini-1.5-flash,mock" -> [{ type: 'google', model: 'gemini-1.5-flash' }, { type: 'mock' }]
+function parseProviderChain(spec) {
+    return String(spec || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        const type = (separator === -1 ? entry : entry.slice(0, separator)).trim().toLowerCase();
+        const model = separator === -1 ? undefined : entry.slice(separator + 1).trim() || undefined;
+        if (!PROVIDER_TYPES.includes(type)) {
+            throw new Error(`Unknown LLM provider "${type}" (expected one of: ${PROVIDER_TYPES.join(', ')}).`);
+        }
+        return { type, model };
+    });
+}
+
+function createProvider({ type, model }, settings) {
+    switch (type) {
+        case 'google':
+            return createGoogleProvider({ model, ...settings.google });
+        case 'openai':
+        case 'ollama':
+            return createOpenAiCompatibleProvider({ name: type, model, ...settings[type] });
+        case 'mock':
+            return createMockProvider({ model, ...settings.mock });
+        case 'recorded':
+            return createRecordedProvider({ model, ...settings.recorded });
+        default:
+            throw new Error(`Unknown LLM provider "${type}".`);
+    }
+}
+
+// Per-provider settings from the environment variables listed above.
+function llmSettingsFromEnv(env = process.env) {
+    return {
+        google: { apiKey: env.GOOGLE_GENERATIVE_AI_API_KEY },
+        openai: { apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL || undefined },
+        ollama: { baseURL: env.OLLAMA_BASE_URL || undefined },
+        recorded: { filePath: env.LLM_RECORDINGS_FILE || undefined },
+    };
+}
+
+// `chain` is a list from parseProviderChain(); `settings` holds per-provider options
+// such as { google: { apiKey }, openai: { apiKey, baseURL }, ollama: { baseURL } }.
+// Throws at startup if the chain is empty or a provider is missing its settings. With
+// `recordTo`, every response from a live provider is saved to that file for replay.
+function createLlmClient({ chain, settings = {}, timeoutMs = DEFAULT_TIMEOUT_MS, recordTo }) {
+    if (!chain || chain.length === 0) {
+        throw new Error(`No LLM provider configured. Set LLM_PROVIDERS (one or more of: ${PROVIDER_TYPES.join(', ')}) or GOOGLE_GENERATIVE_AI_API_KEY.`);
+    }
+    const providers = chain.map(entry => createProvider(entry, settings));
+
+    // Returns { object, provider } from the first provider that succeeds. `context`
+    // ({ messages, referenceDate }) is for providers that don't read the prompt.
+    async function generateObject({ schema, prompt, context }) {
+        const errors = [];
+        for (const provider of providers) {
+            const label = `${provider.name}:${provider.model}`;
+            const endTimer = llmCallDuration.startTimer({ provider: label });
+            try {
+                const object = await provider.generate({ schema, prompt, context, abortSignal: AbortSignal.timeout(timeoutMs) });
+                endTimer();
+                llmCalls.inc({ provider: label, outcome: 'success' });
+                if (errors.length > 0) log.info(`Fell back to ${label} after ${errors.length} failed provider(s).`);
+                if (recordTo && provider.name !== 'recorded') saveRecording(recordTo, prompt, label, object);
+                return { object, provider: label };
+            } catch (error) {
+                endTimer();
+                llmCalls.inc({ provider: label, outcome: 'error' });
+                log.error(`${label} failed: ${error.message}`);
+                errors.push(`${label}: ${error.message}`);
+            }
+        }
+        throw new Error(`All LLM providers failed (${errors.join('; ')})`);
+    }
+
+    function describe() {
+        return providers.map(provider => `${provider.name}:${provider.model}`).join(' -> ');
+    }
+
+    return { generateObject, describe };
+}
+
+module.exports = { createLlmClient, parseProviderChain, llmSettingsFromEnv, PROVIDER_TYPES };
@@ -0,0 +1,148 @@
+// --- Mock (Rule-Based) Provider ---
+// A deterministic stand-in for an LLM, so the pipeline can run without network
+// access: in development, in demos and for offline evaluation. It reads the batch's
+// messages directly rather than the prompt, and turns any message that mentions an
+// academic keyword (assignment, exam, submit, ...) into a reminder:
+//   - title: the message's first sentence, cut to 10 words
+//   - due date: the first date found (2026-03-20, 20/03, 20 March, March 20th,
+//     today, tomorrow, day after tomorrow, on Friday), read relative to when the
+//     message was sent; dates written without a year are taken as the next one
+//   - due time ("5 pm", "17:30"), recurrence ("every Monday"), category and priority
+//     from keywords; confidence is higher when a date was found
+// Attachment text is scanned line by line in the same way. Reminders with the same
+// title are merged.
+const { todayIn, isIsoDate, pad, addDays, dayOfWeek, DEFAULT_TIME_ZONE } = require('../dates');
+
+const KEYWORDS = /\b(assignments?|exams?|examinations?|tests?|quiz(zes)?|submit|submissions?|deadlines?|due|lab|records?|projects?|presentations?|seminars?|viva|holidays?|meetings?|fees?|registrations?|register|events?|workshops?|webinars?|hackathon|internals?|mid-?terms?|syllabus|last date|cancelled|postponed|rescheduled)\b/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const CATEGORY_PATTERNS = [
+    ['exam', /\b(exams?|examinations?|tests?|quiz(zes)?|mid-?terms?|internals?|viva)\b/i],
+    ['assignment', /\b(assignments?|submit|submissions?|records?|projects?|homework)\b/i],
+    ['event', /\b(events?|seminars?|workshops?|webinars?|meetings?|hackathon|holidays?|fest)\b/i],
+];
+const HIGH_PRIORITY = /\b(urgent|important|mandatory|compulsory|last date|final)\b/i;
+const MAX_TITLE_WORDS = 10;
+const MAX_DESCRIPTION_CHARS = 500;
+
+// Dates written without a year are assumed to be the next such date on or after `today`.
+function withYear(today, month, day) {
+    const year = parseInt(today.slice(0, 4), 10);
+    const candidate = `${year}-${pad(month)}-${pad(day)}`;
+    if (!isIsoDate(candidate)) return null;
+    return candidate >= today ? candidate : `${year + 1}-${pad(month)}-${pad(day)}`;
+}
+
+function fullYear(year) {
+    return year.length === 2 ? `20${year}` : year;
+}
+
+// Finds the first date in `text` and returns it as YYYY-MM-DD, or null.
+function findDueDate(text, today) {
+    const lower = text.toLowerCase();
+    const matchers = [
+        [/\b(\d{4})-(\d{2})-(\d{2})\b/, m => `${m[1]}-${m[2]}-${m[3]}`],
+        [/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/, m => `${fullYear(m[3])}-${pad(m[2])}-${pad(m[1])}`],
+        [/\b(\d{1,2})[/-](\d{1,2})\b/, m => withYear(today, m[2], m[1])],
+        [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}(?:\\s+(\\d{4}))?`), m => m[3] ? `${m[3]}-${pad(MONTHS.indexOf(m[2]) + 1)}-${pad(m[1])}` : withYear(today, MONTHS.indexOf(m[2]) + 1, m[1])],
+        [new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`), m => m[3] ? `${m[3]}-${pad(MONTHS.indexOf(m[1]) + 1)}-${pad(m[2])}` : withYear(today, MONTHS.indexOf(m[1]) + 1, m[2])],
+        [/\bday after tomorrow\b/, () => addDays(today, 2)],
+        [/\b(tomorrow|tmrw|tmr)\b/, () => addDays(today, 1)],
+        [/\b(today|tonight)\b/, () => today],
+        [new RegExp(`\\b(${WEEKDAYS.join('|')})\\b`), m => addDays(today, ((WEEKDAYS.indexOf(m[1]) - dayOfWeek(today) + 6) % 7) + 1)],
+    ];
+
+    let best = null;
+    for (const [pattern, toDate] of matchers) {
+        const match = pattern.exec(lower);
+        if (!match) continue;
+        const date = toDate(match);
+        if (isIsoDate(date) && (!best || match.index < best.index)) best = { index: match.index, date };
+    }
+    return best ? best.date : null;
+}
+
+// "5 pm", "5:30pm", "17:30" -> "HH:MM", or null
+function findDueTime(text) {
+    const twelveHour = /\b(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?m\b/i.exec(text);
+    if (twelveHour && parseInt(twelveHour[1], 10) <= 12) {
+        const hours = (parseInt(twelveHour[1], 10) % 12) + (twelveHour[3].toLowerCase() === 'p' ? 12 : 0);
+        return `${pad(hours)}:${twelveHour[2] || '00'}`;
+    }
+    const twentyFourHour = /\b([01]?\d|2[0-3]):([0-5]\d)\b/.exec(text);
+    return twentyFourHour ? `${pad(twentyFourHour[1])}:${twentyFourHour[2]}` : null;
+}
+
+function findRecurrence(text) {
+    const match = new RegExp(`\\bevery (day|week|month|${WEEKDAYS.join('|')})\\b`, 'i').exec(text);
+    return match ? `every ${match[1].toLowerCase()}` : null;
+}
+
+function makeTitle(text) {
+    const firstSentence = text
+        .replace(/https?:\/\/\S+/g, '')
+        .split(/[.!?\n]/)
+        .map(part => part.replace(/[*_~]/g, '').replace(/\s+/g, ' ').trim())
+        .find(Boolean) || '';
+    return firstSentence.split(' ').slice(0, MAX_TITLE_WORDS).join(' ');
+}
+
+// One candidate per keyword message, plus one per keyword line of attachment text.
+// `ref` is the message's transcript line number.
+function candidatesFrom(message, ref, timeZone) {
+    const today = todayIn(timeZone, message.timestamp);
+    const candidates = [];
+    if (message.text && KEYWORDS.test(message.text)) {
+        candidates.push({ text: message.text, today, ref });
+    }
+    if (message.attachment) {
+        for (const line of message.attachment.text.split('\n')) {
+            if (KEYWORDS.test(line)) candidates.push({ text: line, today, ref, attachment: message.attachment.name });
+        }
+    }
+    return candidates;
+}
+
+function extractReminders(messages, timeZone) {
+    const byTitle = new Map();
+    messages.forEach((message, index) => {
+        for (const candidate of candidatesFrom(message, index + 1, timeZone)) {
+            const title = makeTitle(candidate.text);
+            if (!title) continue;
+            const key = title.toLowerCase();
+            const dueDate = findDueDate(candidate.text, candidate.today);
+            const existing = byTitle.get(key);
+            if (existing) {
+                if (!existing.due_date && dueDate) existing.due_date = dueDate;
+                if (!existing.source_message_refs.includes(candidate.ref)) existing.source_message_refs.push(candidate.ref);
+                continue;
+            }
+            const dueTime = findDueTime(candidate.text);
+            const recurrence = findRecurrence(candidate.text);
+            byTitle.set(key, {
+                title,
+                description: candidate.text.replace(/\s+/g, ' ').trim().slice(0, MAX_DESCRIPTION_CHARS),
+                ...(dueDate && { due_date: dueDate }),
+                ...(dueTime && { due_time: dueTime }),
+                category: (CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(candidate.text)) || ['info'])[0],
+                priority: HIGH_PRIORITY.test(candidate.text) ? 'high' : 'medium',
+                ...(recurrence && { recurrence }),
+                confidence: dueDate ? 0.7 : 0.5,
+                ...(candidate.attachment && { source_attachment: candidate.attachment }),
+                source_message_refs: [candidate.ref],
+            });
+        }
+    });
+    return [...byTitle.values()];
+}
+
+function createMockProvider({ model = 'rules', timeZone = DEFAULT_TIME_ZONE } = {}) {
+    async function generate({ schema, context = {} }) {
+        return schema.parse(extractReminders(context.messages || [], timeZone));
+    }
+
+    return { name: 'mock', model, generate };
+}
+
+module.exports = { createMockProvider, findDueDate, findDueTime };
@@ -0,0 +1,52 @@
+// --- OpenAI-Compatible Provider ---
+// Structured output through the AI SDK's OpenAI provider (the optional
+// `@ai-sdk/openai` package). It covers OpenAI itself, any server with an
+// OpenAI-compatible API (OPENAI_BASE_URL) and local Ollama servers, which are asked
+// for plain JSON since most local models don't support tool calls.
+const { generateObject } = require('ai');
+
+const DEFAULTS = {
+    openai: { model: 'gpt-4o-mini', baseURL: undefined },
+    ollama: { model: 'llama3.1', baseURL: 'http://localhost:11434/v1' },
+};
+
+function loadOpenAi() {
+    try {
+        return require('@ai-sdk/openai');
+    } catch (error) {
+        throw new Error(`The OpenAI-compatible LLM providers need the "@ai-sdk/openai" package. Install it with "npm install @ai-sdk/openai". (${error.message.split('\n')[0]})`);
+    }
+}
+
+// `name` is "openai" or "ollama". An OpenAI key is required unless a custom base URL
+// is set; Ollama ignores the key.
+function createOpenAiCompatibleProvider({ name = 'openai', model, baseURL, apiKey } = {}) {
+    const defaults = DEFAULTS[name];
+    const resolvedModel = model || defaults.model;
+    const resolvedBaseURL = baseURL || defaults.baseURL;
+    if (name === 'openai' && !apiKey && !resolvedBaseURL) {
+        throw new Error('The "openai" LLM provider needs OPENAI_API_KEY (or OPENAI_BASE_URL for a compatible server).');
+    }
+
+    const { createOpenAI } = loadOpenAi();
+    const openai = createOpenAI({
+        baseURL: resolvedBaseURL,
+        apiKey: apiKey || name,
+        compatibility: name === 'openai' && !baseURL ? 'strict' : 'compatible',
+    });
+
+    async function generate({ schema, prompt, abortSignal }) {
+        const { object } = await generateObject({
+            model: openai(resolvedModel),
+            schema,
+            prompt,
+            abortSignal,
+            ...(name === 'ollama' && { mode: 'json' }),
+        });
+        return object;
+    }
+
+    return { name, model: resolvedModel, generate };
+}
+
+module.exports = { createOpenAiCompatibleProvider };
@@ -0,0 +1,40 @@
+// --- Recorded-Response Provider ---
+// Replays responses captured from a real model, so a prompt can be evaluated offline
+// and repeatably. Responses are stored in a JSON file keyed by a hash of the prompt:
+//   { "<key>": { "provider": "google:gemini-1.5-flash-latest", "object": [...] } }
+// Any change to the prompt or transcript changes the key, so a missing recording
+// fails (and the chain falls through to the next provider) rather than replaying a
+// stale answer. createLlmClient({ recordTo }) writes these files.
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('../jsonFile');
+
+function promptKey(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+function loadRecordings(filePath) {
+    return readJsonFile(filePath, {});
+}
+
+// Adds one response to the recordings file, creating it if needed.
+function saveRecording(filePath, prompt, provider, object) {
+    const recordings = loadRecordings(filePath);
+    recordings[promptKey(prompt)] = { provider, object };
+    writeJsonFile(filePath, recordings);
+}
+
+function createRecordedProvider({ model, filePath } = {}) {
+    const recordingsPath = model || filePath;
+    if (!recordingsPath) throw new Error('The recorded LLM provider needs a recordings file (LLM_RECORDINGS_FILE or "recorded:<file>").');
+    const recordings = loadRecordings(recordingsPath);
+
+    async function generate({ schema, prompt }) {
+        const recording = recordings[promptKey(prompt)];
+        if (!recording) throw new Error(`No recorded response for prompt ${promptKey(prompt)} in ${recordingsPath}.`);
+        return schema.parse(recording.object);
+    }
+
+    return { name: 'recorded', model: recordingsPath, generate };
+}
+
+module.exports = { createRecordedProvider, saveRecording, promptKey };
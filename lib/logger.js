@@ -0,0 +1,61 @@
+// --- Logging ---
+// One pino logger for the whole bot. Each module logs through createLogger(component),
+// a child that tags every line with { component }, e.g. "queue" or "sheets":
+//   LOG_LEVEL          trace, debug, info (default), warn, error or silent
+//   LOG_FORMAT         "json" (one object per line, for log collectors) or "pretty"
+//                      (readable lines); default pretty in a terminal, json otherwise
+//   BAILEYS_LOG_LEVEL  level for the WhatsApp library's own logs (default warn)
+// Errors go in the `err` field, e.g. log.error({ err: error }, 'Sync failed'), so the
+// message and stack are kept.
+const pino = require('pino');
+
+const LEVEL_NAMES = { 10: 'TRACE', 20: 'DEBUG', 30: 'INFO', 40: 'WARN', 50: 'ERROR', 60: 'FATAL' };
+const OMITTED_FIELDS = ['level', 'time', 'pid', 'hostname', 'component', 'msg', 'err'];
+
+let rootLogger = null;
+
+// Turns pino's JSON lines into "12:04:05 INFO  [queue] Loaded 3 message(s) {"extra":1}",
+// with an error's stack on the lines below.
+function prettyStream(out = process.stdout) {
+    return {
+        write(line) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                out.write(line);
+                return;
+            }
+            const time = new Date(entry.time).toTimeString().slice(0, 8);
+            const level = (LEVEL_NAMES[entry.level] || entry.level).toString().padEnd(5);
+            const extra = Object.fromEntries(Object.entries(entry).filter(([key]) => !OMITTED_FIELDS.includes(key)));
+            let text = `${time} ${level} ${entry.component ? `[${entry.component}] ` : ''}${entry.msg || ''}`;
+            if (Object.keys(extra).length > 0) text += ` ${JSON.stringify(extra)}`;
+            if (entry.err) text += `\n    ${(entry.err.stack || entry.err.message || String(entry.err)).replace(/\n/g, '\n    ')}`;
+            out.write(text + '\n');
+        },
+    };
+}
+
+// Created on first use, so the environment (.env) is loaded by then.
+function getRootLogger() {
+    if (!rootLogger) {
+        const format = process.env.LOG_FORMAT || (process.stdout.isTTY ? 'pretty' : 'json');
+        if (!['json', 'pretty'].includes(format)) throw new Error(`Invalid LOG_FORMAT "${format}" (expected json or pretty).`);
+        const options = { level: process.env.LOG_LEVEL || 'info' };
+        rootLogger = format === 'pretty' ? pino(options, prettyStream()) : pino(options);
+    }
+    return rootLogger;
+}
+
+// `options` can set a different `level` for this component.
+function createLogger(component, options = {}) {
+    return getRootLogger().child({ component }, options);
+}
+
+// The logger handed to Baileys, which logs a lot at info level.
+function createBaileysLogger() {
+    return createLogger('baileys', { level: process.env.BAILEYS_LOG_LEVEL || 'warn' });
+}
+
+module.exports = { createLogger, createBaileysLogger };
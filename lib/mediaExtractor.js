@@ -0,0 +1,109 @@
+// --- Attachment Text Extraction ---
+// Downloads images and documents shared in groups and pulls their text out, so
+// timetables, circular PDFs and notice screenshots reach the reminder transcript:
+//   - images: OCR with the optional `tesseract.js` package
+//   - PDFs: text extraction with the optional `pdf-parse` package
+//   - plain-text documents (txt, csv, ...): read as UTF-8
+// Extraction runs one attachment at a time, since OCR is CPU heavy.
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { createLogger } = require('./logger');
+
+const log = createLogger('media');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_TEXT_CHARS = 4000; // Keeps one long PDF from swamping the prompt
+
+// Returns { kind, mimeType, fileName, fileLength } for an image or document message,
+// or null for anything else.
+function getAttachmentInfo(message) {
+    const content = message.message || {};
+    const image = content.imageMessage;
+    if (image) {
+        return { kind: 'image', mimeType: image.mimetype || 'image/jpeg', fileName: null, fileLength: Number(image.fileLength || 0) };
+    }
+    const document = content.documentMessage || content.documentWithCaptionMessage?.message?.documentMessage;
+    if (document) {
+        return { kind: 'document', mimeType: document.mimetype || 'application/octet-stream', fileName: document.fileName || null, fileLength: Number(document.fileLength || 0) };
+    }
+    return null;
+}
+
+function loadOptional(packageName, purpose) {
+    try {
+        return require(packageName);
+    } catch (error) {
+        throw new Error(`${purpose} needs the "${packageName}" package. Install it with "npm install ${packageName}".`);
+    }
+}
+
+function cleanText(text) {
+    const cleaned = String(text || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    return cleaned.length > MAX_TEXT_CHARS ? `${cleaned.slice(0, MAX_TEXT_CHARS)} …[truncated]` : cleaned;
+}
+
+function createMediaExtractor({ logger, maxBytes = DEFAULT_MAX_BYTES, ocrLanguages = 'eng' } = {}) {
+    let ocrWorkerPromise = null;
+    let queue = Promise.resolve();
+
+    function getOcrWorker() {
+        if (!ocrWorkerPromise) {
+            const { createWorker } = loadOptional('tesseract.js', 'OCR of image attachments');
+            ocrWorkerPromise = createWorker(ocrLanguages).catch(error => {
+                ocrWorkerPromise = null;
+                throw error;
+            });
+        }
+        return ocrWorkerPromise;
+    }
+
+    async function extractText(buffer, info) {
+        if (info.kind === 'image') {
+            const worker = await getOcrWorker();
+            const { data } = await worker.recognize(buffer);
+            return data.text;
+        }
+        if (info.mimeType === 'application/pdf' || /\.pdf$/i.test(info.fileName || '')) {
+            const pdfParse = loadOptional('pdf-parse', 'Text extraction from PDF attachments');
+            const { text } = await pdfParse(buffer);
+            return text;
+        }
+        if (info.mimeType.startsWith('text/')) {
+            return buffer.toString('utf8');
+        }
+        return null;
+    }
+
+    async function extractNow(message, sock, info) {
+        const label = info.fileName || `${info.kind} ${message.key.id}`;
+        if (info.fileLength > maxBytes) {
+            log.warn(`Skipping ${label}: ${info.fileLength} bytes is over the ${maxBytes} byte limit.`);
+            return null;
+        }
+
+        const buffer = await downloadMediaMessage(message, 'buffer', {}, { logger, reuploadRequest: sock.updateMediaMessage });
+        const text = cleanText(await extractText(buffer, info));
+        if (!text) {
+            log.info(`No text found in ${label} (${info.mimeType}).`);
+            return null;
+        }
+        log.info(`Extracted ${text.length} characters from ${label}.`);
+        return { name: label, mimeType: info.mimeType, text };
+    }
+
+    // Returns { name, mimeType, text } for the message's attachment, or null if it has
+    // none, it has no readable text or extraction failed (the error is logged).
+    function extract(message, sock) {
+        const info = getAttachmentInfo(message);
+        if (!info) return Promise.resolve(null);
+        const result = queue.then(() => extractNow(message, sock, info)).catch(error => {
+            log.error({ err: error }, `Failed to extract text from ${info.fileName || info.kind} in message ${message.key.id}`);
+            return null;
+        });
+        queue = result;
+        return result;
+    }
+
+    return { extract };
+}
+
+module.exports = { createMediaExtractor, getAttachmentInfo };
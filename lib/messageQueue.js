@@ -0,0 +1,279 @@
+// --- Durable Message Queue ---
+// Pending messages are kept in an append-only journal (one JSON record per line) so
+// they survive restarts and failed AI runs. A message stays in the queue until its
+// batch is acknowledged; failed batches are retried with exponential backoff and,
+// after `maxAttempts`, moved to a dead-letter file that can be inspected by hand.
+// IDs of acknowledged and dead-lettered messages are remembered for `processedTtlMs`
+// (at most `maxProcessed` of them), so a redelivered message isn't processed twice.
+// The journal is rewritten to just that state once `compactAfter` records have been
+// appended since the last rewrite, rather than on every acknowledgement.
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('queue');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_MS = 2 * 60 * 1000;      // 2 minutes
+const DEFAULT_RETRY_MAX_MS = 60 * 60 * 1000;      // Never wait longer than the hourly run
+const DEFAULT_PROCESSED_TTL_MS = 14 * 24 * 60 * 60 * 1000; // Longer than WhatsApp's history sync window
+const DEFAULT_MAX_PROCESSED = 50000;
+const DEFAULT_COMPACT_AFTER = 1000;
+
+function createMessageQueue({
+    dir = './data',
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryBaseMs = DEFAULT_RETRY_BASE_MS,
+    retryMaxMs = DEFAULT_RETRY_MAX_MS,
+    processedTtlMs = DEFAULT_PROCESSED_TTL_MS,
+    maxProcessed = DEFAULT_MAX_PROCESSED,
+    compactAfter = DEFAULT_COMPACT_AFTER,
+} = {}) {
+    const journalPath = path.join(dir, 'queue.jsonl');
+    const deadLetterPath = path.join(dir, 'dead-letter.jsonl');
+    const pending = new Map(); // id -> { id, message, attempts, nextAttemptAt, lastError }
+    const processed = new Map(); // id -> time (ms) it was acknowledged or dead-lettered
+    let recordsSinceCompaction = 0;
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    // --- Journal Helpers ---
+    function appendRecord(filePath, record) {
+        fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    }
+
+    function appendJournal(record) {
+        appendRecord(journalPath, record);
+        recordsSinceCompaction++;
+    }
+
+    function reviveMessage(message) {
+        return { ...message, timestamp: new Date(message.timestamp) };
+    }
+
+    function replayJournal() {
+        if (!fs.existsSync(journalPath)) return;
+        const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+        let skipped = 0;
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line; ignore it.
+                skipped++;
+                continue;
+            }
+            switch (record.op) {
+                case 'enqueue':
+                    pending.set(record.id, {
+                        id: record.id,
+                        message: reviveMessage(record.message),
+                        attempts: record.attempts || 0,
+                        nextAttemptAt: record.nextAttemptAt || 0,
+                        lastError: record.lastError || null,
+                    });
+                    break;
+                case 'fail': {
+                    const entry = pending.get(record.id);
+                    if (entry) {
+                        entry.attempts = record.attempts;
+                        entry.nextAttemptAt = record.nextAttemptAt;
+                        entry.lastError = record.error;
+                    }
+                    break;
+                }
+                case 'update': {
+                    const entry = pending.get(record.id);
+                    if (entry) entry.message = reviveMessage(record.message);
+                    break;
+                }
+                case 'ack':
+                case 'dead': {
+                    const at = Date.parse(record.at) || Date.now();
+                    for (const id of record.ids) {
+                        pending.delete(id);
+                        processed.set(id, at);
+                    }
+                    break;
+                }
+                case 'drop':
+                    for (const id of record.ids) pending.delete(id);
+                    break;
+                default:
+                    skipped++;
+            }
+        }
+        if (skipped > 0) {
+            log.warn(`Skipped ${skipped} unreadable journal record(s) in ${journalPath}.`);
+        }
+    }
+
+    // Forgets processed IDs older than `processedTtlMs`, then the oldest beyond `maxProcessed`.
+    function pruneProcessed(now = Date.now()) {
+        const kept = [...processed.entries()]
+            .filter(([, at]) => now - at < processedTtlMs)
+            .sort((a, b) => a[1] - b[1])
+            .slice(-maxProcessed);
+        processed.clear();
+        for (const [id, at] of kept) processed.set(id, at);
+    }
+
+    // Rewrites the journal so it only holds what is still pending, plus one ack record
+    // per acknowledgement time for the processed IDs still remembered.
+    function compact() {
+        const lines = [];
+        pruneProcessed();
+        const idsByTime = new Map();
+        for (const [id, at] of processed) {
+            if (!idsByTime.has(at)) idsByTime.set(at, []);
+            idsByTime.get(at).push(id);
+        }
+        for (const [at, ids] of idsByTime) {
+            lines.push(JSON.stringify({ op: 'ack', ids, at: new Date(at).toISOString() }));
+        }
+        for (const entry of pending.values()) {
+            lines.push(JSON.stringify({
+                op: 'enqueue',
+                id: entry.id,
+                message: entry.message,
+                attempts: entry.attempts,
+                nextAttemptAt: entry.nextAttemptAt,
+                lastError: entry.lastError,
+            }));
+        }
+        writeFileAtomic(journalPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        recordsSinceCompaction = 0;
+    }
+
+    function compactIfDue() {
+        if (recordsSinceCompaction >= compactAfter || processed.size > maxProcessed) compact();
+    }
+
+    function backoffDelay(attempts) {
+        return Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs);
+    }
+
+    // --- Public Operations ---
+    function enqueue(id, message) {
+        // Baileys can redeliver the same message, before or after it was processed
+        if (pending.has(id) || wasProcessed(id)) return false;
+        const entry = { id, message, attempts: 0, nextAttemptAt: 0, lastError: null };
+        appendJournal({ op: 'enqueue', id, message, attempts: 0, nextAttemptAt: 0 });
+        pending.set(id, entry);
+        return true;
+    }
+
+    // Replaces a pending message, e.g. with its edited text. Returns false if it isn't queued.
+    function update(id, message) {
+        const entry = pending.get(id);
+        if (!entry) return false;
+        appendJournal({ op: 'update', id, message });
+        entry.message = message;
+        return true;
+    }
+
+    // Removes pending messages without processing them, e.g. because they were deleted
+    // in WhatsApp. Returns how many were queued.
+    function drop(ids, reason) {
+        const queuedIds = ids.filter(id => pending.has(id));
+        if (queuedIds.length === 0) return 0;
+        appendJournal({ op: 'drop', ids: queuedIds, reason, at: new Date().toISOString() });
+        for (const id of queuedIds) pending.delete(id);
+        compactIfDue();
+        return queuedIds.length;
+    }
+
+    // Pending entries ({ id, message, attempts, ... }) that `predicate` accepts.
+    function find(predicate) {
+        return [...pending.values()].filter(predicate);
+    }
+
+    // Messages whose retry delay (if any) has elapsed, oldest first.
+    function getDue(now = Date.now()) {
+        return [...pending.values()]
+            .filter(entry => entry.nextAttemptAt <= now)
+            .sort((a, b) => a.message.timestamp - b.message.timestamp);
+    }
+
+    function ack(ids) {
+        if (ids.length === 0) return;
+        const now = Date.now();
+        appendJournal({ op: 'ack', ids, at: new Date(now).toISOString() });
+        for (const id of ids) {
+            pending.delete(id);
+            processed.set(id, now);
+        }
+        compactIfDue();
+    }
+
+    // Records a failed attempt for every message in the batch and returns how many
+    // were dead-lettered. Use nextRetryAt() to find out when to try again.
+    function fail(ids, error) {
+        const errorMessage = error?.message || String(error);
+        const now = Date.now();
+        const deadIds = [];
+
+        for (const id of ids) {
+            const entry = pending.get(id);
+            if (!entry) continue;
+            entry.attempts += 1;
+            entry.lastError = errorMessage;
+
+            if (entry.attempts >= maxAttempts) {
+                appendRecord(deadLetterPath, {
+                    id: entry.id,
+                    message: entry.message,
+                    attempts: entry.attempts,
+                    error: errorMessage,
+                    deadLetteredAt: new Date(now).toISOString(),
+                });
+                deadIds.push(id);
+                continue;
+            }
+
+            entry.nextAttemptAt = now + backoffDelay(entry.attempts);
+            appendJournal({ op: 'fail', id, attempts: entry.attempts, nextAttemptAt: entry.nextAttemptAt, error: errorMessage });
+        }
+
+        if (deadIds.length > 0) {
+            appendJournal({ op: 'dead', ids: deadIds, at: new Date(now).toISOString() });
+            for (const id of deadIds) {
+                pending.delete(id);
+                processed.set(id, now);
+            }
+            compactIfDue();
+        }
+        return { deadLettered: deadIds.length };
+    }
+
+    // Earliest time a message waiting on backoff becomes due, or null if none are waiting.
+    function nextRetryAt(now = Date.now()) {
+        let earliest = null;
+        for (const entry of pending.values()) {
+            if (entry.nextAttemptAt > now && (earliest === null || entry.nextAttemptAt < earliest)) {
+                earliest = entry.nextAttemptAt;
+            }
+        }
+        return earliest;
+    }
+
+    function size() {
+        return pending.size;
+    }
+
+    // True if the message was acknowledged or dead-lettered within `processedTtlMs`.
+    function wasProcessed(id, now = Date.now()) {
+        return processed.has(id) && now - processed.get(id) < processedTtlMs;
+    }
+
+    replayJournal();
+    compact();
+    log.info(`Loaded ${pending.size} pending message(s) and ${processed.size} processed ID(s) from ${journalPath}.`);
+
+    return { enqueue, update, drop, find, getDue, ack, fail, nextRetryAt, size, wasProcessed, journalPath, deadLetterPath };
+}
+
+module.exports = { createMessageQueue };
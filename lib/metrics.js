@@ -0,0 +1,98 @@
+// --- Metrics ---
+// Prometheus-style counters, gauges and histograms, served in the text exposition
+// format at GET /metrics. Modules define what they count when they load, e.g.
+//   const syncedReminders = counter('reminder_bot_reminders_total', 'Reminders synced, by what happened to them.', ['action']);
+//   syncedReminders.inc({ action: 'appended' });
+// Names follow Prometheus conventions: counters end in _total, durations are in seconds.
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const metrics = new Map(); // name -> { type, help, render() }
+
+function register(name, type, help, render) {
+    if (metrics.has(name)) throw new Error(`Metric "${name}" is already defined.`);
+    metrics.set(name, { type, help, render });
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// { provider: "mock" } -> '{provider="mock"}'
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values, in `labelNames` order.
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelsFromKey(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function counter(name, help, labelNames = []) {
+    const values = new Map();
+    register(name, 'counter', help, () => [...values].map(([key, value]) => `${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`));
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + amount);
+        },
+    };
+}
+
+// `collect()` returns the current value, or [{ labels, value }] for several series.
+function gauge(name, help, collect) {
+    register(name, 'gauge', help, () => {
+        const value = collect();
+        const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return series.filter(entry => Number.isFinite(entry.value)).map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`);
+    });
+}
+
+function histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+    const series = new Map(); // key -> { counts (per bucket), sum, count }
+    register(name, 'histogram', help, () => [...series].flatMap(([key, { counts, sum, count }]) => {
+        const labels = labelsFromKey(labelNames, key);
+        return [
+            ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`,
+        ];
+    }));
+
+    function observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    // Returns a function that records the seconds elapsed since startTimer was called.
+    function startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    return { observe, startTimer };
+}
+
+// Every metric, in the Prometheus text format.
+function renderMetrics() {
+    const lines = [];
+    for (const [name, { type, help, render }] of metrics) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render());
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { counter, gauge, histogram, renderMetrics };
@@ -0,0 +1,222 @@
+// --- Due-Date Notifications ---
+// Posts reminders back into WhatsApp on a daily schedule (times are in `timeZone`,
+// Asia/Kolkata by default):
+//   - a digest of overdue reminders and those due in the next week (digestTime)
+//   - a "due today" alert (todayAlertTime)
+//   - a "due tomorrow" alert (tomorrowAlertTime)
+// Each reminder is posted to the group it came from, or to `chatJid` when one is
+// configured. What has been sent is remembered in notifications.json under
+// `stateDir`, so restarts don't repeat a notification; one missed while the bot was
+// down is sent when it next runs, on the same day. Once everything due at a time has
+// been sent, the stores aren't read again for it until the next day.
+const path = require('path');
+const { todayIn, isIsoDate, addDays, formatDate, DEFAULT_TIME_ZONE } = require('./dates');
+const { isClosed } = require('./reminderSync');
+const { formatReminder } = require('./chatCommands');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('notifier');
+
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+const DIGEST_DAYS_AHEAD = 7;
+const SENT_RETENTION_DAYS = 30;
+
+// "08:00" -> minutes after midnight
+function parseTimeOfDay(value, fallback) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return parseTimeOfDay(fallback);
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+function minutesNowIn(timeZone, now = new Date()) {
+    const [hours, minutes] = now.toLocaleTimeString('en-GB', { timeZone, hour12: false }).split(':');
+    return (parseInt(hours, 10) % 24) * 60 + parseInt(minutes, 10);
+}
+
+// `getTargets()` lists the routing targets to check and `getStore(target)` returns
+// their reminder store. `getSocket()` returns the live Baileys socket, or null while
+// disconnected (in which case nothing is sent or marked as sent).
+function createNotifier({
+    getTargets,
+    getStore,
+    getSocket,
+    stateDir = './data',
+    timeZone = DEFAULT_TIME_ZONE,
+    chatJid = null,
+    digestTime = '08:00',
+    todayAlertTime = '09:00',
+    tomorrowAlertTime = '18:00',
+}) {
+    const statePath = path.join(stateDir, 'notifications.json');
+    const schedule = {
+        digest: parseTimeOfDay(digestTime, '08:00'),
+        today: parseTimeOfDay(todayAlertTime, '09:00'),
+        tomorrow: parseTimeOfDay(tomorrowAlertTime, '18:00'),
+    };
+    let state = { sent: {}, groups: {} }; // sent: key -> ISO time; groups: subject -> JID
+    let intervalId = null;
+    let ticking = false;
+
+    // --- State Persistence ---
+    function loadState() {
+        try {
+            const saved = readJsonFile(statePath);
+            if (saved) state = { sent: saved.sent || {}, groups: saved.groups || {} };
+        } catch (error) {
+            log.error({ err: error }, `Could not read ${statePath}, starting with empty state`);
+        }
+    }
+
+    function saveState() {
+        const cutoff = Date.now() - SENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        for (const [key, sentAt] of Object.entries(state.sent)) {
+            if (Date.parse(sentAt) < cutoff) delete state.sent[key];
+        }
+        writeJsonFile(statePath, state);
+    }
+
+    // Remembers a group's JID so reminders tagged with its subject can be posted back.
+    function rememberGroup(jid, subject) {
+        if (!subject || subject === jid || state.groups[subject] === jid) return;
+        state.groups[subject] = jid;
+        saveState();
+    }
+
+    // --- Building Notifications ---
+    function chatsFor(reminder) {
+        if (chatJid) return [chatJid];
+        return (reminder.sourceGroup || '').split(', ').map(subject => state.groups[subject]).filter(Boolean);
+    }
+
+    // Groups open, dated reminders by the chat they should be posted to. `complete` is
+    // false if a store couldn't be read.
+    async function collectByChat() {
+        const byChat = new Map();
+        let complete = true;
+        for (const target of getTargets()) {
+            let records;
+            try {
+                records = await getStore(target).read();
+            } catch (error) {
+                log.error({ err: error }, `Failed to read reminders for "${target.sheetName}"`);
+                complete = false;
+                continue;
+            }
+            for (const record of records) {
+                if (!record.title || isClosed(record) || !isIsoDate(record.dueDate)) continue;
+                for (const chat of chatsFor(record)) {
+                    if (!byChat.has(chat)) byChat.set(chat, []);
+                    byChat.get(chat).push(record);
+                }
+            }
+        }
+        for (const records of byChat.values()) records.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+        return { byChat, complete };
+    }
+
+    function reminderKey(record) {
+        return record.id || record.title.trim().toLowerCase();
+    }
+
+    async function send(sock, chat, text) {
+        try {
+            await sock.sendMessage(chat, { text });
+            return true;
+        } catch (error) {
+            log.error({ err: error }, `Failed to send to ${chat}`);
+            return false;
+        }
+    }
+
+    // Both senders return false if a message couldn't be sent.
+    async function sendDigests(sock, byChat, today) {
+        const horizon = addDays(today, DIGEST_DAYS_AHEAD);
+        let allSent = true;
+        for (const [chat, records] of byChat) {
+            const key = `digest:${chat}:${today}`;
+            if (state.sent[key]) continue;
+            const overdue = records.filter(r => r.dueDate < today);
+            const upcoming = records.filter(r => r.dueDate >= today && r.dueDate <= horizon);
+            if (overdue.length + upcoming.length > 0) {
+                const sections = [`📋 *Reminder digest - ${formatDate(today)}*`];
+                if (overdue.length > 0) sections.push(`\n⚠️ *Overdue*\n${overdue.map(formatReminder).join('\n')}`);
+                if (upcoming.length > 0) sections.push(`\n📅 *Next ${DIGEST_DAYS_AHEAD} days*\n${upcoming.map(formatReminder).join('\n')}`);
+                if (!(await send(sock, chat, sections.join('\n')))) {
+                    allSent = false;
+                    continue;
+                }
+                log.info(`Sent digest with ${overdue.length + upcoming.length} reminders to ${chat}.`);
+            }
+            state.sent[key] = new Date().toISOString();
+        }
+        return allSent;
+    }
+
+    // Sends one alert per chat covering every reminder due on `dueDate` that hasn't
+    // been alerted for that date yet (a snoozed reminder gets a fresh alert).
+    async function sendDueAlerts(sock, byChat, kind, dueDate, heading) {
+        let allSent = true;
+        for (const [chat, records] of byChat) {
+            const pending = records.filter(r => r.dueDate === dueDate && !state.sent[`${kind}:${chat}:${reminderKey(r)}:${dueDate}`]);
+            if (pending.length === 0) continue;
+            if (!(await send(sock, chat, `${heading}\n${pending.map(formatReminder).join('\n')}`))) {
+                allSent = false;
+                continue;
+            }
+            const sentAt = new Date().toISOString();
+            for (const record of pending) state.sent[`${kind}:${chat}:${reminderKey(record)}:${dueDate}`] = sentAt;
+            log.info(`Sent "${kind}" alert for ${pending.length} reminders to ${chat}.`);
+        }
+        return allSent;
+    }
+
+    // --- Scheduling ---
+    // Each kind of notification runs once its time has passed, until a run has read
+    // every store and sent everything; "done:<kind>:<day>" then marks it done for the day.
+    async function tick(now = new Date()) {
+        if (ticking) return;
+        const sock = getSocket();
+        if (!sock) return;
+        ticking = true;
+        try {
+            const today = todayIn(timeZone, now);
+            const minutesNow = minutesNowIn(timeZone, now);
+            const due = Object.fromEntries(Object.entries(schedule).map(([kind, minutes]) => (
+                [kind, minutesNow >= minutes && !state.sent[`done:${kind}:${today}`]]
+            )));
+            if (!due.digest && !due.today && !due.tomorrow) return;
+
+            const { byChat, complete } = await collectByChat();
+            const sent = {
+                digest: due.digest && await sendDigests(sock, byChat, today),
+                today: due.today && await sendDueAlerts(sock, byChat, 'today', today, '⏰ *Due today*'),
+                tomorrow: due.tomorrow && await sendDueAlerts(sock, byChat, 'tomorrow', addDays(today, 1), '🔔 *Due tomorrow*'),
+            };
+            for (const [kind, allSent] of Object.entries(sent)) {
+                if (complete && allSent) state.sent[`done:${kind}:${today}`] = new Date().toISOString();
+            }
+            saveState();
+        } catch (error) {
+            log.error({ err: error }, "Notification run failed");
+        } finally {
+            ticking = false;
+        }
+    }
+
+    function start() {
+        if (intervalId) return;
+        intervalId = setInterval(tick, TICK_INTERVAL_MS);
+        log.info(`Scheduled digest at ${digestTime}, due-today alerts at ${todayAlertTime} and due-tomorrow alerts at ${tomorrowAlertTime} (${timeZone})${chatJid ? `, posting to ${chatJid}` : ''}.`);
+    }
+
+    function stop() {
+        if (intervalId) clearInterval(intervalId);
+        intervalId = null;
+    }
+
+    loadState();
+    return { start, stop, tick, rememberGroup };
+}
+
+module.exports = { createNotifier };
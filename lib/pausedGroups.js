@@ -0,0 +1,56 @@
+// --- Paused Groups ---
+// Groups whose new messages should not be queued for now, e.g. while a group is
+// flooded with chatter. Set from the admin API and kept in DATA_DIR so a pause
+// survives restarts. Messages already queued are still processed.
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('paused-groups');
+
+function createPausedGroups({ stateDir = './data' } = {}) {
+    const statePath = path.join(stateDir, 'paused-groups.json');
+    let paused = {}; // jid -> { name, pausedAt }
+
+    function load() {
+        try {
+            paused = readJsonFile(statePath, {});
+        } catch (error) {
+            log.error({ err: error }, `Could not read ${statePath}, no groups are paused`);
+        }
+    }
+
+    function save() {
+        writeJsonFile(statePath, paused);
+    }
+
+    function isPaused(jid) {
+        return Object.prototype.hasOwnProperty.call(paused, jid);
+    }
+
+    // Returns false if the group was already paused.
+    function pause(jid, name = jid) {
+        if (isPaused(jid)) return false;
+        paused[jid] = { name, pausedAt: new Date().toISOString() };
+        save();
+        return true;
+    }
+
+    // Returns false if the group wasn't paused.
+    function resume(jid) {
+        if (!isPaused(jid)) return false;
+        delete paused[jid];
+        save();
+        return true;
+    }
+
+    // [{ jid, name, pausedAt }]
+    function list() {
+        return Object.entries(paused).map(([jid, entry]) => ({ jid, ...entry }));
+    }
+
+    load();
+    return { isPaused, pause, resume, list };
+}
+
+module.exports = { createPausedGroups };
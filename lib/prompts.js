@@ -0,0 +1,77 @@
+// --- Reminder Extraction Prompts ---
+// Each prompt version turns a transcript into the instructions sent to the LLM. Old
+// versions are kept so a change can be compared against them offline (see
+// eval/run.js) before it becomes the default. PROMPT_VERSION selects the one the bot
+// uses.
+//   v1  title, description, due date and source attachment
+//   v2  v1 plus category, priority, due time, recurrence, confidence and the [#n]
+//       source message references
+//   v3  v2, told to trust senders marked [Authoritative] (teachers, group admins)
+//       over others when they disagree
+const INTRO = `You are an AI assistant analyzing a transcript of WhatsApp group messages from the last processing period for a 'Resource Hub Dashboard'. Your task is to identify any potential tasks, deadlines, events, or important information mentioned in *any* of the messages that should be turned into reminders. Avoid creating duplicate reminders if the same task is mentioned multiple times, consolidate if possible.`;
+
+const OUTPUT_FORMAT = `Format the output STRICTLY as a JSON array containing reminder objects conforming to the provided schema.
+If no reminders are found in the transcript, return an empty JSON array: [].`;
+
+function transcriptSection(transcript, currentDate) {
+    return `Current Date: ${currentDate} (India Time)
+
+Analyze the following transcript:
+--- TRANSCRIPT START ---
+${transcript}--- TRANSCRIPT END ---`;
+}
+
+const V2_FIELDS = `Extract all potential reminders. For each reminder, provide:
+1.  A concise 'title'.
+2.  A detailed 'description'.
+3.  A 'due_date' in YYYY-MM-DD format if a specific date or deadline is mentioned or clearly inferrable from the text and current date. Omit 'due_date' if none is found or clearly inferrable.
+4.  A 'source_attachment' with the attachment name if the reminder comes from an attachment's extracted text (lines marked [Attachment: ...]). Omit it otherwise.
+5.  A 'category': 'exam' for exams, tests and quizzes; 'assignment' for assignments, records and other submissions; 'event' for events, meetings, workshops and holidays; 'info' for anything else.
+6.  A 'priority' of 'high', 'medium' or 'low', judged by how urgent or mandatory it is.
+7.  A 'due_time' in 24-hour HH:MM format if a time is mentioned. Omit it otherwise.
+8.  A 'recurrence' like "every monday" or "weekly" if it repeats. Omit it otherwise.
+9.  A 'confidence' from 0 to 1 for how sure you are that it is a real, actionable reminder.
+10. The 'source_message_refs': the [#n] numbers of the messages it comes from.`;
+
+const PROMPTS = {
+    v1: ({ transcript, currentDate }) => `${INTRO}
+
+${transcriptSection(transcript, currentDate)}
+
+Extract all potential reminders. For each reminder, provide:
+1.  A concise 'title'.
+2.  A detailed 'description'.
+3.  A 'due_date' in YYYY-MM-DD format if a specific date or deadline is mentioned or clearly inferrable from the text and current date. Omit 'due_date' if none is found or clearly inferrable.
+4.  A 'source_attachment' with the attachment name if the reminder comes from an attachment's extracted text (lines marked [Attachment: ...]). Omit it otherwise.
+
+${OUTPUT_FORMAT}`,
+
+    v2: ({ transcript, currentDate }) => `${INTRO}
+
+${transcriptSection(transcript, currentDate)}
+
+${V2_FIELDS}
+
+${OUTPUT_FORMAT}`,
+
+    v3: ({ transcript, currentDate }) => `${INTRO}
+
+Senders marked [Authoritative] are teachers, group admins or other staff. When messages disagree about a date, time or requirement, go with the most recent authoritative message. Treat deadlines or exams that only non-authoritative senders mention (students guessing, rumours, forwarded hearsay) with caution: keep them only if they look like genuine announcements, and give them a lower 'confidence'.
+
+${transcriptSection(transcript, currentDate)}
+
+${V2_FIELDS}
+
+${OUTPUT_FORMAT}`,
+};
+
+const PROMPT_VERSIONS = Object.keys(PROMPTS);
+const DEFAULT_PROMPT_VERSION = 'v3';
+
+function buildPrompt(version, { transcript, currentDate }) {
+    const build = PROMPTS[version];
+    if (!build) throw new Error(`Unknown prompt version "${version}" (expected one of: ${PROMPT_VERSIONS.join(', ')}).`);
+    return build({ transcript, currentDate });
+}
+
+module.exports = { buildPrompt, PROMPT_VERSIONS, DEFAULT_PROMPT_VERSION };
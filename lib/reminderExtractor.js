@@ -0,0 +1,67 @@
+// --- Reminder Extraction ---
+// The LLM step of the pipeline: builds a numbered transcript of a chunk of messages,
+// prompts the model with one of the versions in prompts.js, and validates what comes
+// back (see reminderValidation.js). Shared by the bot, --import and the offline
+// evaluation in eval/run.js.
+const { z } = require('zod');
+const { formatTranscript } = require('./transcriptChunker');
+const { validateReminders, CATEGORIES, PRIORITIES } = require('./reminderValidation');
+const { buildPrompt, DEFAULT_PROMPT_VERSION } = require('./prompts');
+const { todayIn, DEFAULT_TIME_ZONE } = require('./dates');
+const { createLogger } = require('./logger');
+
+const log = createLogger('extraction');
+
+// --- Reminder JSON Schema ---
+const reminderSchema = z.object({
+    title: z.string().describe("A clear, concise title for the reminder or task (max 10 words).."),
+    description: z.string().describe("A detailed description of the task, event, or information to be reminded of."),
+    due_date: z.string().optional().describe("The due date in YYYY-MM-DD ISO 8601 format. Infer from text and current date. Omit if not found/inferrable."),
+    due_time: z.string().optional().describe("The due time in 24-hour HH:MM format, if a time is mentioned. Omit otherwise."),
+    // Category and priority are plain strings so a near-miss ("quiz") is repaired by
+    // validateReminders instead of failing the whole response.
+    category: z.string().describe(`One of: ${CATEGORIES.join(', ')}.`),
+    priority: z.string().optional().describe(`One of: ${PRIORITIES.join(', ')}.`),
+    recurrence: z.string().optional().describe('How often it repeats, e.g. "every monday", "daily", "weekly". Omit for one-off reminders.'),
+    confidence: z.number().optional().describe("How sure you are, from 0 to 1, that this is a real, actionable reminder."),
+    source_attachment: z.string().optional().describe("The name of the attachment this reminder was found in, exactly as shown in the transcript. Omit if it came from message text."),
+    source_message_refs: z.array(z.number()).optional().describe("The [#n] numbers of the transcript messages this reminder comes from.")
+});
+const reminderListSchema = z.array(reminderSchema);
+
+// `llm` is a client from lib/llm. Throws at startup for an unknown prompt version.
+function createReminderExtractor({ llm, promptVersion = DEFAULT_PROMPT_VERSION, timeZone = DEFAULT_TIME_ZONE }) {
+    buildPrompt(promptVersion, { transcript: '', currentDate: '' });
+
+    // Asks the LLM for the reminders in `messages`, returning { reminders, provider,
+    // rejected, repairs }: the reminders validated and with provenance, the provider
+    // that answered, and what validation dropped or fixed. Each message needs an `id`.
+    // Relative dates ("next Friday") are resolved against `referenceDate`. Throws if
+    // every provider fails.
+    async function extractDetailed(messages, referenceDate = new Date()) {
+        log.info(`Sending transcript to ${llm.describe()} for reminder extraction (prompt ${promptVersion})...`);
+
+        const prompt = buildPrompt(promptVersion, {
+            transcript: formatTranscript(messages),
+            currentDate: todayIn(timeZone, referenceDate),
+        });
+        const { object, provider } = await llm.generateObject({
+            schema: reminderListSchema,
+            prompt,
+            context: { messages, referenceDate },
+        });
+        const { reminders, rejected, repairs } = validateReminders(object, { messages, referenceDate, timeZone });
+        log.info(`Extracted ${reminders.length} reminder(s) with ${provider}${rejected > 0 ? ` (${rejected} rejected without a title)` : ''}.`);
+        for (const repair of repairs) log.warn(`Repaired ${repair}.`);
+        return { reminders, provider, rejected, repairs };
+    }
+
+    // Just the reminders from extractDetailed().
+    async function extract(messages, referenceDate = new Date()) {
+        return (await extractDetailed(messages, referenceDate)).reminders;
+    }
+
+    return { extract, extractDetailed, promptVersion };
+}
+
+module.exports = { createReminderExtractor, reminderListSchema };
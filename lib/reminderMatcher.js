@@ -0,0 +1,128 @@
+// --- Reminder Matching ---
+// Decides whether a reminder from the LLM is the same task as an existing one. The
+// LLM rewords titles from run to run ("DBMS Assignment 2 due" vs "Submit DBMS
+// assignment-2"), so candidates are scored on normalized title tokens, fuzzy string
+// similarity, due-date proximity and the group they came from.
+
+const DEFAULT_MERGE_THRESHOLD = 0.75;  // At or above: same reminder, update it
+const DEFAULT_REVIEW_THRESHOLD = 0.5;  // Between the two: add as new, but flag for review
+
+// Words that carry no meaning for matching ("submit the DBMS assignment by friday")
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'to', 'for', 'of', 'on', 'in', 'at', 'by', 'and', 'or', 'is', 'are', 'be',
+    'please', 'pls', 'reminder', 'due', 'submit', 'submission', 'deadline', 'complete', 'finish',
+]);
+
+// Lowercases, splits on punctuation and letter/digit boundaries ("assignment-2",
+// "assignment2" -> ["assignment", "2"]), drops stopwords and plural "s".
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/([a-z])(\d)/g, '$1 $2')
+        .replace(/(\d)([a-z])/g, '$1 $2')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOPWORDS.has(token))
+        .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+function jaccard(tokensA, tokensB) {
+    const setA = new Set(tokensA);
+    const setB = new Set(tokensB);
+    if (setA.size === 0 && setB.size === 0) return 1;
+    let shared = 0;
+    for (const token of setA) if (setB.has(token)) shared++;
+    return shared / (setA.size + setB.size - shared);
+}
+
+// Sørensen–Dice coefficient over character bigrams; tolerant of typos and word order.
+function diceCoefficient(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            shared++;
+        }
+    }
+    return (2 * shared) / (a.length + b.length - 2);
+}
+
+function titleSimilarity(titleA, titleB) {
+    const tokensA = tokenize(titleA);
+    const tokensB = tokenize(titleB);
+    const tokenScore = jaccard(tokensA, tokensB);
+    const stringScore = diceCoefficient([...tokensA].sort().join(' '), [...tokensB].sort().join(' '));
+    let score = 0.6 * tokenScore + 0.4 * stringScore;
+
+    // "Assignment 1" and "Assignment 2" look alike but are different tasks
+    const numbersA = tokensA.filter(token => /^\d+$/.test(token));
+    const numbersB = tokensB.filter(token => /^\d+$/.test(token));
+    if (numbersA.length > 0 && numbersB.length > 0 && !numbersA.some(n => numbersB.includes(n))) {
+        score *= 0.5;
+    }
+    return score;
+}
+
+// 1 for the same day, falling off over a week; 0.5 when either date is unknown.
+function dueDateProximity(dateA, dateB) {
+    const timeA = Date.parse(dateA);
+    const timeB = Date.parse(dateB);
+    if (Number.isNaN(timeA) || Number.isNaN(timeB)) return 0.5;
+    const daysApart = Math.abs(timeA - timeB) / (24 * 60 * 60 * 1000);
+    return Math.max(0, 1 - daysApart / 7);
+}
+
+// 1 if the existing reminder came from one of this batch's groups, 0 if from another
+// group, 0.5 when either side is unknown.
+function groupAffinity(existingGroup, sourceGroups) {
+    if (!existingGroup || !sourceGroups || sourceGroups.length === 0) return 0.5;
+    const existingGroups = existingGroup.split(', ');
+    return existingGroups.some(group => sourceGroups.includes(group)) ? 1 : 0;
+}
+
+// Scores `reminder` (a stored-field record: title, dueDate, ...) against `candidate`.
+function scoreMatch(reminder, candidate, sourceGroups) {
+    const titleScore = titleSimilarity(reminder.title, candidate.title);
+    if (titleScore === 1 && tokenize(reminder.title).length > 0) {
+        // Same words; only a clearly different due date should stop the merge
+        return dueDateProximity(reminder.dueDate, candidate.dueDate) === 0 ? 0.6 : 1;
+    }
+    return 0.7 * titleScore
+        + 0.15 * dueDateProximity(reminder.dueDate, candidate.dueDate)
+        + 0.15 * groupAffinity(candidate.sourceGroup, sourceGroups);
+}
+
+function createReminderMatcher({
+    mergeThreshold = DEFAULT_MERGE_THRESHOLD,
+    reviewThreshold = DEFAULT_REVIEW_THRESHOLD,
+} = {}) {
+    // Returns { decision: 'merge' | 'review' | 'new', candidate, score } for the best
+    // scoring candidate.
+    function match(reminder, candidates, sourceGroups = []) {
+        let best = null;
+        let bestScore = 0;
+        for (const candidate of candidates) {
+            if (!candidate.title) continue;
+            const score = scoreMatch(reminder, candidate, sourceGroups);
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+        if (best && bestScore >= mergeThreshold) return { decision: 'merge', candidate: best, score: bestScore };
+        if (best && bestScore >= reviewThreshold) return { decision: 'review', candidate: best, score: bestScore };
+        return { decision: 'new', candidate: null, score: bestScore };
+    }
+
+    return { match };
+}
+
+module.exports = { createReminderMatcher, tokenize, titleSimilarity, scoreMatch };
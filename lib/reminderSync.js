@@ -0,0 +1,356 @@
+// --- Reminder Sync (Read, Update, Append) ---
+// Merges reminders extracted by the LLM into a reminder store (see lib/storage).
+// Existing reminders are matched with the scoring in reminderMatcher.js and merged
+// field by field (see applyMergeRules), so corrections made by hand in the sheet are
+// not overwritten; everything else is appended with the icon for its category, the
+// default status and a new stable ID. Borderline matches are appended with a review flag instead of
+// merged. Every change is written to the store's change history.
+const crypto = require('crypto');
+const { createReminderMatcher } = require('./reminderMatcher');
+const { createLogger } = require('./logger');
+const { counter } = require('./metrics');
+
+const log = createLogger('sync');
+const syncedReminders = counter('reminder_bot_reminders_total', 'Reminders from the LLM by what the sync did with them (appended, flagged, updated, skipped), plus reminders withdrawn after deletes and edits.', ['action']);
+
+const matcher = createReminderMatcher({
+    mergeThreshold: parseFloat(process.env.MATCH_MERGE_THRESHOLD) || undefined,
+    reviewThreshold: parseFloat(process.env.MATCH_REVIEW_THRESHOLD) || undefined,
+});
+
+const DEFAULT_ICON_TYPE = 'alert'; // Default for new reminders
+const DEFAULT_STATUS = 'To DO';   // Default for new reminders
+const DONE_STATUS = 'Done';
+const WITHDRAWN_STATUS = 'Cancelled'; // Set when every message behind a reminder was deleted or edited away
+const CLOSED_STATUSES = ['done', 'completed', 'closed', 'cancelled'];
+
+// Reminder category (see reminderValidation.js) -> value written to the icon column
+const CATEGORY_ICONS = {
+    exam: 'exam',
+    assignment: 'assignment',
+    event: 'event',
+    info: DEFAULT_ICON_TYPE,
+};
+const MAX_SOURCE_MESSAGE_IDS = 50; // Oldest IDs are dropped from the column beyond this
+
+// Short, human-typeable ID (e.g. "R-3f9a1c") that stays with a reminder even if its
+// title is edited later.
+function generateReminderId(usedIds) {
+    let id;
+    do {
+        id = `R-${crypto.randomBytes(3).toString('hex')}`;
+    } while (usedIds.has(id));
+    usedIds.add(id);
+    return id;
+}
+
+// Fields the sync may change on an existing reminder. Everything else (title, source,
+// created-at and any column the bot doesn't know) is left as the sheet has it.
+const MERGED_FIELDS = ['id', 'dueDate', 'dueTime', 'description', 'icon', 'status', 'priority', 'recurrence', 'attachment', 'sourceMessageIds'];
+
+// A reminder someone has moved past the default status (e.g. "Done", "In Progress")
+// belongs to its humans now and is never changed by the sync.
+function isLocked(record) {
+    const status = (record.status || '').trim().toLowerCase();
+    return status !== '' && status !== DEFAULT_STATUS.toLowerCase();
+}
+
+// A reminder that no longer needs doing (and so isn't listed or notified about)
+function isClosed(record) {
+    return CLOSED_STATUSES.includes((record.status || '').trim().toLowerCase());
+}
+
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function splitIds(value) {
+    return String(value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Field-level merge of `incoming` (fresh from the LLM) into `record`, in place:
+// - a due date or time is filled in when empty, and only replaced when
+//   `overwriteDueDates` is set (e.g. an authoritative sender corrected it), so a date
+//   fixed by hand in the sheet survives the next sync; it is never blanked out;
+// - new description text is appended, unless the existing text already contains it;
+// - the icon is filled in when empty or still the default, so a category can refine it;
+// - status, priority, recurrence and the source attachment are only filled in when empty;
+// - source message IDs are added to the ones already recorded.
+// Returns the due date and time changes that were not applied, as
+// [{ field, current, proposed }], for the change history.
+function applyMergeRules(record, incoming, { overwriteDueDates = false } = {}) {
+    const conflicts = [];
+    for (const field of ['dueDate', 'dueTime']) {
+        if (!incoming[field] || incoming[field] === record[field]) continue;
+        if (!record[field] || overwriteDueDates) record[field] = incoming[field];
+        else conflicts.push({ field, current: record[field], proposed: incoming[field] });
+    }
+    if (incoming.description && !normalizeText(record.description).includes(normalizeText(incoming.description))) {
+        record.description = record.description ? `${record.description}\n\n${incoming.description}` : incoming.description;
+    }
+    if (incoming.attachment && !record.attachment) record.attachment = incoming.attachment;
+    if (!record.icon || (record.icon === DEFAULT_ICON_TYPE && incoming.icon)) record.icon = incoming.icon || DEFAULT_ICON_TYPE;
+    if (!record.status) record.status = DEFAULT_STATUS;
+    if (incoming.priority && !record.priority) record.priority = incoming.priority;
+    if (incoming.recurrence && !record.recurrence) record.recurrence = incoming.recurrence;
+    if (incoming.sourceMessageIds) {
+        const ids = [...new Set([...splitIds(record.sourceMessageIds), ...splitIds(incoming.sourceMessageIds)])];
+        record.sourceMessageIds = ids.slice(-MAX_SOURCE_MESSAGE_IDS).join(', ');
+    }
+    return conflicts;
+}
+
+// Summarises where a batch came from for the change history, e.g.
+// "CSE-A: 3EB0C431C26A1F…, 3EB0D2… (+40 more)".
+function describeSource(context) {
+    const MAX_IDS = 20;
+    const groups = (context.sourceGroups || []).join(', ');
+    const ids = context.sourceMessageIds || [];
+    const idList = ids.slice(0, MAX_IDS).join(', ') + (ids.length > MAX_IDS ? ` (+${ids.length - MAX_IDS} more)` : '');
+    return [groups, idList].filter(Boolean).join(': ');
+}
+
+// Returns true only if every read/write succeeded, so the caller knows whether the
+// queued messages behind these reminders can be acknowledged. `remindersFromLLM` are
+// validated reminders (see reminderValidation.js). Each one's `source_group` is used
+// for matching and recorded on it when added, along with its `source_group_id`;
+// `context.sourceGroups` and `context.sourceGroupIds` (the names and JIDs of the groups
+// the batch came from) stand in for reminders without them. `context.sourceMessageIds` is
+// recorded in the change history. With `context.report` (an object), the reminders
+// written are listed in its `appended`, `flagged` and `updated` arrays, and the ones
+// left alone in `skipped` with the reason.
+async function syncReminders(store, remindersFromLLM, context = {}) {
+    const report = context.report || {};
+    for (const list of ['appended', 'flagged', 'updated', 'skipped']) report[list] = report[list] || [];
+    const skip = (title, reason) => {
+        report.skipped.push({ title, reason });
+        syncedReminders.inc({ action: 'skipped' });
+    };
+
+    if (!remindersFromLLM) {
+        log.info("No reminders received from LLM to sync.");
+        return true;
+    }
+
+    let existingRecords = [];
+    try {
+        existingRecords = await store.read();
+    } catch (error) {
+        log.error({ err: error }, `Failed to read from ${store.name}`);
+        log.error('Aborting sync due to read error.');
+        return false;
+    }
+
+    // --- Collect existing reminders as match candidates ---
+    const candidates = [];
+    const usedIds = new Set();
+    for (const record of existingRecords) {
+        if (record.title && record.title.trim()) {
+            candidates.push(record);
+            if (record.id) usedIds.add(record.id);
+        } else {
+            log.warn(`Skipping record ${record.key} due to missing title.`);
+        }
+    }
+    log.info(`${candidates.length} existing reminders available for matching.`);
+
+    // --- Process reminders from LLM ---
+    let syncSucceeded = true;
+    const sourceGroups = context.sourceGroups || [];
+    const sourceGroupIds = context.sourceGroupIds || [];
+    const source = describeSource(context);
+    const touched = new Map(); // key -> { record, original } for existing reminders changed this run
+    const remindersToAppend = [];
+    const dueDateConflicts = []; // Due date/time changes kept out of existing reminders
+
+    log.info(`Processing ${remindersFromLLM.length} reminders from LLM...`);
+    for (const reminder of remindersFromLLM) {
+        if (!reminder.title) {
+            log.warn({ reminder }, "Skipping reminder from LLM with no title.");
+            skip('', 'no title');
+            continue;
+        }
+        const incoming = {
+            title: reminder.title.trim(),
+            dueDate: reminder.due_date || '',
+            dueTime: reminder.due_time || '',
+            description: reminder.description || '',
+            icon: CATEGORY_ICONS[reminder.category] || '',
+            priority: reminder.priority || '',
+            recurrence: reminder.recurrence || '',
+            attachment: reminder.source_attachment || '',
+            sourceMessageIds: (reminder.source_message_ids || []).slice(-MAX_SOURCE_MESSAGE_IDS).join(', '),
+            authoritative: reminder.authoritative === true,
+        };
+        const reminderGroups = reminder.source_group ? reminder.source_group.split(', ') : sourceGroups;
+        const reminderGroupIds = reminder.source_group_id ? reminder.source_group_id.split(', ') : sourceGroupIds;
+        const { decision, candidate, score } = matcher.match(incoming, candidates, reminderGroups);
+
+        if (decision === 'merge' && candidate.key) {
+            // --- UPDATE --- (the existing title is kept so rewording doesn't churn the row)
+            if (isLocked(candidate)) {
+                log.info(`Matched "${incoming.title}" to "${candidate.title}" (${candidate.key}), but its status is "${candidate.status}". Leaving it untouched.`);
+                skip(incoming.title, `matches ${candidate.id || candidate.title}, whose status is "${candidate.status}"`);
+                continue;
+            }
+            log.info(`Matched "${incoming.title}" to existing "${candidate.title}" (${candidate.key}, score ${score.toFixed(2)}). Merging fields.`);
+            if (!touched.has(candidate.key)) touched.set(candidate.key, { record: candidate, original: { ...candidate } });
+            if (!candidate.id) candidate.id = generateReminderId(usedIds);
+            // Only an authoritative sender may change a due date that is already set
+            for (const { field, current, proposed } of applyMergeRules(candidate, incoming, { overwriteDueDates: incoming.authoritative })) {
+                log.info(`Kept ${field} "${current}" of "${candidate.title}" (${candidate.key}); the LLM proposed "${proposed}" from a non-authoritative sender.`);
+                dueDateConflicts.push({ record: candidate, field, current, proposed });
+            }
+        } else if (decision === 'merge') {
+            // Matched another reminder added earlier in this same run; no one has edited it yet
+            log.info(`"${incoming.title}" duplicates "${candidate.title}" from this batch (score ${score.toFixed(2)}). Merging.`);
+            applyMergeRules(candidate, incoming, { overwriteDueDates: true });
+            skip(incoming.title, `merged into "${candidate.title}" from this batch`);
+        } else {
+            // --- APPEND ---
+            const newReminder = {
+                id: generateReminderId(usedIds),
+                ...incoming,
+                icon: incoming.icon || DEFAULT_ICON_TYPE,
+                status: DEFAULT_STATUS,
+                confidence: typeof reminder.confidence === 'number' ? reminder.confidence.toFixed(2) : '',
+                sourceGroup: reminderGroups.join(', '),
+                sourceGroupId: reminderGroupIds.join(', '),
+                sender: reminder.sender || '',
+                createdAt: new Date().toISOString(),
+            };
+            if (decision === 'review') {
+                const matchedRef = candidate.id || candidate.title;
+                newReminder.reviewFlag = `Possible duplicate of ${matchedRef} (score ${score.toFixed(2)})`;
+                log.warn(`"${incoming.title}" may duplicate "${candidate.title}" (score ${score.toFixed(2)}). Adding it flagged for review.`);
+            } else {
+                log.info(`Adding new reminder "${incoming.title}" (${newReminder.id}) to append list.`);
+            }
+            remindersToAppend.push(newReminder);
+            candidates.push(newReminder); // Later reminders in this run can merge into it
+        }
+    }
+
+    // --- Work out what actually changed ---
+    const timestamp = new Date().toISOString();
+    const updatesToPerform = [];
+    const updateHistory = [];
+    for (const { record, original } of touched.values()) {
+        const update = { key: record.key };
+        for (const field of MERGED_FIELDS) {
+            if ((record[field] || '') === (original[field] || '')) continue;
+            update[field] = record[field];
+            updateHistory.push({ timestamp, reminderId: record.id, title: record.title, field, oldValue: original[field] || '', newValue: record[field], source });
+        }
+        if (Object.keys(update).length > 1) updatesToPerform.push(update);
+        else skip(record.title, 'already up to date');
+    }
+    // History is only kept for the writes below that succeed, so it never shows a
+    // change that didn't happen
+    const historyEntries = [];
+
+    // Logged as "<field> conflict" with the value kept as the old value and the one
+    // proposed as the new value, so someone can apply it by hand if it is right
+    for (const { record, field, current, proposed } of dueDateConflicts) {
+        historyEntries.push({ timestamp, reminderId: record.id, title: record.title, field: `${field} conflict`, oldValue: current, newValue: proposed, source });
+    }
+
+    // --- Perform Batch Update ---
+    if (updatesToPerform.length > 0) {
+        log.info(`Updating ${updatesToPerform.length} existing reminders in ${store.name}...`);
+        try {
+            await store.upsert(updatesToPerform);
+            historyEntries.push(...updateHistory);
+            for (const update of updatesToPerform) {
+                const { record } = touched.get(update.key);
+                report.updated.push({ id: record.id, title: record.title, fields: Object.keys(update).filter(field => field !== 'key') });
+            }
+            syncedReminders.inc({ action: 'updated' }, updatesToPerform.length);
+        } catch (error) {
+            log.error({ err: error }, `Failed during update in ${store.name}`);
+            syncSucceeded = false;
+        }
+    } else {
+        log.info("No existing reminders needed changes.");
+    }
+
+    // --- Perform Append ---
+    if (remindersToAppend.length > 0) {
+        log.info(`Appending ${remindersToAppend.length} new reminders to ${store.name}...`);
+        try {
+            await store.append(remindersToAppend);
+            for (const reminder of remindersToAppend) {
+                historyEntries.push({ timestamp, reminderId: reminder.id, title: reminder.title, field: 'created', oldValue: '', newValue: reminder.title, source });
+                const action = reminder.reviewFlag ? 'flagged' : 'appended';
+                report[action].push({ id: reminder.id, title: reminder.title, dueDate: reminder.dueDate, ...(reminder.reviewFlag && { reviewFlag: reminder.reviewFlag }) });
+                syncedReminders.inc({ action });
+            }
+        } catch (error) {
+            log.error({ err: error }, `Failed during append to ${store.name}`);
+            syncSucceeded = false;
+        }
+    } else {
+        log.info("No new reminders to append.");
+    }
+
+    // --- Record Change History ---
+    // A failure here is logged but doesn't fail the sync: the reminders themselves
+    // were written, and retrying the batch would not reproduce these entries.
+    if (historyEntries.length > 0) {
+        try {
+            await store.appendHistory(historyEntries);
+            log.info(`Recorded ${historyEntries.length} change history entries.`);
+        } catch (error) {
+            log.error({ err: error }, `Failed to record change history in ${store.name}`);
+        }
+    }
+    log.info(`Sync process complete${syncSucceeded ? '' : ' (with errors)'}.`);
+    return syncSucceeded;
+}
+
+// Takes `messageIds` out of the source messages of every reminder that cites them,
+// after those messages were deleted or edited in WhatsApp. Edited versions of a
+// message, queued as "<id>:edit:<time>", count as that message too. A reminder left
+// without source messages is withdrawn: its status becomes "Cancelled" and the review
+// column gives `reason`. Reminders whose status someone has changed are left alone, and
+// so are those `keep(record, sourceIds)` accepts (e.g. ones an edited message still
+// supports). Returns how many reminders changed; throws if the store can't be read or
+// written.
+async function withdrawSourceMessages(store, messageIds, { reason, keep = () => false }) {
+    const isRemoved = (id) => messageIds.some(removedId => id === removedId || id.startsWith(`${removedId}:edit:`));
+    const timestamp = new Date().toISOString();
+    const source = `${reason}: ${messageIds.join(', ')}`;
+    const updates = [];
+    const historyEntries = [];
+
+    for (const record of await store.read()) {
+        const ids = splitIds(record.sourceMessageIds);
+        if (!ids.some(isRemoved) || keep(record, ids)) continue;
+        if (isLocked(record)) {
+            log.info(`A source message of "${record.title}" (${record.id || record.key}) was ${reason}, but its status is "${record.status}". Leaving it untouched.`);
+            continue;
+        }
+        const remaining = ids.filter(id => !isRemoved(id)).join(', ');
+        const update = { key: record.key, sourceMessageIds: remaining };
+        historyEntries.push({ timestamp, reminderId: record.id, title: record.title, field: 'sourceMessageIds', oldValue: record.sourceMessageIds, newValue: remaining, source });
+        if (!remaining) {
+            update.status = WITHDRAWN_STATUS;
+            update.reviewFlag = `Withdrawn: its source message was ${reason}`;
+            historyEntries.push({ timestamp, reminderId: record.id, title: record.title, field: 'status', oldValue: record.status || '', newValue: WITHDRAWN_STATUS, source });
+            log.info(`Withdrawing "${record.title}" (${record.id || record.key}); its source message was ${reason}.`);
+        }
+        updates.push(update);
+    }
+
+    if (updates.length === 0) return 0;
+    await store.upsert(updates);
+    syncedReminders.inc({ action: 'withdrawn' }, updates.filter(update => update.status === WITHDRAWN_STATUS).length);
+    try {
+        await store.appendHistory(historyEntries);
+    } catch (error) {
+        log.error({ err: error }, `Failed to record change history in ${store.name}`);
+    }
+    return updates.length;
+}
+
+module.exports = { syncReminders, withdrawSourceMessages, generateReminderId, isClosed, CATEGORY_ICONS, DEFAULT_ICON_TYPE, DEFAULT_STATUS, DONE_STATUS, WITHDRAWN_STATUS };
@@ -0,0 +1,201 @@
+// --- Reminder Validation ---
+// Checks and repairs the reminders an LLM returns before they are synced. Models get
+// formats subtly wrong ("20/03/2026", "5pm", a due date in last year), so each field
+// is normalized where its meaning is clear and dropped where it isn't; only a
+// reminder without a title is rejected outright. Provenance (source group, sender and
+// message IDs) is filled in from the transcript lines the reminder cites.
+const { todayIn, isIsoDate, pad, daysBetween, DEFAULT_TIME_ZONE } = require('./dates');
+
+const CATEGORIES = ['exam', 'assignment', 'event', 'info'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const DEFAULT_CATEGORY = 'info';
+const DEFAULT_PRIORITY = 'medium';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// A due date in an earlier year than the messages and this many days before them is
+// assumed to have the wrong year
+const STALE_DATE_DAYS = 180;
+
+// Word prefixes (regex source) for each category, tried in order. Handing something in
+// is checked first, so "Final assignment submission" is an assignment, not an exam.
+const CATEGORY_SYNONYMS = [
+    ['assignment', ['assignment', 'homework', 'submission', 'submit']],
+    ['exam', ['exam', 'test', 'quiz', 'midterm', 'mid', 'internal', 'viva', 'finals\\b']],
+    ['assignment', ['project', 'record', 'lab', 'task']],
+    ['event', ['event', 'meeting', 'seminar', 'workshop', 'webinar', 'hackathon', 'holiday', 'class', 'fest']],
+];
+const PRIORITY_SYNONYMS = { urgent: 'high', important: 'high', critical: 'high', normal: 'medium', med: 'medium', optional: 'low' };
+
+// Returns YYYY-MM-DD for the common ways a date gets written, or null.
+function repairDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/.exec(text);
+    if (match) {
+        const date = `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+        return isIsoDate(date) ? date : null;
+    }
+    match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text); // Day first, as written in India
+    if (match) {
+        const date = `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+        return isIsoDate(date) ? date : null;
+    }
+    return null;
+}
+
+// Returns 24-hour HH:MM for "17:30", "5:30 pm", "5pm", "17.30" or an ISO date-time, or null.
+function repairTime(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    const isoMatch = /^\d{4}-\d{2}-\d{2}[t ](\d{2}:\d{2})/.exec(text);
+    if (isoMatch) return repairTime(isoMatch[1]);
+    const match = /^(\d{1,2})(?:[:.](\d{2}))?(?::\d{2})?\s*([ap])?\.?\s*m?\.?$/.exec(text);
+    if (!match) return null;
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    if (match[3]) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (match[3] === 'p' ? 12 : 0);
+    } else if (match[2] === undefined) {
+        return null; // A bare number isn't clearly a time
+    }
+    if (hours > 23 || minutes > 59) return null;
+    return `${pad(hours)}:${pad(minutes)}`;
+}
+
+// Normalizes a recurrence to one of: "daily", "weekly", "monthly", "every N days",
+// "every N weeks" or "every monday[, thursday]". Returns null if it can't.
+function repairRecurrence(value) {
+    const text = String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!text || ['none', 'no', 'once', 'n/a'].includes(text)) return null;
+    if (/^(daily|every ?day)$/.test(text)) return 'daily';
+    if (/^(weekly|every ?week)$/.test(text)) return 'weekly';
+    if (/^(monthly|every ?month)$/.test(text)) return 'monthly';
+    const intervalMatch = /^every (\d+) (day|week)s?$/.exec(text);
+    if (intervalMatch) return `every ${intervalMatch[1]} ${intervalMatch[2]}s`;
+    const days = WEEKDAYS.filter(day => new RegExp(`\\b${day.slice(0, 3)}`).test(text));
+    if (/^(every|on|each)\b/.test(text) && days.length > 0) return `every ${days.join(', ')}`;
+    return null;
+}
+
+function repairCategory(value, title) {
+    const words = `${value || ''} ${title || ''}`.toLowerCase();
+    const direct = String(value || '').trim().toLowerCase();
+    if (CATEGORIES.includes(direct)) return direct;
+    for (const [category, synonyms] of CATEGORY_SYNONYMS) {
+        if (synonyms.some(synonym => new RegExp(`\\b${synonym}`).test(words))) return category;
+    }
+    return DEFAULT_CATEGORY;
+}
+
+function repairPriority(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (PRIORITIES.includes(text)) return text;
+    return PRIORITY_SYNONYMS[text] || DEFAULT_PRIORITY;
+}
+
+// Accepts 0-1, a percentage ("80%", 80) or a numeric string; returns a number in [0, 1] or null.
+function repairConfidence(value) {
+    if (value === undefined || value === null || value === '') return null;
+    let number = parseFloat(String(value).replace('%', ''));
+    if (Number.isNaN(number)) return null;
+    if (String(value).includes('%') || number > 1) number /= 100;
+    return Math.min(Math.max(number, 0), 1);
+}
+
+// Moves a due date from a past year that is long before the messages (usually a year
+// the model made up) to the same day in the messages' year, or the year after.
+function repairStaleYear(dueDate, referenceDay) {
+    if (dueDate.slice(0, 4) >= referenceDay.slice(0, 4) || daysBetween(dueDate, referenceDay) <= STALE_DATE_DAYS) return dueDate;
+    const monthDay = dueDate.slice(5);
+    const year = parseInt(referenceDay.slice(0, 4), 10);
+    for (const candidate of [`${year}-${monthDay}`, `${year + 1}-${monthDay}`]) {
+        if (isIsoDate(candidate) && daysBetween(candidate, referenceDay) <= STALE_DATE_DAYS) return candidate;
+    }
+    return dueDate;
+}
+
+// Maps the transcript line numbers a reminder cites ([#3] -> messages[2]) to its
+// source group (name and JID), senders and message IDs, and marks it `authoritative` when an
+// authoritative sender wrote one of those messages. Without usable references, the
+// groups and IDs are those of every message in the transcript (a chunk holds one
+// group) and the sender is left blank.
+function resolveProvenance(refs, messages) {
+    const cited = [...new Set((refs || []).map(Number))]
+        .filter(ref => Number.isInteger(ref) && ref >= 1 && ref <= messages.length)
+        .map(ref => messages[ref - 1]);
+    const sources = cited.length > 0 ? cited : messages;
+    const groups = [...new Set(sources.map(msg => msg.groupName || msg.groupJid).filter(Boolean))];
+    const groupJids = [...new Set(sources.map(msg => msg.groupJid).filter(Boolean))];
+    return {
+        source_group: groups.join(', '),
+        source_group_id: groupJids.join(', '),
+        sender: cited.length > 0 ? [...new Set(cited.map(msg => msg.sender).filter(Boolean))].join(', ') : '',
+        source_message_ids: sources.map(msg => msg.id).filter(Boolean),
+        ...(cited.some(msg => msg.authoritative) && { authoritative: true }),
+    };
+}
+
+// Returns { reminders, rejected, repairs } where `reminders` are the valid, normalized
+// reminders. `messages` are the transcript's messages in order (each with an `id`),
+// and `referenceDate` is the date relative dates were resolved against.
+function validateReminders(rawReminders, { messages = [], referenceDate = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const referenceDay = todayIn(timeZone, referenceDate);
+    const reminders = [];
+    const repairs = [];
+    let rejected = 0;
+
+    for (const raw of rawReminders || []) {
+        const title = String(raw?.title || '').replace(/\s+/g, ' ').trim();
+        if (!title) {
+            rejected++;
+            continue;
+        }
+        const note = (message) => repairs.push(`"${title}": ${message}`);
+
+        let dueDate = null;
+        if (raw.due_date) {
+            dueDate = repairDate(raw.due_date);
+            if (!dueDate) {
+                note(`dropped invalid due date "${raw.due_date}"`);
+            } else {
+                const repairedYear = repairStaleYear(dueDate, referenceDay);
+                if (repairedYear !== dueDate) note(`moved due date ${dueDate} to ${repairedYear}`);
+                else if (dueDate !== raw.due_date) note(`reformatted due date "${raw.due_date}" as ${dueDate}`);
+                dueDate = repairedYear;
+            }
+        }
+
+        // A time can also hide in an ISO date-time due date
+        const dueTime = repairTime(raw.due_time) || (!raw.due_time && /[T ]\d{2}:\d{2}/.test(raw.due_date || '') ? repairTime(raw.due_date) : null);
+        if (raw.due_time && !dueTime) note(`dropped invalid due time "${raw.due_time}"`);
+
+        const recurrence = repairRecurrence(raw.recurrence);
+        if (raw.recurrence && !recurrence && !/^(none|no|once|n\/a)$/i.test(String(raw.recurrence).trim())) {
+            note(`dropped unrecognized recurrence "${raw.recurrence}"`);
+        }
+
+        reminders.push({
+            title,
+            description: String(raw.description || '').trim(),
+            ...(dueDate && { due_date: dueDate }),
+            ...(dueTime && { due_time: dueTime }),
+            category: repairCategory(raw.category, title),
+            priority: repairPriority(raw.priority),
+            ...(recurrence && { recurrence }),
+            ...(repairConfidence(raw.confidence) !== null && { confidence: repairConfidence(raw.confidence) }),
+            ...(raw.source_attachment && { source_attachment: String(raw.source_attachment).trim() }),
+            ...resolveProvenance(raw.source_message_refs, messages),
+        });
+    }
+    return { reminders, rejected, repairs };
+}
+
+module.exports = {
+    validateReminders,
+    repairDate,
+    repairTime,
+    repairRecurrence,
+    CATEGORIES,
+    PRIORITIES,
+};
@@ -0,0 +1,69 @@
+// --- Run Reports ---
+// One JSON file per processing run in DATA_DIR/runs, saying what the run did: how many
+// messages it took from the queue, the chunks sent to the LLM for each target and
+// what came back, which reminders were appended, updated or skipped (and why), and
+// any errors. The newest `keep` reports are kept; older ones are deleted. The admin API
+// lists them at /admin/api/runs.
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('run-reports');
+
+const DEFAULT_KEEP = 200;
+const REPORT_ID_PATTERN = /^[\w-]+$/;
+
+function createRunReports({ dir = './data/runs', keep = DEFAULT_KEEP } = {}) {
+    // Report IDs are their start times, so file names sort oldest first.
+    function listFiles() {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    }
+
+    function prune() {
+        const files = listFiles();
+        for (const file of files.slice(0, Math.max(files.length - keep, 0))) {
+            fs.unlinkSync(path.join(dir, file));
+        }
+    }
+
+    // Saves `report` ({ startedAt, ... }) and returns its ID. A report that can't be
+    // written is logged, never thrown, so it can't fail the run it describes.
+    function save(report) {
+        const id = String(report.startedAt).replace(/[:.]/g, '-');
+        try {
+            writeJsonFile(path.join(dir, `${id}.json`), { id, ...report });
+            prune();
+        } catch (error) {
+            log.error({ err: error }, `Could not save run report ${id}`);
+        }
+        return id;
+    }
+
+    // Summaries of the newest `limit` reports, newest first.
+    function list(limit = 20) {
+        return listFiles().reverse().slice(0, limit).map(file => {
+            const report = get(file.slice(0, -'.json'.length));
+            if (!report) return null;
+            const { targets, ...summary } = report;
+            return summary;
+        }).filter(Boolean);
+    }
+
+    // The full report, or null if there is no such report.
+    function get(id) {
+        if (!REPORT_ID_PATTERN.test(id)) return null;
+        const filePath = path.join(dir, `${id}.json`);
+        try {
+            return readJsonFile(filePath);
+        } catch (error) {
+            log.error({ err: error }, `Could not read run report ${filePath}`);
+            return null;
+        }
+    }
+
+    return { save, list, get };
+}
+
+module.exports = { createRunReports };
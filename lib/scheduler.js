@@ -0,0 +1,174 @@
+// --- Processing Scheduler ---
+// Decides when the queue is processed, and makes sure only one run happens at a time.
+// Runs are requested by:
+//   - cron-style `schedules` (see cron.js), checked every TICK_INTERVAL_MS
+//   - an "idle flush": `idleFlushMinutes` after a group's last message, that group is
+//     processed on its own (0 turns it off)
+//   - a catch-up run `connectDelayMs` after the socket connects (null turns it off);
+//     reconnecting before it fires replaces it rather than adding another
+//   - retries of failed batches and the admin "sync now", via requestRun()
+// During `quietHours` ("22:00-07:00", in `timeZone`) requested runs are held and made
+// once, together, when the quiet hours end; forced runs ignore them. A run requested
+// while another is in progress is merged into a single follow-up run.
+const { parseCron, localTimeParts } = require('./cron');
+const { DEFAULT_TIME_ZONE } = require('./dates');
+const { createLogger } = require('./logger');
+
+const log = createLogger('scheduler');
+
+const TICK_INTERVAL_MS = 30 * 1000; // Under a minute, so no cron minute is skipped
+
+// "22:00-07:00" -> { start, end } in minutes after midnight, or null when unset.
+function parseQuietHours(value) {
+    if (!value) return null;
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    const start = match && parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    const end = match && parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+    if (!match || start >= 24 * 60 || end >= 24 * 60 || parseInt(match[2], 10) > 59 || parseInt(match[4], 10) > 59) {
+        throw new Error(`Invalid quiet hours "${value}" (expected HH:MM-HH:MM, e.g. 22:00-07:00).`);
+    }
+    return { start, end, text: String(value).trim() };
+}
+
+// Merges two run scopes; a null group list means every group.
+function mergeScopes(a, b) {
+    if (!a) return b;
+    if (!a.groupJids || !b.groupJids) return { groupJids: null, triggers: [...new Set([...a.triggers, ...b.triggers])] };
+    return { groupJids: [...new Set([...a.groupJids, ...b.groupJids])], triggers: [...new Set([...a.triggers, ...b.triggers])] };
+}
+
+// `run(trigger, { groupJids })` processes the queue (only `groupJids` when given) and
+// should not throw. Throws at startup on an invalid schedule or quiet hours.
+function createScheduler({
+    run,
+    schedules = ['0 * * * *'],
+    quietHours = null,
+    idleFlushMinutes = 0,
+    connectDelayMs = 15 * 1000,
+    timeZone = DEFAULT_TIME_ZONE,
+}) {
+    const crons = schedules.map(expression => parseCron(expression, { timeZone }));
+    const quiet = parseQuietHours(quietHours);
+    const idleTimers = new Map(); // groupJid -> timeout
+    let tickIntervalId = null;
+    let connectTimeoutId = null;
+    let lastCronMinute = null;
+    let running = false;
+    let followUp = null; // Scope requested while a run was in progress
+    let heldForQuietHours = null; // Scope requested during quiet hours
+
+    for (const cron of crons) {
+        if (!cron.next()) log.warn(`Schedule "${cron.expression}" doesn't match any time in the next year.`);
+    }
+
+    function isQuiet(now = new Date()) {
+        if (!quiet) return false;
+        const { hour, minute } = localTimeParts(timeZone, now);
+        const minutesNow = hour * 60 + minute;
+        return quiet.start <= quiet.end
+            ? minutesNow >= quiet.start && minutesNow < quiet.end
+            : minutesNow >= quiet.start || minutesNow < quiet.end; // Wraps past midnight
+    }
+
+    async function execute(scope) {
+        running = true;
+        try {
+            await run(scope.triggers.join('+'), { groupJids: scope.groupJids });
+        } catch (error) {
+            log.error({ err: error }, "Processing run failed");
+        } finally {
+            running = false;
+        }
+        if (followUp) {
+            const next = followUp;
+            followUp = null;
+            log.info(`Starting the run requested while the last one was in progress (${next.triggers.join(', ')}).`);
+            execute(next);
+        }
+    }
+
+    // Requests a processing run. `groupJids` limits it to those groups; `force` skips
+    // quiet hours. Returns "started", "queued" (after the current run) or "held"
+    // (until quiet hours end).
+    function requestRun(trigger, { groupJids = null, force = false } = {}) {
+        const scope = { groupJids, triggers: [trigger] };
+        if (!force && isQuiet()) {
+            heldForQuietHours = mergeScopes(heldForQuietHours, scope);
+            return 'held';
+        }
+        if (running) {
+            followUp = mergeScopes(followUp, scope);
+            return 'queued';
+        }
+        execute(scope);
+        return 'started';
+    }
+
+    function tick() {
+        const now = new Date();
+        if (heldForQuietHours && !isQuiet(now)) {
+            const held = heldForQuietHours;
+            heldForQuietHours = null;
+            log.info(`Quiet hours are over; running what was held (${held.triggers.join(', ')}).`);
+            requestRun(held.triggers.join('+'), { groupJids: held.groupJids });
+        }
+        const minuteKey = Math.floor(now.getTime() / 60000);
+        if (minuteKey === lastCronMinute || !crons.some(cron => cron.matches(now))) return;
+        lastCronMinute = minuteKey;
+        requestRun('schedule');
+    }
+
+    // Call for each message queued from a live chat; restarts the group's idle timer.
+    function noteActivity(groupJid) {
+        if (idleFlushMinutes <= 0 || !tickIntervalId) return;
+        clearTimeout(idleTimers.get(groupJid));
+        idleTimers.set(groupJid, setTimeout(() => {
+            idleTimers.delete(groupJid);
+            requestRun('idle', { groupJids: [groupJid] });
+        }, idleFlushMinutes * 60 * 1000));
+    }
+
+    // Starts the schedule and the catch-up run after a connect. Safe to call on every reconnect.
+    function start() {
+        if (!tickIntervalId) {
+            tickIntervalId = setInterval(tick, TICK_INTERVAL_MS);
+            log.info(`Processing on ${crons.map(cron => `"${cron.expression}"`).join(', ') || 'no schedule'} (${timeZone})${quiet ? `, quiet hours ${quiet.text}` : ''}${idleFlushMinutes > 0 ? `, idle flush after ${idleFlushMinutes} min` : ''}.`);
+        }
+        if (connectDelayMs !== null) {
+            clearTimeout(connectTimeoutId);
+            connectTimeoutId = setTimeout(() => {
+                connectTimeoutId = null;
+                requestRun('connect');
+            }, connectDelayMs);
+        }
+    }
+
+    // Stops scheduling new runs (e.g. while disconnected). A run in progress finishes.
+    function stop() {
+        if (tickIntervalId) clearInterval(tickIntervalId);
+        tickIntervalId = null;
+        clearTimeout(connectTimeoutId);
+        connectTimeoutId = null;
+        for (const timer of idleTimers.values()) clearTimeout(timer);
+        idleTimers.clear();
+    }
+
+    function status() {
+        const nextRuns = crons.map(cron => cron.next()).filter(Boolean);
+        return {
+            running,
+            active: Boolean(tickIntervalId),
+            schedules: crons.map(cron => cron.expression),
+            nextScheduledRun: nextRuns.length > 0 ? new Date(Math.min(...nextRuns)).toISOString() : null,
+            quietHours: quiet ? quiet.text : null,
+            quietNow: isQuiet(),
+            held: Boolean(heldForQuietHours),
+            idleFlushMinutes,
+            idleGroups: idleTimers.size,
+        };
+    }
+
+    return { start, stop, requestRun, noteActivity, isRunning: () => running, status };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,69 @@
+// --- Source Message Index ---
+// Which reminder targets cite each processed message, so a message deleted or edited in
+// WhatsApp only reads a reminder store when a reminder actually came from it. Kept in
+// DATA_DIR (source-index.json) for `ttlMs`: WhatsApp only lets a message be deleted for
+// everyone for about two days, so older entries are dropped. An edit's ID
+// ("<id>:edit:<time>") is filed under the message it edits.
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('source-index');
+
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const baseMessageId = (id) => id.split(':edit:')[0];
+const targetKey = (target) => `${target.spreadsheetId}::${target.sheetName}`;
+
+function createSourceIndex({ stateDir = './data', ttlMs = DEFAULT_TTL_MS } = {}) {
+    const statePath = path.join(stateDir, 'source-index.json');
+    let entries = {}; // message id -> { targets: [{ spreadsheetId, sheetName }], at }
+
+    function load() {
+        try {
+            entries = readJsonFile(statePath, {});
+        } catch (error) {
+            log.error({ err: error }, `Could not read ${statePath}, starting empty`);
+        }
+    }
+
+    function save() {
+        const now = Date.now();
+        for (const [id, entry] of Object.entries(entries)) {
+            if (now - Date.parse(entry.at) >= ttlMs) delete entries[id];
+        }
+        try {
+            writeJsonFile(statePath, entries, { indent: 0 });
+        } catch (error) {
+            // A missed entry only means a later delete doesn't withdraw its reminders
+            log.error({ err: error }, `Could not write ${statePath}`);
+        }
+    }
+
+    // Records that reminders synced to `target` cite `messageIds`.
+    function record(messageIds, target) {
+        if (messageIds.length === 0) return;
+        const at = new Date().toISOString();
+        for (const id of new Set(messageIds.map(baseMessageId))) {
+            const targets = (entries[id]?.targets || []).filter(existing => targetKey(existing) !== targetKey(target));
+            entries[id] = { targets: [...targets, { spreadsheetId: target.spreadsheetId, sheetName: target.sheetName }], at };
+        }
+        save();
+    }
+
+    // The targets holding reminders that cite `messageId` or an edit of it.
+    function targetsOf(messageId) {
+        return entries[baseMessageId(messageId)]?.targets || [];
+    }
+
+    function forget(messageId) {
+        if (!entries[baseMessageId(messageId)]) return;
+        delete entries[baseMessageId(messageId)];
+        save();
+    }
+
+    load();
+    return { record, targetsOf, forget };
+}
+
+module.exports = { createSourceIndex };
@@ -0,0 +1,92 @@
+// --- CSV Reminder Store ---
+// Keeps reminders in an RFC 4180 CSV file with a header row. Fields containing
+// commas, quotes or line breaks are quoted, so descriptions round-trip intact. Like a
+// sheet, the file keeps its own column order on rewrite, and columns that aren't
+// reminder fields are written back unchanged; missing fields get columns at the end.
+const { createFileStore } = require('./fileStore');
+const { FIELD_HEADERS, REMINDER_FIELDS, mapHeaderRow } = require('./fields');
+
+// Files this store created name their columns by field ("dueDate"); files made by hand
+// can use the sheet headers ("Due Date") instead.
+const CSV_HEADERS = Object.fromEntries(REMINDER_FIELDS.map(field => [field, [field, FIELD_HEADERS[field]]]));
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function escapeCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createCsvStore({ filePath }) {
+    let header = []; // The header row last read, reused when the file is written back
+
+    return createFileStore({
+        name: 'CSV Store',
+        filePath,
+        parse: (text) => {
+            const [headerRow = [], ...rows] = parseCsv(text);
+            header = headerRow;
+            const columnMap = mapHeaderRow(header, CSV_HEADERS);
+            const otherIndexes = header.map((_, i) => i).filter(i => !Object.values(columnMap).includes(i));
+            return rows
+                .filter(row => row.some(value => value !== ''))
+                .map(row => ({
+                    ...Object.fromEntries(Object.entries(columnMap).map(([field, i]) => [field, row[i] || ''])),
+                    // Values of the columns that aren't reminder fields, by column index
+                    otherColumns: Object.fromEntries(otherIndexes.map(i => [i, row[i] || ''])),
+                }));
+        },
+        serialize: (records) => {
+            const columnMap = mapHeaderRow(header, CSV_HEADERS);
+            const missingFields = REMINDER_FIELDS.filter(field => columnMap[field] === undefined);
+            missingFields.forEach((field, i) => { columnMap[field] = header.length + i; });
+            const headerRow = [...header, ...missingFields];
+            const rows = records.map(record => {
+                const row = headerRow.map(() => '');
+                for (const [i, value] of Object.entries(record.otherColumns || {})) row[i] = value;
+                for (const [field, i] of Object.entries(columnMap)) row[i] = record[field];
+                return row;
+            });
+            return [headerRow, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\n') + '\n';
+        },
+    });
+}
+
+module.exports = { createCsvStore, parseCsv };
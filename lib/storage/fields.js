@@ -0,0 +1,88 @@
+// --- Reminder Fields ---
+// The fields a reminder record can carry, and the header each field is recognised by
+// in a sheet. Headers are compared case-insensitively, ignoring spaces and punctuation,
+// so "Due Date", "due_date" and "DueDate" all match. Only these names are matched:
+// a generic header such as "Time" or "Group" may be a column people added for
+// themselves, and the bot must not write to it. Other names are opted into with
+// SHEET_COLUMNS (the `overrides` of mapHeaderRow).
+const FIELD_HEADERS = {
+    id: 'ID',
+    title: 'Title',
+    dueDate: 'Due Date',
+    dueTime: 'Due Time',
+    description: 'Description',
+    icon: 'Icon Type',
+    status: 'Status',
+    sourceGroup: 'Source Group',
+    sourceGroupId: 'Source Group ID',
+    sender: 'Sender',
+    messageLink: 'Message Link',
+    attachment: 'Attachment',
+    priority: 'Priority',
+    recurrence: 'Recurrence',
+    confidence: 'Confidence',
+    sourceMessageIds: 'Source Message IDs',
+    createdAt: 'Created At',
+    reviewFlag: 'Review Flag',
+};
+
+const REMINDER_FIELDS = Object.keys(FIELD_HEADERS);
+
+// Column order used when a sheet has no header row yet (the original A-E layout plus
+// the reminder ID and the JID of the group it came from).
+const DEFAULT_HEADER_ROW = ['Title', 'Due Date', 'Description', 'Icon Type', 'Status', 'ID', 'Source Group ID'];
+
+// Change history entries: field name -> column header, in column order.
+const HISTORY_COLUMNS = {
+    timestamp: 'Timestamp',
+    reminderId: 'Reminder ID',
+    title: 'Title',
+    field: 'Field',
+    oldValue: 'Old Value',
+    newValue: 'New Value',
+    source: 'Source',
+};
+const HISTORY_FIELDS = Object.keys(HISTORY_COLUMNS);
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Maps each known field to its column index in `headerRow`. `overrides` maps a field
+// to a header name (or list of names) to use instead of the one above.
+function mapHeaderRow(headerRow, overrides = {}) {
+    const normalizedHeaders = headerRow.map(normalizeHeader);
+    const columnMap = {};
+    for (const field of REMINDER_FIELDS) {
+        const candidates = [].concat(overrides[field] || FIELD_HEADERS[field]);
+        for (const candidate of candidates) {
+            const index = normalizedHeaders.indexOf(normalizeHeader(candidate));
+            if (index !== -1 && !Object.values(columnMap).includes(index)) {
+                columnMap[field] = index;
+                break;
+            }
+        }
+    }
+    return columnMap;
+}
+
+// Returns only the known fields of `record` that are set, so partial updates leave
+// everything else untouched.
+function pickDefinedFields(record) {
+    const picked = {};
+    for (const field of REMINDER_FIELDS) {
+        if (record[field] !== undefined && record[field] !== null) picked[field] = record[field];
+    }
+    return picked;
+}
+
+module.exports = {
+    FIELD_HEADERS,
+    REMINDER_FIELDS,
+    DEFAULT_HEADER_ROW,
+    HISTORY_COLUMNS,
+    HISTORY_FIELDS,
+    normalizeHeader,
+    mapHeaderRow,
+    pickDefinedFields,
+};
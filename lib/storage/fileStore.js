@@ -0,0 +1,69 @@
+// --- File-Backed Reminder Store ---
+// Shared implementation for the local JSON and CSV stores: the whole file is loaded,
+// changed in memory and written back atomically. Records are keyed by their 1-based
+// position in the file, which stays stable because records are never removed. Change
+// history is appended to a JSON Lines file next to the store.
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../jsonFile');
+const { REMINDER_FIELDS, pickDefinedFields } = require('./fields');
+const { createLogger } = require('../logger');
+
+const log = createLogger('store');
+
+function pickFields(record) {
+    const picked = {};
+    for (const field of REMINDER_FIELDS) picked[field] = record[field] || '';
+    return picked;
+}
+
+function createFileStore({ name, filePath, parse, serialize }) {
+    const historyPath = filePath.replace(/\.[^./\\]+$/, '') + '.history.jsonl';
+
+    function load() {
+        if (!fs.existsSync(filePath)) return [];
+        return parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    function save(records) {
+        writeFileAtomic(filePath, serialize(records));
+    }
+
+    async function read() {
+        const records = load();
+        log.info({ store: name }, `Read ${records.length} reminders from ${filePath}.`);
+        return records.map((record, i) => ({ key: i + 1, ...pickFields(record) }));
+    }
+
+    // Overwrites the fields set on each record in the record named by its `key`;
+    // records without a key are appended.
+    async function upsert(updates) {
+        const records = load();
+        for (const update of updates) {
+            if (update.key && update.key <= records.length) {
+                records[update.key - 1] = { ...records[update.key - 1], ...pickDefinedFields(update) };
+            } else {
+                records.push(pickFields(update));
+            }
+        }
+        save(records);
+        log.info({ store: name }, `Upserted ${updates.length} reminders.`);
+    }
+
+    async function append(newRecords) {
+        if (newRecords.length === 0) return;
+        const records = load();
+        records.push(...newRecords.map(pickFields));
+        save(records);
+        log.info({ store: name }, `Appended ${newRecords.length} reminders.`);
+    }
+
+    async function appendHistory(entries) {
+        fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+        fs.appendFileSync(historyPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    }
+
+    return { name, read, upsert, append, appendHistory };
+}
+
+module.exports = { createFileStore };
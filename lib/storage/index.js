@@ -0,0 +1,38 @@
+// --- Reminder Storage Backends ---
+// Every backend exposes the same interface, so the merge logic in reminderSync.js
+// doesn't care where reminders live:
+//   read()           -> [{ key, title, dueDate, description, icon, status, ... }]
+//   upsert(records)  -> overwrite the fields set on records by `key` (records without a key are added)
+//   append(records)  -> add new records
+//   appendHistory(entries) -> record changes ({ timestamp, reminderId, title, field, oldValue, newValue, source })
+// REMINDER_STORE selects the backend: "sheets" (default), "json", "csv" or "sqlite".
+const path = require('path');
+const { createSheetsStore } = require('./sheetsStore');
+const { createJsonStore } = require('./jsonStore');
+const { createCsvStore } = require('./csvStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+const STORE_TYPES = ['sheets', 'json', 'csv', 'sqlite'];
+
+// Turns a routing target into something safe to use in a file name.
+function targetFileName(target) {
+    const name = [target.spreadsheetId, target.sheetName].filter(Boolean).join('__') || 'reminders';
+    return name.replace(/[^a-zA-Z0-9._-]+/g, '_');
+}
+
+function createReminderStore({ type = 'sheets', target = {}, sheetsClient, dataDir = './data', columns, historySheetName }) {
+    switch (type) {
+        case 'sheets':
+            return createSheetsStore({ sheetsClient, spreadsheetId: target.spreadsheetId, sheetName: target.sheetName, columns, historySheetName });
+        case 'json':
+            return createJsonStore({ filePath: path.join(dataDir, 'reminders', `${targetFileName(target)}.json`) });
+        case 'csv':
+            return createCsvStore({ filePath: path.join(dataDir, 'reminders', `${targetFileName(target)}.csv`) });
+        case 'sqlite':
+            return createSqliteStore({ filePath: path.join(dataDir, 'reminders.sqlite'), target: targetFileName(target) });
+        default:
+            throw new Error(`Unknown reminder store "${type}" (expected one of: ${STORE_TYPES.join(', ')}).`);
+    }
+}
+
+module.exports = { createReminderStore, STORE_TYPES };
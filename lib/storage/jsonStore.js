@@ -0,0 +1,18 @@
+// --- JSON Reminder Store ---
+// Keeps reminders as a pretty-printed JSON array, one object per reminder.
+const { createFileStore } = require('./fileStore');
+
+function createJsonStore({ filePath }) {
+    return createFileStore({
+        name: 'JSON Store',
+        filePath,
+        parse: (text) => {
+            const records = JSON.parse(text || '[]');
+            if (!Array.isArray(records)) throw new Error(`${filePath} does not contain a JSON array.`);
+            return records;
+        },
+        serialize: (records) => JSON.stringify(records, null, 2) + '\n',
+    });
+}
+
+module.exports = { createJsonStore };
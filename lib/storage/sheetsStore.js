@@ -0,0 +1,307 @@
+// --- Google Sheets Reminder Store ---
+// Reads and writes reminders in one tab of a Google Sheet. Records are keyed by
+// their 1-based sheet row number when read; rows can move before they are written
+// back, so upsert() finds each one again first.
+// Note: Writes use valueInputOption: 'RAW' to store dates as plain text.
+const { google } = require('googleapis');
+const { DEFAULT_HEADER_ROW, FIELD_HEADERS, HISTORY_COLUMNS, HISTORY_FIELDS, mapHeaderRow, pickDefinedFields } = require('./fields');
+const { createLogger } = require('../logger');
+const { counter } = require('../metrics');
+
+const log = createLogger('sheets');
+const sheetsApiErrors = counter('reminder_bot_sheets_api_errors_total', 'Failed Google Sheets API calls, by operation.', ['operation']);
+
+const SHEETS_SCOPE = ['https://www.googleapis.com/auth/spreadsheets'];
+
+const HEADER_ROW_INDEX = 0;
+
+// Fields the bot adds a column for when the header row has none
+const BOT_COLUMNS = ['id', 'sourceGroupId'];
+
+// Function to authenticate and get sheets API client
+async function getSheetsClient() {
+    log.info("Attempting to get Google Sheets client...");
+    const email = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
+    const key = process.env.GOOGLE_PRIVATE_KEY;
+
+    if (!email || !key) {
+        log.error("Credentials missing.");
+        throw new Error("Google Sheets API credentials missing.");
+    } else {
+        log.info("Found GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_PRIVATE_KEY environment variables.");
+    }
+
+    try {
+        const auth = new google.auth.GoogleAuth({
+            credentials: {
+            client_email: email,
+            private_key: key.replace(/\\n/g, '\n'),
+            },
+            scopes: SHEETS_SCOPE,
+        });
+        const authClient = await auth.getClient();
+        log.info("Successfully obtained Google auth client.");
+        return google.sheets({ version: 'v4', auth: authClient });
+    } catch (error) {
+        log.error({ err: error }, "Failed to create Google auth client");
+        throw new Error(`Failed to authenticate with Google Sheets API. Check credentials and scope. Error: ${error.message}`);
+    }
+}
+
+// Counts a failed Sheets API call and logs Google's error details, if any.
+function recordApiError(operation, error) {
+    sheetsApiErrors.inc({ operation });
+    log.error({ err: error, operation, details: error.response?.data?.error }, `Sheets API ${operation} failed`);
+}
+
+// Converts a 0-based column index to its A1 letter(s): 0 -> A, 25 -> Z, 26 -> AA.
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function quoteSheetName(sheetName) {
+    return `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+// The sheet's layout is taken from its header row: each known field is written to the
+// column whose header matches it (see fields.js), and columns the bot doesn't know
+// about are never written. `columns` optionally overrides the header name per field.
+// A sheet whose header has no ID or Source Group ID column gets them added after its last
+// column before the first write: chat commands and the sync find reminders by their ID,
+// and chat commands tell groups apart by their JID.
+// Change history goes to the `historySheetName` tab, which is created when missing.
+function createSheetsStore({ sheetsClient, spreadsheetId, sheetName, columns = {}, historySheetName = 'Change History' }) {
+    if (!sheetsClient) throw new Error("Google Sheets client not initialized.");
+    const name = `Google Sheets "${sheetName}"`;
+    const sheetRef = quoteSheetName(sheetName);
+    const historySheetRef = quoteSheetName(historySheetName);
+    let layout = null; // { columnMap, hasHeader, width }
+    let readRows = new Map(); // key -> { id, title } of each row as read() returned it
+    let historySheetReady = false;
+
+    function applyHeaderRow(headerRow) {
+        const hasHeader = headerRow.some(header => String(header).trim() !== '');
+        // A blank sheet gets the original A-E layout plus an ID column, and the header is
+        // written on first append.
+        const columnMap = mapHeaderRow(hasHeader ? headerRow : DEFAULT_HEADER_ROW, columns);
+        if (columnMap.title === undefined) {
+            throw new Error(`Sheet "${sheetName}" has no title column. Add a "Title" header (or configure SHEET_COLUMNS).`);
+        }
+        layout = { columnMap, hasHeader, width: hasHeader ? headerRow.length : DEFAULT_HEADER_ROW.length };
+        const mapped = Object.entries(columnMap).map(([field, index]) => `${field}=${columnLetter(index)}`).join(', ');
+        log.info(`Column layout for "${sheetName}": ${mapped}${hasHeader ? '' : ' (no header row yet)'}.`);
+    }
+
+    async function loadLayout() {
+        if (layout) return layout;
+        const response = await sheetsClient.spreadsheets.values.get({
+            spreadsheetId,
+            range: `${sheetRef}!${HEADER_ROW_INDEX + 1}:${HEADER_ROW_INDEX + 1}`,
+        });
+        applyHeaderRow(response.data.values?.[0] || []);
+        return layout;
+    }
+
+    async function writeHeaderRow() {
+        await sheetsClient.spreadsheets.values.update({
+            spreadsheetId,
+            range: `${sheetRef}!A${HEADER_ROW_INDEX + 1}`,
+            valueInputOption: 'RAW',
+            resource: { values: [DEFAULT_HEADER_ROW] },
+        });
+        layout.hasHeader = true;
+        log.info(`Wrote header row to empty sheet "${sheetName}".`);
+    }
+
+    // Adds the headers of BOT_COLUMNS missing from an existing header row after its last column.
+    async function ensureBotColumns() {
+        if (!layout.hasHeader) return;
+        for (const field of BOT_COLUMNS.filter(field => layout.columnMap[field] === undefined)) {
+            const index = layout.width;
+            const header = columns[field] ? [].concat(columns[field])[0] : FIELD_HEADERS[field];
+            await sheetsClient.spreadsheets.values.update({
+                spreadsheetId,
+                range: `${sheetRef}!${columnLetter(index)}${HEADER_ROW_INDEX + 1}`,
+                valueInputOption: 'RAW',
+                resource: { values: [[header]] },
+            });
+            layout.columnMap[field] = index;
+            layout.width = index + 1;
+            log.info(`Added a "${header}" column (${columnLetter(index)}) to sheet "${sheetName}".`);
+        }
+    }
+
+    async function fetchRecords() {
+        const response = await sheetsClient.spreadsheets.values.get({
+            spreadsheetId,
+            range: sheetRef,
+        });
+        const rows = response.data.values || [];
+        applyHeaderRow(rows[HEADER_ROW_INDEX] || []);
+        return rows.slice(HEADER_ROW_INDEX + 1).map((row, i) => {
+            const record = { key: HEADER_ROW_INDEX + i + 2 }; // 1-based row number in the sheet
+            for (const [field, index] of Object.entries(layout.columnMap)) {
+                record[field] = row[index] || '';
+            }
+            return record;
+        });
+    }
+
+    async function read() {
+        log.info(`Reading existing data from sheet "${sheetName}"...`);
+        try {
+            const records = await fetchRecords();
+            log.info(`Read ${records.length} reminder rows.`);
+            readRows = new Map(records.map(record => [record.key, { id: record.id, title: record.title }]));
+            return records;
+        } catch (error) {
+            recordApiError('read', error);
+            throw error;
+        }
+    }
+
+    // Someone may have sorted the sheet, or inserted or deleted rows above, since it was
+    // read. Returns key -> the row each record is in now, found by the ID it was read
+    // with, or for a row that had no ID by its title among the rows still without one.
+    // Records whose row is gone are left out; keys read() didn't hand out are kept.
+    async function resolveRows(records) {
+        const current = await fetchRecords();
+        const rowsById = new Map(current.filter(row => row.id).map(row => [row.id, row.key]));
+        const rowAt = new Map(current.map(row => [row.key, row]));
+        const resolved = new Map();
+        for (const { key } of records) {
+            const seen = readRows.get(key);
+            let row = key;
+            if (seen?.id) {
+                row = rowsById.get(seen.id);
+            } else if (seen) {
+                const matches = (candidate) => candidate && !candidate.id && candidate.title === seen.title && ![...resolved.values()].includes(candidate.key);
+                row = matches(rowAt.get(key)) ? key : current.find(matches)?.key;
+            }
+            if (row === undefined) {
+                log.warn(`"${seen.title}" (${seen.id || `row ${key}`}) is no longer in sheet "${sheetName}"; not updating it.`);
+                continue;
+            }
+            if (row !== key) log.info(`"${seen.title}" moved from row ${key} to row ${row} since it was read.`);
+            resolved.set(key, row);
+        }
+        return resolved;
+    }
+
+    // Overwrites the known fields set on each record in the row its `key` was read from,
+    // wherever that row is now; other cells in the row are left as they are. Records
+    // without a key are appended.
+    async function upsert(records) {
+        const newRecords = records.filter(record => !record.key);
+        try {
+            await loadLayout();
+            await ensureBotColumns();
+            const existing = records.filter(record => record.key);
+            const rows = existing.length > 0 ? await resolveRows(existing) : new Map();
+            const { columnMap } = layout;
+            const data = [];
+            for (const record of existing.filter(record => rows.has(record.key))) {
+                for (const [field, value] of Object.entries(pickDefinedFields(record))) {
+                    if (columnMap[field] === undefined) continue;
+                    data.push({
+                        range: `${sheetRef}!${columnLetter(columnMap[field])}${rows.get(record.key)}`,
+                        values: [[value]], // Send dates as strings
+                    });
+                }
+            }
+
+            if (data.length > 0) {
+                const result = await sheetsClient.spreadsheets.values.batchUpdate({
+                    spreadsheetId,
+                    resource: {
+                        valueInputOption: 'RAW', // <<< Ensures date string is stored as text
+                        data,
+                    },
+                });
+                log.info(`Batch update successful. Responses: ${result.data.totalUpdatedRows || 0} rows updated across ${result.data.responses?.length || 0} ranges.`);
+            }
+        } catch (error) {
+            recordApiError('update', error);
+            throw error;
+        }
+        if (newRecords.length > 0) await append(newRecords);
+    }
+
+    async function append(records) {
+        if (records.length === 0) return;
+        try {
+            await loadLayout();
+            if (!layout.hasHeader) await writeHeaderRow();
+            await ensureBotColumns();
+            const { columnMap } = layout;
+            const width = Math.max(...Object.values(columnMap)) + 1;
+            const rows = records.map(record => {
+                const row = new Array(width).fill('');
+                for (const [field, value] of Object.entries(pickDefinedFields(record))) {
+                    if (columnMap[field] !== undefined) row[columnMap[field]] = value;
+                }
+                return row;
+            });
+
+            const result = await sheetsClient.spreadsheets.values.append({
+                spreadsheetId,
+                range: sheetRef, // Append to the sheet name - finds first empty row
+                valueInputOption: 'RAW', // <<< Ensures date string is stored as text
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: rows },
+            });
+            log.info(`Append successful. Appended ${result.data.updates?.updatedRows || 0} rows.`);
+        } catch (error) {
+            recordApiError('append', error);
+            throw error;
+        }
+    }
+
+    async function ensureHistorySheet() {
+        if (historySheetReady) return;
+        const spreadsheet = await sheetsClient.spreadsheets.get({
+            spreadsheetId,
+            fields: 'sheets.properties.title',
+        });
+        const exists = (spreadsheet.data.sheets || []).some(sheet => sheet.properties?.title === historySheetName);
+        if (!exists) {
+            await sheetsClient.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: { requests: [{ addSheet: { properties: { title: historySheetName } } }] },
+            });
+            await sheetsClient.spreadsheets.values.update({
+                spreadsheetId,
+                range: `${historySheetRef}!A1`,
+                valueInputOption: 'RAW',
+                resource: { values: [['Sheet', ...Object.values(HISTORY_COLUMNS)]] },
+            });
+            log.info(`Created change history tab "${historySheetName}".`);
+        }
+        historySheetReady = true;
+    }
+
+    // Appends change history rows, prefixed with the reminder tab they belong to.
+    async function appendHistory(entries) {
+        try {
+            await ensureHistorySheet();
+            await sheetsClient.spreadsheets.values.append({
+                spreadsheetId,
+                range: historySheetRef,
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: entries.map(entry => [sheetName, ...HISTORY_FIELDS.map(field => entry[field] ?? '')]) },
+            });
+        } catch (error) {
+            recordApiError('appendHistory', error);
+            throw error;
+        }
+    }
+
+    return { name, read, upsert, append, appendHistory };
+}
+
+module.exports = { getSheetsClient, createSheetsStore, columnLetter };
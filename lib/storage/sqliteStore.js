@@ -0,0 +1,120 @@
+// --- SQLite Reminder Store ---
+// Keeps reminders in a local SQLite database (via the optional `better-sqlite3`
+// dependency). Every routing target shares one `reminders` table, separated by the
+// `target` column. Records are keyed by their row id.
+const fs = require('fs');
+const path = require('path');
+const { REMINDER_FIELDS } = require('./fields');
+const { createLogger } = require('../logger');
+
+const log = createLogger('store');
+
+// Field name -> SQL column name, e.g. dueDate -> due_date. The reminder's own `id`
+// field is stored as reminder_id, since `id` is the row id.
+const COLUMNS = Object.fromEntries(REMINDER_FIELDS.map(field => [field, field === 'id' ? 'reminder_id' : field.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`)]));
+
+const openDatabases = new Map(); // filePath -> Database
+
+function openDatabase(filePath) {
+    if (openDatabases.has(filePath)) return openDatabases.get(filePath);
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error(`The SQLite reminder store needs the "better-sqlite3" package. Install it with "npm install better-sqlite3". (${error.message.split('\n')[0]})`);
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target TEXT NOT NULL
+    )`);
+    // Add a column for any reminder field the table doesn't have yet
+    const existingColumns = db.prepare('PRAGMA table_info(reminders)').all().map(column => column.name);
+    for (const column of Object.values(COLUMNS)) {
+        if (!existingColumns.includes(column)) {
+            db.exec(`ALTER TABLE reminders ADD COLUMN ${column} TEXT NOT NULL DEFAULT ''`);
+        }
+    }
+    db.exec(`CREATE TABLE IF NOT EXISTS reminder_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        reminder_id TEXT NOT NULL DEFAULT '',
+        title TEXT NOT NULL DEFAULT '',
+        field TEXT NOT NULL,
+        old_value TEXT NOT NULL DEFAULT '',
+        new_value TEXT NOT NULL DEFAULT '',
+        source TEXT NOT NULL DEFAULT ''
+    )`);
+    openDatabases.set(filePath, db);
+    return db;
+}
+
+function createSqliteStore({ filePath, target }) {
+    const name = 'SQLite Store';
+    const db = openDatabase(filePath);
+    const columnList = REMINDER_FIELDS.map(field => COLUMNS[field]).join(', ');
+
+    const selectAll = db.prepare(`SELECT id, ${columnList} FROM reminders WHERE target = ? ORDER BY id`);
+    // Fields passed as NULL keep their current value
+    const updateOne = db.prepare(`UPDATE reminders SET ${REMINDER_FIELDS.map(field => `${COLUMNS[field]} = COALESCE(@${field}, ${COLUMNS[field]})`).join(', ')} WHERE id = @key AND target = @target`);
+    const insertOne = db.prepare(`INSERT INTO reminders (target, ${columnList}) VALUES (@target, ${REMINDER_FIELDS.map(field => `@${field}`).join(', ')})`);
+
+    function toParams(record, keepMissing) {
+        const params = { target, key: record.key || null };
+        for (const field of REMINDER_FIELDS) {
+            const value = record[field] ?? null;
+            params[field] = value === null && !keepMissing ? '' : value;
+        }
+        return params;
+    }
+
+    async function read() {
+        const rows = selectAll.all(target);
+        log.info({ store: name }, `Read ${rows.length} reminders for "${target}".`);
+        return rows.map(row => {
+            const record = { key: row.id };
+            for (const field of REMINDER_FIELDS) record[field] = row[COLUMNS[field]];
+            return record;
+        });
+    }
+
+    // Overwrites the fields set on each record in the row named by its `key`;
+    // records without a key are inserted.
+    const upsertMany = db.transaction((records) => {
+        for (const record of records) {
+            if (record.key && updateOne.run(toParams(record, true)).changes > 0) continue;
+            insertOne.run(toParams(record, false));
+        }
+    });
+
+    async function upsert(records) {
+        upsertMany(records);
+        log.info({ store: name }, `Upserted ${records.length} reminders.`);
+    }
+
+    async function append(records) {
+        if (records.length === 0) return;
+        upsertMany(records.map(record => ({ ...record, key: null })));
+        log.info({ store: name }, `Appended ${records.length} reminders.`);
+    }
+
+    const insertHistory = db.prepare(`INSERT INTO reminder_history (target, timestamp, reminder_id, title, field, old_value, new_value, source)
+        VALUES (@target, @timestamp, @reminderId, @title, @field, @oldValue, @newValue, @source)`);
+    const appendHistoryMany = db.transaction((entries) => {
+        for (const entry of entries) {
+            insertHistory.run({ target, reminderId: '', title: '', oldValue: '', newValue: '', source: '', ...entry });
+        }
+    });
+
+    async function appendHistory(entries) {
+        appendHistoryMany(entries);
+    }
+
+    return { name, read, upsert, append, appendHistory };
+}
+
+module.exports = { createSqliteStore };
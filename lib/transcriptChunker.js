@@ -0,0 +1,146 @@
+// --- Transcript Chunking ---
+// Splits a batch of queued messages into transcripts small enough for one LLM call,
+// so a busy hour doesn't overflow the model's context and one bad call doesn't sink
+// the whole batch:
+//   - each chunk holds messages from a single group
+//   - reply threads (a message plus the replies quoting it) stay in one chunk when
+//     they fit
+//   - chunks stay under a token budget estimated from the transcript's length
+// Entries are { id, message } as stored in the message queue.
+const { tokenize } = require('./reminderMatcher');
+
+const CHARS_PER_TOKEN = 4; // Rough average for chat text; no tokenizer needed
+const DEFAULT_MAX_TOKENS = 8000;
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// How a sender is shown: "Prof. Rao (teacher)", plus an [Authoritative] marker for
+// teachers and group admins so the LLM can prefer what they say.
+function formatSender(msg) {
+    const name = msg.senderName || msg.sender;
+    const label = msg.senderRole ? `${name} (${msg.senderRole})` : name;
+    return `[Sender: ${label}]${msg.authoritative ? ' [Authoritative]' : ''}`;
+}
+
+// One message (and its attachment text) as it appears in the transcript. `ref` is the
+// message's line number, which the LLM cites to say where a reminder came from. A reply
+// points at the line it answers when that message is in `refsById`; otherwise the text
+// it quotes is shown under it, so "extended to Friday" keeps its context.
+function formatMessage(msg, ref = 0, refsById = new Map()) {
+    // Attempt to get group name if available, otherwise use JID
+    const groupIdentifier = msg.groupName || msg.groupJid;
+    const replyRef = msg.replyTo && refsById.get(msg.replyTo);
+    const markers = `${replyRef ? ` [Reply to #${replyRef}]` : ''}${msg.edited || msg.editOf ? ' [Edited]' : ''}`;
+    let line = `[#${ref}] [${msg.timestamp.toISOString()}] [Group: ${groupIdentifier}] ${formatSender(msg)}${markers}: ${msg.text}\n`;
+    if (msg.quoted && !replyRef) {
+        line += `    [Quoting ${msg.quoted.sender}]: ${msg.quoted.text.replace(/\n/g, '\n    ')}\n`;
+    }
+    if (msg.attachment) {
+        line += `    [Attachment: ${msg.attachment.name}] Extracted text:\n    ${msg.attachment.text.replace(/\n/g, '\n    ')}\n`;
+    }
+    return line;
+}
+
+// Messages are numbered from 1 in the order given.
+function formatTranscript(messages) {
+    const refsById = new Map(messages.map((msg, index) => [msg.id, index + 1]));
+    return messages.map((msg, index) => formatMessage(msg, index + 1, refsById)).join('');
+}
+
+// Splits one group's entries (oldest first) into reply threads. A message joins the
+// thread of the message it replies to (or is an edit of), if that message is in the batch.
+function buildThreads(entries) {
+    const threadById = new Map();
+    const threads = [];
+    for (const entry of entries) {
+        const parentId = entry.message.replyTo || entry.message.editOf;
+        let thread = parentId ? threadById.get(parentId) : null;
+        if (!thread) {
+            thread = { entries: [], tokens: 0 };
+            threads.push(thread);
+        }
+        thread.entries.push(entry);
+        thread.tokens += estimateTokens(formatMessage(entry.message));
+        threadById.set(entry.id, thread);
+    }
+    return threads;
+}
+
+// Returns the entries split into chunks (arrays of entries, oldest first).
+function chunkEntries(entries, { maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+    const byGroup = new Map();
+    const sorted = [...entries].sort((a, b) => a.message.timestamp - b.message.timestamp);
+    for (const entry of sorted) {
+        const groupKey = entry.message.groupJid || entry.message.groupName;
+        if (!byGroup.has(groupKey)) byGroup.set(groupKey, []);
+        byGroup.get(groupKey).push(entry);
+    }
+
+    const chunks = [];
+    for (const groupEntries of byGroup.values()) {
+        let current = [];
+        let currentTokens = 0;
+        const flush = () => {
+            if (current.length === 0) return;
+            chunks.push(current.sort((a, b) => a.message.timestamp - b.message.timestamp));
+            current = [];
+            currentTokens = 0;
+        };
+
+        for (const thread of buildThreads(groupEntries)) {
+            if (currentTokens + thread.tokens > maxTokens) flush();
+            if (thread.tokens <= maxTokens) {
+                current.push(...thread.entries);
+                currentTokens += thread.tokens;
+                continue;
+            }
+            // A thread too long for one chunk is split in time order
+            for (const entry of thread.entries) {
+                const tokens = estimateTokens(formatMessage(entry.message));
+                if (currentTokens + tokens > maxTokens) flush();
+                current.push(entry);
+                currentTokens += tokens;
+            }
+        }
+        flush();
+    }
+    return chunks;
+}
+
+// "CSE-A", "CSE-A, CSE-B" -> "CSE-A, CSE-B"
+function joinLists(...lists) {
+    const items = lists.flatMap(list => String(list || '').split(', ')).filter(Boolean);
+    return [...new Set(items)].join(', ');
+}
+
+// Merges the reminder lists from several chunks, dropping repeats with the same title
+// tokens and due date (a thread that spans two chunks can yield the same reminder
+// twice). The longer description is kept, and the source message IDs, groups and
+// senders are combined: chunks never mix groups, so a reminder announced in two groups
+// comes from two chunks and must keep both.
+function mergeChunkReminders(reminderLists) {
+    const merged = new Map();
+    for (const reminder of reminderLists.flat()) {
+        const key = `${tokenize(reminder.title).sort().join(' ')}|${reminder.due_date || ''}`;
+        const existing = merged.get(key);
+        if (!existing) {
+            merged.set(key, { ...reminder });
+            continue;
+        }
+        if ((reminder.description || '').length > (existing.description || '').length) existing.description = reminder.description;
+        if (!existing.source_attachment && reminder.source_attachment) existing.source_attachment = reminder.source_attachment;
+        if (!existing.due_time && reminder.due_time) existing.due_time = reminder.due_time;
+        if (reminder.authoritative) existing.authoritative = true;
+        if (reminder.source_message_ids) {
+            existing.source_message_ids = [...new Set([...(existing.source_message_ids || []), ...reminder.source_message_ids])];
+        }
+        for (const field of ['source_group', 'source_group_id', 'sender']) {
+            existing[field] = joinLists(existing[field], reminder[field]);
+        }
+    }
+    return [...merged.values()];
+}
+
+module.exports = { chunkEntries, mergeChunkReminders, formatTranscript, estimateTokens };
@@ -0,0 +1,173 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCommandHandler } = require('../lib/chatCommands');
+const { createJsonStore } = require('../lib/storage/jsonStore');
+const { todayIn, addDays } = require('../lib/dates');
+
+const ADMIN = '919876543210:12@s.whatsapp.net';
+const CSE_A = { groupJid: 'cse-a@g.us', groupName: 'CSE-A' };
+const CSE_B = { groupJid: 'cse-b@g.us', groupName: 'CSE-B' };
+
+describe('chat commands', () => {
+    let dir;
+    let store;
+    let handler;
+    const today = todayIn('Asia/Kolkata');
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-commands-'));
+        store = createJsonStore({ filePath: path.join(dir, 'reminders.json') });
+        handler = createCommandHandler({ getStoreForGroup: () => store, adminJids: ['919876543210'] });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const run = (text, group = CSE_A, sender = ADMIN) => handler.handle({ text, sender, ...group });
+
+    async function recordById(id) {
+        return (await store.read()).find(record => record.id === id);
+    }
+
+    describe('admin check', () => {
+        it('runs commands from admins, whichever device they send from', async () => {
+            assert.match(await run('!help'), /Reminder commands/);
+            assert.match(await run('!help', CSE_A, '919876543210@s.whatsapp.net'), /Reminder commands/);
+        });
+
+        it('ignores commands from anyone else but still recognises them as commands', async () => {
+            assert.equal(await run('!add Lab record due tomorrow', CSE_A, '919812345678@s.whatsapp.net'), null);
+            assert.deepEqual(await store.read(), []);
+            assert.equal(handler.isCommand('!add Lab record due tomorrow'), true);
+        });
+
+        it('leaves ordinary messages and unknown commands alone', async () => {
+            assert.equal(await run('Submit the lab record tomorrow'), null);
+            assert.equal(await run('!party'), null);
+            assert.equal(handler.isCommand('!party'), false);
+        });
+    });
+
+    describe('!add', () => {
+        it('takes the due date out of the title', async () => {
+            const reply = await run('!add DBMS assignment 3 due 2026-10-30');
+            const [record] = await store.read();
+            assert.equal(record.title, 'DBMS assignment 3');
+            assert.equal(record.dueDate, '2026-10-30');
+            assert.equal(record.description, 'DBMS assignment 3 due 2026-10-30');
+            assert.equal(record.sourceGroup, 'CSE-A');
+            assert.equal(record.sourceGroupId, 'cse-a@g.us');
+            assert.equal(reply, `📝 Added *${record.id}* DBMS assignment 3 - due Fri, 30 Oct.`);
+        });
+
+        it('understands today and tomorrow', async () => {
+            await run('!add Lab record by tomorrow');
+            await run('!ADD Seminar today');
+            const records = await store.read();
+            assert.deepEqual(records.map(record => [record.title, record.dueDate]), [['Lab record', addDays(today, 1)], ['Seminar', today]]);
+        });
+
+        it('adds a reminder without a due date, and refuses an invalid one', async () => {
+            await run('!add Bring the lab coat');
+            assert.equal((await store.read())[0].dueDate, '');
+            assert.equal(await run('!add Viva on 2026-02-30'), '"2026-02-30" is not a valid date.');
+            assert.match(await run('!add'), /^Usage: !add/);
+        });
+    });
+
+    describe('!due', () => {
+        beforeEach(async () => {
+            await store.append([
+                { id: 'R-1', title: 'Due today', dueDate: today, status: 'To DO', sourceGroupId: 'cse-a@g.us' },
+                { id: 'R-2', title: 'Due tomorrow', dueDate: addDays(today, 1), status: 'To DO', sourceGroupId: 'cse-a@g.us' },
+                { id: 'R-3', title: 'Due in three days', dueDate: addDays(today, 3), status: 'To DO', sourceGroupId: 'cse-a@g.us' },
+                { id: 'R-4', title: 'Due in eight days', dueDate: addDays(today, 8), status: 'To DO', sourceGroupId: 'cse-a@g.us' },
+                { id: 'R-5', title: 'Closed today', dueDate: today, status: 'done', sourceGroupId: 'cse-a@g.us' },
+            ]);
+        });
+
+        const titlesIn = (reply) => reply.split('\n').slice(1).map(line => line.replace(/^• \*R-\d\* /, '').replace(/ - due .*$/, ''));
+
+        it('lists open reminders due in the range asked for', async () => {
+            assert.deepEqual(titlesIn(await run('!due today')), ['Due today']);
+            assert.deepEqual(titlesIn(await run('!due tomorrow')), ['Due tomorrow']);
+            assert.deepEqual(titlesIn(await run('!due 3d')), ['Due today', 'Due tomorrow', 'Due in three days']);
+            assert.deepEqual(titlesIn(await run('!due 10 days')), ['Due today', 'Due tomorrow', 'Due in three days', 'Due in eight days']);
+        });
+
+        it('defaults to this week, which always includes today but never eight days out', async () => {
+            const titles = titlesIn(await run('!due'));
+            assert.ok(titles.includes('Due today'));
+            assert.ok(!titles.includes('Due in eight days'));
+            assert.match(await run('!due'), /^\*Due this week\*/);
+        });
+
+        it('refuses a range it does not know', async () => {
+            assert.equal(await run('!due someday'), 'Unknown range "someday". Try: today, tomorrow, this week, next week or 3d.');
+        });
+    });
+
+    describe('!snooze', () => {
+        beforeEach(async () => {
+            await store.append([{ id: 'R-1', title: 'Lab record', dueDate: '2026-03-20', status: 'To DO', sourceGroupId: 'cse-a@g.us' }]);
+        });
+
+        it('pushes the due date back by days or weeks, one day by default', async () => {
+            assert.equal(await run('!snooze r-1'), '⏰ Snoozed *R-1* Lab record to Sat, 21 Mar.');
+            await run('!snooze R-1 2d');
+            assert.equal((await recordById('R-1')).dueDate, '2026-03-23');
+            await run('!snooze R-1 1W');
+            assert.equal((await recordById('R-1')).dueDate, '2026-03-30');
+        });
+
+        it('refuses a duration it does not know and an unknown ID', async () => {
+            assert.equal(await run('!snooze R-1 tomorrow'), 'Unknown duration "tomorrow". Use something like 2d or 1w.');
+            assert.equal(await run('!snooze R-9'), 'No reminder with ID R-9.');
+            assert.match(await run('!snooze'), /^Usage: !snooze/);
+            assert.equal((await recordById('R-1')).dueDate, '2026-03-20');
+        });
+    });
+
+    describe('!done', () => {
+        it('treats any closed status as done, whatever its case', async () => {
+            await store.append([{ id: 'R-1', title: 'Lab record', status: 'done', sourceGroupId: 'cse-a@g.us' }]);
+            assert.equal(await run('!done R-1'), 'R-1 is already done.');
+            assert.equal((await recordById('R-1')).status, 'done');
+        });
+    });
+
+    describe('group scoping', () => {
+        beforeEach(async () => {
+            await store.append([
+                { id: 'R-1', title: 'CSE-A lab record', status: 'To DO', sourceGroup: 'CSE-A', sourceGroupId: 'cse-a@g.us' },
+                { id: 'R-2', title: 'Other CSE-A lab record', status: 'To DO', sourceGroup: 'CSE-A', sourceGroupId: 'other-cse-a@g.us' },
+                { id: 'R-3', title: 'Older CSE-A reminder', status: 'To DO', sourceGroup: 'CSE-A' },
+                { id: 'R-4', title: 'Added by hand', status: 'To DO' },
+                { id: 'R-5', title: 'Shared reminder', status: 'To DO', sourceGroup: 'CSE-A, CSE-B', sourceGroupId: 'cse-a@g.us, cse-b@g.us' },
+            ]);
+        });
+
+        const idsIn = (reply) => [...reply.matchAll(/\*(R-\d)\*/g)].map(match => match[1]);
+
+        it('tells groups apart by JID, not by name', async () => {
+            assert.deepEqual(idsIn(await run('!reminders')), ['R-1', 'R-3', 'R-4', 'R-5']);
+            assert.equal(await run('!done R-2'), 'No reminder with ID R-2.');
+            assert.equal((await recordById('R-2')).status, 'To DO');
+        });
+
+        it('keeps a renamed group\'s reminders', async () => {
+            assert.deepEqual(idsIn(await run('!reminders', { groupJid: 'cse-a@g.us', groupName: 'CSE-A 2026' })), ['R-1', 'R-4', 'R-5']);
+        });
+
+        it('shows a reminder from several groups in each of them', async () => {
+            assert.deepEqual(idsIn(await run('!reminders', CSE_B)), ['R-4', 'R-5']);
+            assert.match(await run('!done R-5', CSE_B), /Marked \*R-5\*/);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChatExport, groupNameFromExportFile } = require('../lib/chatExport');
+
+const GROUP = { groupJid: 'cse-a@g.us', groupName: 'CSE-A' };
+
+describe('parseChatExport', () => {
+    it('reads Android export lines', () => {
+        const [message] = parseChatExport('12/03/26, 9:15 pm - Faculty 1: DBMS Assignment 2 due 20/03\n', GROUP);
+        assert.equal(message.sender, 'Faculty 1');
+        assert.equal(message.text, 'DBMS Assignment 2 due 20/03');
+        assert.equal(message.timestamp.toISOString(), '2026-03-12T15:45:00.000Z');
+        assert.equal(message.groupJid, 'cse-a@g.us');
+        assert.equal(message.groupName, 'CSE-A');
+        assert.match(message.id, /^export:[0-9a-f]{16}$/);
+    });
+
+    it('reads iOS export lines, with their direction marks and narrow spaces', () => {
+        const [message] = parseChatExport('\u200e[12/03/2026, 9:15:42\u202fPM] Faculty 1: Lab record due Friday\n', GROUP);
+        assert.equal(message.sender, 'Faculty 1');
+        assert.equal(message.text, 'Lab record due Friday');
+        assert.equal(message.timestamp.toISOString(), '2026-03-12T15:45:42.000Z');
+    });
+
+    it('reads 24-hour times and the UTC offset it is given', () => {
+        const [message] = parseChatExport('12/03/2026, 21:15 - Faculty 1: Quiz tomorrow\n', { ...GROUP, utcOffset: '+00:00' });
+        assert.equal(message.timestamp.toISOString(), '2026-03-12T21:15:00.000Z');
+    });
+
+    it('joins continuation lines to the message above', () => {
+        const [message] = parseChatExport('12/03/26, 9:15 pm - Faculty 1: Submit:\n1. Record\n2. Observation\n', GROUP);
+        assert.equal(message.text, 'Submit:\n1. Record\n2. Observation');
+    });
+
+    it('drops system lines, media placeholders and deleted messages, and strips edit marks', () => {
+        const messages = parseChatExport([
+            '12/03/26, 9:00 am - Messages and calls are end-to-end encrypted. No one outside of this chat can read them.',
+            '12/03/26, 9:01 am - Faculty 1 added Student 1',
+            '12/03/26, 9:02 am - Faculty 1: <Media omitted>',
+            '12/03/26, 9:03 am - Student 1: This message was deleted',
+            '12/03/26, 9:04 am - Faculty 1: Seminar at 3 pm <This message was edited>',
+        ].join('\n'), GROUP);
+        assert.deepEqual(messages.map(message => message.text), ['Seminar at 3 pm']);
+    });
+
+    it('drops group events that contain ": ", but not messages that mention them', () => {
+        const messages = parseChatExport([
+            '12/03/26, 9:00 am - Faculty 1 created group "CSE-A: 2026"',
+            '12/03/26, 9:01 am - Faculty 1 changed the subject to "CSE-A: Sem 6"',
+            '12/03/26, 9:02 am - Faculty 1 changed the subject from "CSE-A" to "CSE-A: Exams"',
+            '12/03/26, 9:03 am - Faculty 1 added Dr. Rao: Physics',
+            '12/03/26, 9:04 am - Faculty 1 removed Lab Incharge: Old',
+            '12/03/26, 9:05 am - Faculty 1: added the slides to the drive',
+            '12/03/26, 9:06 am - Student 1: Ravi left the notes on the desk',
+        ].join('\n'), GROUP);
+        assert.deepEqual(messages.map(message => message.text), ['added the slides to the drive', 'Ravi left the notes on the desk']);
+    });
+
+    it('drops group events iOS attributes to the group itself', () => {
+        const messages = parseChatExport([
+            '[12/03/2026, 9:01:00 AM] CSE-A: \u200eFaculty 1 added Student 1',
+            '[12/03/2026, 9:02:00 AM] CSE-A: \u200eFaculty 1 changed this group\'s icon',
+            '[12/03/2026, 9:03:00 AM] Faculty 1: Quiz on Monday',
+        ].join('\n'), GROUP);
+        assert.deepEqual(messages.map(message => message.text), ['Quiz on Monday']);
+    });
+
+    it('detects month-first dates from a day over 12', () => {
+        const messages = parseChatExport('3/5/26, 9:00 am - Faculty 1: First\n3/25/26, 9:00 am - Faculty 1: Second\n', GROUP);
+        assert.deepEqual(messages.map(message => message.timestamp.toISOString().slice(0, 10)), ['2026-03-05', '2026-03-25']);
+    });
+
+    it('reads ambiguous dates day first unless told otherwise', () => {
+        const content = '3/5/26, 9:00 am - Faculty 1: Holiday\n';
+        assert.equal(parseChatExport(content, GROUP)[0].timestamp.toISOString().slice(0, 10), '2026-05-03');
+        assert.equal(parseChatExport(content, { ...GROUP, dateOrder: 'mdy' })[0].timestamp.toISOString().slice(0, 10), '2026-03-05');
+    });
+
+    it('gives the same message the same ID on every import, and repeats distinct IDs', () => {
+        const content = '12/03/26, 9:15 pm - Student 1: ok\n12/03/26, 9:15 pm - Student 1: ok\n';
+        const first = parseChatExport(content, GROUP).map(message => message.id);
+        const second = parseChatExport(content, GROUP).map(message => message.id);
+        assert.deepEqual(first, second);
+        assert.equal(first[1], `${first[0]}:2`);
+    });
+
+    it('skips messages whose timestamp cannot be read', () => {
+        const messages = parseChatExport('12/13/26, 9:00 am - Faculty 1: Month 13\n12/03/26, 9:00 am - Faculty 1: Real\n', { ...GROUP, dateOrder: 'dmy' });
+        assert.deepEqual(messages.map(message => message.text), ['Real']);
+    });
+});
+
+describe('groupNameFromExportFile', () => {
+    it('takes the group name from the export file name', () => {
+        assert.equal(groupNameFromExportFile('/downloads/WhatsApp Chat with CSE-A.txt'), 'CSE-A');
+        assert.equal(groupNameFromExportFile('WhatsApp Chat - CSE-B 3rd Year.txt'), 'CSE-B 3rd Year');
+        assert.equal(groupNameFromExportFile('notes.txt'), 'notes');
+    });
+});
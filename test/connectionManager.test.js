@@ -0,0 +1,178 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Stands in for Baileys so the manager's sockets can be opened and closed by the tests.
+// It has to be in the require cache before lib/connectionManager loads it.
+const sockets = [];
+const fakeBaileys = {
+    DisconnectReason: { connectionLost: 408, loggedOut: 401, restartRequired: 515, connectionReplaced: 440 },
+    makeWASocket: () => {
+        const sock = { ev: new EventEmitter(), end: () => {} };
+        sock.ev.off = sock.ev.removeListener;
+        sockets.push(sock);
+        return sock;
+    },
+    useMultiFileAuthState: async () => ({ state: { creds: { registered: true } }, saveCreds: () => {} }),
+    fetchLatestBaileysVersion: async () => ({ version: [2, 3000, 0], isLatest: true }),
+};
+const baileysPath = require.resolve('@whiskeysockets/baileys');
+require.cache[baileysPath] = { id: baileysPath, filename: baileysPath, loaded: true, exports: fakeBaileys };
+
+const { createConnectionManager, backoffDelay, archiveSession } = require('../lib/connectionManager');
+const { renderMetrics } = require('../lib/metrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function close(sock, statusCode) {
+    sock.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error: { output: { statusCode } } } });
+}
+
+function metricValue(name) {
+    const match = new RegExp(`^${name.replace(/[{}"]/g, '\\$&')} (\\d+)$`, 'm').exec(renderMetrics());
+    return match ? Number(match[1]) : 0;
+}
+
+describe('backoffDelay', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 60 * 1000 };
+
+    it('doubles the delay with each failed attempt, up to the maximum', () => {
+        const highest = (attempt) => backoffDelay(attempt, { ...options, random: () => 1 });
+        assert.deepEqual([0, 1, 2, 3, 4, 7, 8, 20].map(highest), [1000, 1000, 2000, 4000, 8000, 60000, 60000, 60000]);
+    });
+
+    it('adds jitter of up to half the delay', () => {
+        assert.equal(backoffDelay(3, { ...options, random: () => 0 }), 2000);
+        assert.equal(backoffDelay(3, { ...options, random: () => 0.5 }), 3000);
+        for (let i = 0; i < 200; i++) {
+            const delay = backoffDelay(3, options);
+            assert.ok(delay >= 2000 && delay <= 4000, `${delay} is outside 2000-4000`);
+        }
+    });
+});
+
+describe('archiveSession', () => {
+    let dir;
+    let authDir;
+    const now = new Date('2026-03-12T10:00:00.000Z');
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'connection-'));
+        authDir = path.join(dir, 'auth');
+        fs.mkdirSync(authDir);
+        fs.writeFileSync(path.join(authDir, 'creds.json'), '{}');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function archivedSession(name, ageDays) {
+        const archivedDir = path.join(dir, `auth.logged-out-${name}`);
+        fs.mkdirSync(archivedDir);
+        const time = new Date(now.getTime() - ageDays * DAY_MS);
+        fs.utimesSync(archivedDir, time, time);
+        return archivedDir;
+    }
+
+    it('moves the logged-out session aside with its files', () => {
+        const archivedDir = archiveSession(authDir, 30, now);
+
+        assert.equal(archivedDir, `${authDir}.logged-out-2026-03-12T10-00-00-000Z`);
+        assert.equal(fs.existsSync(authDir), false);
+        assert.equal(fs.readFileSync(path.join(archivedDir, 'creds.json'), 'utf8'), '{}');
+    });
+
+    it('deletes sessions moved aside longer ago than the retention', () => {
+        const old = archivedSession('old', 31);
+        const recent = archivedSession('recent', 29);
+        archiveSession(authDir, 30, now);
+
+        assert.equal(fs.existsSync(old), false);
+        assert.equal(fs.existsSync(recent), true);
+    });
+
+    it('keeps every session moved aside when the retention is 0', () => {
+        const old = archivedSession('old', 400);
+        archiveSession(authDir, 0, now);
+        assert.equal(fs.existsSync(old), true);
+    });
+
+    it('does nothing without a session', () => {
+        fs.rmSync(authDir, { recursive: true });
+        assert.equal(archiveSession(authDir, 30, now), null);
+        assert.deepEqual(fs.readdirSync(dir), []);
+    });
+});
+
+describe('connection manager', () => {
+    let dir;
+    let authDir;
+    let manager;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'connection-'));
+        authDir = path.join(dir, 'auth');
+        fs.mkdirSync(authDir);
+        fs.writeFileSync(path.join(authDir, 'creds.json'), '{}');
+        sockets.length = 0;
+        manager = createConnectionManager({ attach: () => {}, logger: null, authDir, baseDelayMs: 60 * 1000 });
+    });
+
+    afterEach(() => {
+        manager.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('archives the session and starts a fresh one on logout', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const loggedOut = t.mock.fn();
+        manager.on('logged-out', loggedOut);
+        const logoutsBefore = metricValue('reminder_bot_whatsapp_logouts_total');
+        await manager.start();
+        sockets[0].ev.emit('connection.update', { connection: 'open' });
+
+        close(sockets[0], 401);
+        assert.equal(manager.getState(), 'logged-out');
+        assert.equal(loggedOut.mock.callCount(), 1);
+        assert.equal(fs.existsSync(authDir), false);
+        const [archived] = fs.readdirSync(dir);
+        assert.match(archived, /^auth\.logged-out-/);
+        assert.ok(fs.existsSync(path.join(dir, archived, 'creds.json')));
+
+        t.mock.timers.tick(0);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(sockets.length, 2);
+        assert.equal(manager.metrics().logouts, 1);
+        assert.equal(metricValue('reminder_bot_whatsapp_logouts_total'), logoutsBefore + 1);
+    });
+
+    it('counts disconnects by reason and reports the pending backoff', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const before = metricValue('reminder_bot_whatsapp_disconnects_total{reason="connectionLost"}');
+        await manager.start();
+        close(sockets[0], 408);
+
+        const metrics = manager.metrics();
+        assert.equal(manager.getState(), 'reconnecting');
+        assert.equal(metrics.reconnectAttempt, 1);
+        assert.ok(metrics.reconnectInMs >= 30 * 1000 && metrics.reconnectInMs <= 60 * 1000);
+        assert.deepEqual(metrics.disconnectsByReason, { connectionLost: 1 });
+        assert.equal(metricValue('reminder_bot_whatsapp_disconnects_total{reason="connectionLost"}'), before + 1);
+        assert.ok(fs.existsSync(authDir));
+    });
+});
+
+describe('connection metrics', () => {
+    it('are exported at /metrics', () => {
+        const text = renderMetrics();
+        for (const name of ['connects_total', 'disconnects_total', 'reconnects_total', 'logouts_total']) {
+            assert.match(text, new RegExp(`# TYPE reminder_bot_whatsapp_${name} counter`));
+        }
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron } = require('../lib/cron');
+
+const utc = (expression) => parseCron(expression, { timeZone: 'UTC' });
+
+describe('parseCron', () => {
+    it('finds the next whole minute that matches', () => {
+        assert.equal(utc('0 * * * *').next(new Date('2026-03-12T10:15:30Z')).toISOString(), '2026-03-12T11:00:00.000Z');
+        assert.equal(utc('*/15 * * * *').next(new Date('2026-03-12T10:15:00Z')).toISOString(), '2026-03-12T10:30:00.000Z');
+    });
+
+    it('reads ranges, lists, steps and names', () => {
+        const workHours = utc('0 9-17/4 * * mon-fri');
+        assert.ok(workHours.matches(new Date('2026-03-13T13:00:00Z'))); // Friday
+        assert.ok(!workHours.matches(new Date('2026-03-13T11:00:00Z')));
+        assert.ok(!workHours.matches(new Date('2026-03-14T09:00:00Z'))); // Saturday
+        assert.equal(workHours.next(new Date('2026-03-13T17:00:00Z')).toISOString(), '2026-03-16T09:00:00.000Z');
+
+        const twiceMonthly = utc('30 8 1,15 jan,jul *');
+        assert.equal(twiceMonthly.next(new Date('2026-03-12T00:00:00Z')).toISOString(), '2026-07-01T08:30:00.000Z');
+    });
+
+    it('matches either day field when both are restricted, as cron does', () => {
+        const cron = utc('0 12 1 * mon');
+        assert.ok(cron.matches(new Date('2026-03-01T12:00:00Z'))); // The 1st, a Sunday
+        assert.ok(cron.matches(new Date('2026-03-16T12:00:00Z'))); // A Monday
+        assert.ok(!cron.matches(new Date('2026-03-17T12:00:00Z')));
+    });
+
+    it('treats 7 as Sunday', () => {
+        assert.ok(utc('0 0 * * 7').matches(new Date('2026-03-15T00:00:00Z')));
+    });
+
+    it('expands macros', () => {
+        assert.equal(utc('@daily').next(new Date('2026-03-12T10:00:00Z')).toISOString(), '2026-03-13T00:00:00.000Z');
+        assert.equal(utc('@hourly').expression, '@hourly');
+    });
+
+    it('evaluates times in the given timezone', () => {
+        const cron = parseCron('0 9 * * *', { timeZone: 'Asia/Kolkata' });
+        assert.equal(cron.next(new Date('2026-03-12T00:00:00Z')).toISOString(), '2026-03-12T03:30:00.000Z');
+    });
+
+    it('returns null when nothing matches within a year', () => {
+        assert.equal(utc('0 0 31 2 *').next(new Date('2026-03-12T00:00:00Z')), null);
+    });
+
+    it('rejects invalid expressions', () => {
+        assert.throws(() => utc('0 * * *'), /must have 5 fields/);
+        assert.throws(() => utc('60 * * * *'), /Invalid minute "60"/);
+        assert.throws(() => utc('0 * * foo *'), /Invalid month "foo"/);
+        assert.throws(() => utc('*/0 * * * *'), /Invalid step "0"/);
+        assert.throws(() => utc('0 17-9 * * *'), /Invalid range "17-9"/);
+    });
+});
@@ -0,0 +1,88 @@
+// --- In-Memory Google Sheets Client ---
+// Implements the part of the Sheets API the sheets store uses (values get, update,
+// batchUpdate and append, plus spreadsheets get and batchUpdate to add tabs), keeping
+// each tab as an array of rows of strings. `tabs` seeds it: { 'Reminders': [[...], ...] }.
+
+// Converts A1 column letters to a 0-based index: A -> 0, Z -> 25, AA -> 26.
+function columnIndex(letters) {
+    let index = 0;
+    for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+    return index - 1;
+}
+
+// Parses the ranges the store sends: 'Tab', 'Tab'!1:1 (one row) and 'Tab'!B3 (one cell).
+function parseRange(range) {
+    const match = /^'((?:[^']|'')*)'(?:!(.*))?$/.exec(range);
+    if (!match) throw new Error(`Unsupported range ${range}`);
+    const tab = match[1].replace(/''/g, "'");
+    const ref = match[2] || '';
+    let cell;
+    if ((cell = /^([A-Z]+)(\d+)$/.exec(ref))) return { tab, row: Number(cell[2]) - 1, column: columnIndex(cell[1]) };
+    if ((cell = /^(\d+):\1$/.exec(ref))) return { tab, row: Number(cell[1]) - 1, wholeRow: true };
+    if (ref === '') return { tab };
+    throw new Error(`Unsupported range ${range}`);
+}
+
+function createFakeSheetsClient(tabs = {}) {
+    const data = new Map(Object.entries(tabs).map(([tab, rows]) => [tab, rows.map(row => [...row])]));
+    const calls = [];
+
+    function rowsOf(tab) {
+        if (!data.has(tab)) throw new Error(`Unable to parse range: '${tab}'`);
+        return data.get(tab);
+    }
+
+    function setCell(rows, row, column, value) {
+        while (rows.length <= row) rows.push([]);
+        while (rows[row].length < column) rows[row].push('');
+        rows[row][column] = String(value);
+    }
+
+    const client = {
+        spreadsheets: {
+            async get() {
+                calls.push('get');
+                return { data: { sheets: [...data.keys()].map(title => ({ properties: { title } })) } };
+            },
+            async batchUpdate({ resource }) {
+                calls.push('batchUpdate');
+                for (const request of resource.requests) data.set(request.addSheet.properties.title, []);
+                return { data: {} };
+            },
+            values: {
+                async get({ range }) {
+                    calls.push('values.get');
+                    const { tab, row, wholeRow } = parseRange(range);
+                    const rows = rowsOf(tab);
+                    const values = wholeRow ? rows.slice(row, row + 1) : rows;
+                    return { data: { values: values.length > 0 ? values.map(cells => [...cells]) : undefined } };
+                },
+                async update({ range, resource }) {
+                    calls.push('values.update');
+                    const { tab, row, column = 0 } = parseRange(range);
+                    resource.values.forEach((cells, i) => cells.forEach((value, j) => setCell(rowsOf(tab), row + i, column + j, value)));
+                    return { data: {} };
+                },
+                async batchUpdate({ resource }) {
+                    calls.push('values.batchUpdate');
+                    for (const { range, values } of resource.data) {
+                        const { tab, row, column } = parseRange(range);
+                        setCell(rowsOf(tab), row, column, values[0][0]);
+                    }
+                    return { data: { totalUpdatedRows: resource.data.length, responses: resource.data } };
+                },
+                async append({ range, resource }) {
+                    calls.push('values.append');
+                    const rows = rowsOf(parseRange(range).tab);
+                    for (const cells of resource.values) rows.push(cells.map(String));
+                    return { data: { updates: { updatedRows: resource.values.length } } };
+                },
+            },
+        },
+    };
+
+    // `tab(name)` returns the tab's rows; `calls` lists the API calls made, in order.
+    return { client, tab: (name) => data.get(name), calls };
+}
+
+module.exports = { createFakeSheetsClient };
@@ -0,0 +1,50 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { selectSyncedMessages } = require('../lib/historySync');
+const { createMessageQueue } = require('../lib/messageQueue');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function syncedMessage(id, hoursAgo, text = 'DBMS Assignment 2 due Friday') {
+    return { id, text, timestamp: new Date(Date.now() - hoursAgo * HOUR_MS), groupJid: 'cse-a@g.us', participant: '919876543210@s.whatsapp.net' };
+}
+
+describe('selectSyncedMessages', () => {
+    let dir;
+    let messageQueue;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-sync-'));
+        messageQueue = createMessageQueue({ dir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('queues messages from the downtime when history arrives after an empty catch-up run', () => {
+        // The catch-up run after connecting found nothing to do and finished first
+        assert.deepEqual(messageQueue.getDue(), []);
+        const synced = [syncedMessage('m1', 5), syncedMessage('m2', 1)];
+
+        assert.deepEqual(selectSyncedMessages(synced, { days: 7, messageQueue }).map(message => message.id), ['m1', 'm2']);
+    });
+
+    it('skips messages the queue has already processed', () => {
+        messageQueue.enqueue('m1', syncedMessage('m1', 5));
+        messageQueue.ack(['m1']);
+
+        const selected = selectSyncedMessages([syncedMessage('m1', 5), syncedMessage('m2', 1)], { days: 7, messageQueue });
+        assert.deepEqual(selected.map(message => message.id), ['m2']);
+    });
+
+    it('skips messages older than the sync window and messages without text', () => {
+        const synced = [syncedMessage('old', 8 * 24), syncedMessage('empty', 1, ''), syncedMessage('recent', 1)];
+        assert.deepEqual(selectSyncedMessages(synced, { days: 7, messageQueue }).map(message => message.id), ['recent']);
+    });
+});
@@ -0,0 +1,12 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { bareJid } = require('../lib/jid');
+
+describe('bareJid', () => {
+    it('strips the device and server from a JID', () => {
+        assert.equal(bareJid('919876543210:12@s.whatsapp.net'), '919876543210');
+        assert.equal(bareJid('919876543210@s.whatsapp.net'), '919876543210');
+        assert.equal(bareJid('919876543210'), '919876543210');
+        assert.equal(bareJid(undefined), '');
+    });
+});
@@ -0,0 +1,37 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../lib/jsonFile');
+
+describe('JSON files', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('returns the fallback for a missing file', () => {
+        assert.equal(readJsonFile(path.join(dir, 'missing.json')), null);
+        assert.deepEqual(readJsonFile(path.join(dir, 'missing.json'), {}), {});
+    });
+
+    it('writes into a new directory and reads the value back, leaving no temporary file', () => {
+        const filePath = path.join(dir, 'state', 'paused-groups.json');
+        writeJsonFile(filePath, { 'cse-a@g.us': { name: 'CSE-A' } });
+
+        assert.deepEqual(readJsonFile(filePath), { 'cse-a@g.us': { name: 'CSE-A' } });
+        assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['paused-groups.json']);
+    });
+
+    it('throws on a file that is not JSON', () => {
+        const filePath = path.join(dir, 'broken.json');
+        fs.writeFileSync(filePath, '{"groups": ');
+        assert.throws(() => readJsonFile(filePath), SyntaxError);
+    });
+});
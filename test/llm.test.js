@@ -0,0 +1,105 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLlmClient, parseProviderChain } = require('../lib/llm');
+const { createMockProvider } = require('../lib/llm/mockProvider');
+const { saveRecording } = require('../lib/llm/recordedProvider');
+const { reminderListSchema } = require('../lib/reminderExtractor');
+
+const PROMPT = 'Extract the reminders from this transcript.';
+const MESSAGES = [
+    { id: 'm1', text: 'Submit DBMS Assignment 2 by 20/03/2026 5 pm', timestamp: new Date('2026-03-12T10:00:00+05:30') },
+    { id: 'm2', text: 'ok thanks', timestamp: new Date('2026-03-12T10:05:00+05:30') },
+];
+
+describe('parseProviderChain', () => {
+    it('reads provider and model entries in order', () => {
+        assert.deepEqual(parseProviderChain('google:gemini-1.5-flash, ollama:llama3.1 ,mock'), [
+            { type: 'google', model: 'gemini-1.5-flash' },
+            { type: 'ollama', model: 'llama3.1' },
+            { type: 'mock', model: undefined },
+        ]);
+    });
+
+    it('rejects unknown providers', () => {
+        assert.throws(() => parseProviderChain('mock,claude'), /Unknown LLM provider "claude"/);
+    });
+});
+
+describe('LLM provider chain', () => {
+    let dir;
+    let recordingsPath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-chain-'));
+        recordingsPath = path.join(dir, 'recordings.json');
+        fs.writeFileSync(recordingsPath, '{}');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createClient(spec, options = {}) {
+        return createLlmClient({ chain: parseProviderChain(spec), settings: { recorded: { filePath: recordingsPath } }, ...options });
+    }
+
+    it('falls back to the next provider when the first one throws', async () => {
+        const llm = createClient('recorded,mock');
+        const { object, provider } = await llm.generateObject({ schema: reminderListSchema, prompt: PROMPT, context: { messages: MESSAGES } });
+        assert.equal(provider, 'mock:rules');
+        assert.equal(object.length, 1);
+    });
+
+    it('uses the first provider that answers', async () => {
+        saveRecording(recordingsPath, PROMPT, 'google:gemini-1.5-flash', [{ title: 'Recorded reminder', description: '', category: 'info' }]);
+        const llm = createClient('recorded,mock');
+        const { object, provider } = await llm.generateObject({ schema: reminderListSchema, prompt: PROMPT, context: { messages: MESSAGES } });
+        assert.equal(provider, `recorded:${recordingsPath}`);
+        assert.deepEqual(object.map(reminder => reminder.title), ['Recorded reminder']);
+    });
+
+    it('throws with every provider\'s error when all of them fail', async () => {
+        const llm = createClient('recorded');
+        await assert.rejects(
+            llm.generateObject({ schema: reminderListSchema, prompt: PROMPT, context: { messages: MESSAGES } }),
+            /All LLM providers failed \(recorded:.*No recorded response/,
+        );
+    });
+
+    it('records responses from live providers for replay', async () => {
+        const recordTo = path.join(dir, 'new-recordings.json');
+        const { object } = await createClient('mock', { recordTo }).generateObject({ schema: reminderListSchema, prompt: PROMPT, context: { messages: MESSAGES } });
+
+        const replayed = await createLlmClient({ chain: parseProviderChain(`recorded:${recordTo}`) })
+            .generateObject({ schema: reminderListSchema, prompt: PROMPT });
+        assert.deepEqual(replayed.object, object);
+    });
+
+    it('refuses an empty chain', () => {
+        assert.throws(() => createLlmClient({ chain: [] }), /No LLM provider configured/);
+    });
+});
+
+describe('mock provider', () => {
+    it('gives the same reminders for the same messages every time', async () => {
+        const mock = createMockProvider();
+        const first = await mock.generate({ schema: reminderListSchema, context: { messages: MESSAGES } });
+        const second = await mock.generate({ schema: reminderListSchema, context: { messages: MESSAGES } });
+        assert.deepEqual(first, second);
+        assert.deepEqual(first, [{
+            title: 'Submit DBMS Assignment 2 by 20/03/2026 5 pm',
+            description: 'Submit DBMS Assignment 2 by 20/03/2026 5 pm',
+            due_date: '2026-03-20',
+            due_time: '17:00',
+            category: 'assignment',
+            priority: 'medium',
+            confidence: 0.7,
+            source_message_refs: [1],
+        }]);
+    });
+});
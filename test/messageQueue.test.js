@@ -0,0 +1,152 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMessageQueue } = require('../lib/messageQueue');
+
+const MINUTE_MS = 60 * 1000;
+
+function message(text, minute = 0) {
+    return { text, groupJid: 'cse-a@g.us', sender: 'Faculty 1', timestamp: new Date(Date.UTC(2026, 2, 12, 4, 30 + minute)) };
+}
+
+function readLines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('message queue', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-queue-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('returns due messages oldest first and keeps them until they are acknowledged', () => {
+        const queue = createMessageQueue({ dir });
+        assert.equal(queue.enqueue('m2', message('Lab record due Friday', 5)), true);
+        assert.equal(queue.enqueue('m1', message('DBMS Assignment 2 due 20/03', 0)), true);
+
+        assert.deepEqual(queue.getDue().map(entry => entry.id), ['m1', 'm2']);
+        assert.deepEqual(queue.getDue().map(entry => entry.id), ['m1', 'm2']);
+
+        queue.ack(['m1']);
+        assert.deepEqual(queue.getDue().map(entry => entry.id), ['m2']);
+        assert.equal(queue.size(), 1);
+    });
+
+    it('replays the journal after a restart', () => {
+        const queue = createMessageQueue({ dir });
+        queue.enqueue('m1', message('DBMS Assignment 2 due 20/03'));
+        queue.enqueue('m2', message('Lab record due Friday', 1));
+        queue.enqueue('m3', message('Seminar at 3 pm', 2));
+        queue.update('m2', message('Lab record due Monday', 1));
+        queue.drop(['m3'], 'deleted');
+        queue.ack(['m1']);
+        queue.fail(['m2'], new Error('LLM timed out'));
+
+        const restarted = createMessageQueue({ dir });
+        const [entry] = restarted.find(() => true);
+        assert.equal(restarted.size(), 1);
+        assert.equal(entry.id, 'm2');
+        assert.equal(entry.message.text, 'Lab record due Monday');
+        assert.ok(entry.message.timestamp instanceof Date);
+        assert.equal(entry.attempts, 1);
+        assert.equal(entry.lastError, 'LLM timed out');
+        assert.equal(restarted.wasProcessed('m1'), true);
+        assert.equal(restarted.wasProcessed('m3'), false);
+    });
+
+    it('refuses a message that is already queued or was processed', () => {
+        const queue = createMessageQueue({ dir });
+        queue.enqueue('m1', message('DBMS Assignment 2 due 20/03'));
+        assert.equal(queue.enqueue('m1', message('DBMS Assignment 2 due 20/03')), false);
+
+        queue.ack(['m1']);
+        assert.equal(queue.enqueue('m1', message('DBMS Assignment 2 due 20/03')), false);
+        assert.equal(createMessageQueue({ dir }).enqueue('m1', message('DBMS Assignment 2 due 20/03')), false);
+    });
+
+    it('backs failed messages off exponentially, up to the maximum delay', () => {
+        const queue = createMessageQueue({ dir, retryBaseMs: MINUTE_MS, retryMaxMs: 3 * MINUTE_MS, maxAttempts: 10 });
+        queue.enqueue('m1', message('DBMS Assignment 2 due 20/03'));
+        const delays = [];
+        for (let attempt = 0; attempt < 4; attempt++) {
+            const before = Date.now();
+            queue.fail(['m1'], new Error('quota exceeded'));
+            const [entry] = queue.find(() => true);
+            delays.push(Math.round((entry.nextAttemptAt - before) / MINUTE_MS));
+        }
+        assert.deepEqual(delays, [1, 2, 3, 3]);
+
+        const { nextAttemptAt } = queue.find(() => true)[0];
+        assert.deepEqual(queue.getDue(nextAttemptAt - 1), []);
+        assert.deepEqual(queue.getDue(nextAttemptAt).map(entry => entry.id), ['m1']);
+        assert.equal(queue.nextRetryAt(nextAttemptAt - 1), nextAttemptAt);
+    });
+
+    it('moves a message to the dead-letter file after maxAttempts failures', () => {
+        const queue = createMessageQueue({ dir, maxAttempts: 2 });
+        queue.enqueue('m1', message('DBMS Assignment 2 due 20/03'));
+
+        assert.deepEqual(queue.fail(['m1'], new Error('bad response')), { deadLettered: 0 });
+        assert.deepEqual(queue.fail(['m1'], new Error('bad response')), { deadLettered: 1 });
+
+        assert.equal(queue.size(), 0);
+        assert.equal(queue.wasProcessed('m1'), true);
+        const [deadLetter] = readLines(queue.deadLetterPath);
+        assert.equal(deadLetter.id, 'm1');
+        assert.equal(deadLetter.attempts, 2);
+        assert.equal(deadLetter.error, 'bad response');
+        assert.equal(createMessageQueue({ dir }).size(), 0);
+    });
+
+    it('forgets processed IDs after processedTtlMs', (t) => {
+        let now = Date.parse('2026-03-12T10:00:00Z');
+        t.mock.method(Date, 'now', () => now);
+        const queue = createMessageQueue({ dir, processedTtlMs: 60 * MINUTE_MS });
+        queue.enqueue('m1', message('DBMS Assignment 2 due 20/03'));
+        queue.ack(['m1']);
+
+        now += 59 * MINUTE_MS;
+        assert.equal(queue.wasProcessed('m1'), true);
+        now += MINUTE_MS;
+        assert.equal(queue.wasProcessed('m1'), false);
+        assert.equal(createMessageQueue({ dir, processedTtlMs: 60 * MINUTE_MS }).wasProcessed('m1'), false);
+        assert.equal(queue.enqueue('m1', message('DBMS Assignment 2 due 20/03')), true);
+    });
+
+    it('keeps at most maxProcessed processed IDs, dropping the oldest', (t) => {
+        let now = Date.parse('2026-03-12T10:00:00Z');
+        t.mock.method(Date, 'now', () => now);
+        const queue = createMessageQueue({ dir, maxProcessed: 2 });
+        for (const id of ['m1', 'm2', 'm3']) {
+            queue.enqueue(id, message(id));
+            queue.ack([id]);
+            now += MINUTE_MS;
+        }
+
+        const restarted = createMessageQueue({ dir, maxProcessed: 2 });
+        assert.deepEqual(['m1', 'm2', 'm3'].map(id => restarted.wasProcessed(id)), [false, true, true]);
+    });
+
+    it('appends acknowledgements to the journal and only rewrites it after compactAfter records', () => {
+        const queue = createMessageQueue({ dir, compactAfter: 5 });
+        queue.enqueue('m1', message('DBMS Assignment 2 due 20/03'));
+        queue.enqueue('m2', message('Lab record due Friday', 1));
+        queue.ack(['m1']);
+        queue.update('m2', message('Lab record due Monday', 1));
+        assert.deepEqual(readLines(queue.journalPath).map(record => record.op), ['enqueue', 'enqueue', 'ack', 'update']);
+
+        queue.ack(['m2']);
+        const compacted = readLines(queue.journalPath);
+        assert.ok(compacted.every(record => record.op === 'ack'));
+        assert.deepEqual(compacted.flatMap(record => record.ids).sort(), ['m1', 'm2']);
+    });
+});
@@ -0,0 +1,120 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNotifier } = require('../lib/notifier');
+
+const CHAT = 'notify@g.us';
+const RECORDS = [
+    { id: 'R-1', title: 'Submit DBMS Assignment 2', dueDate: '2026-03-13', status: 'To DO' },
+    { id: 'R-2', title: 'Mid-term exam', dueDate: '2026-03-14', status: 'To DO' },
+    { id: 'R-3', title: 'Lab record', dueDate: '2026-03-13', status: 'Done' },
+];
+
+// Times are given in UTC; Asia/Kolkata is UTC+05:30.
+const at = (iso) => new Date(iso);
+
+describe('notifier', () => {
+    let dir;
+    let reads;
+    let sent;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-'));
+        reads = 0;
+        sent = [];
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createTestNotifier({ records = RECORDS, sendMessage } = {}) {
+        const store = { read: async () => { reads++; return records; } };
+        const sock = { sendMessage: sendMessage || (async (chat, { text }) => { sent.push({ chat, text }); }) };
+        return createNotifier({
+            getTargets: () => [{ spreadsheetId: 'sheet-1', sheetName: 'Reminders' }],
+            getStore: () => store,
+            getSocket: () => sock,
+            stateDir: dir,
+            chatJid: CHAT,
+        });
+    }
+
+    it('sends nothing and reads nothing before the first alert time', async () => {
+        await createTestNotifier().tick(at('2026-03-13T02:00:00Z')); // 07:30 IST
+        assert.equal(reads, 0);
+        assert.deepEqual(sent, []);
+    });
+
+    it('reads the stores only while a notification for the day is still unsent', async () => {
+        const notifier = createTestNotifier();
+        await notifier.tick(at('2026-03-13T04:00:00Z')); // 09:30 IST: digest and due today
+        assert.equal(reads, 1);
+        assert.equal(sent.length, 2);
+
+        await notifier.tick(at('2026-03-13T04:05:00Z'));
+        await notifier.tick(at('2026-03-13T10:00:00Z')); // 15:30 IST
+        assert.equal(reads, 1);
+
+        await notifier.tick(at('2026-03-13T12:35:00Z')); // 18:05 IST: due tomorrow
+        await notifier.tick(at('2026-03-13T12:40:00Z'));
+        assert.equal(reads, 2);
+        assert.equal(sent.length, 3);
+        assert.match(sent[2].text, /Due tomorrow[\s\S]*Mid-term exam/);
+    });
+
+    it('keeps reading until a failed send goes through', async () => {
+        let failures = 1;
+        const notifier = createTestNotifier({
+            sendMessage: async (chat, { text }) => {
+                if (failures-- > 0) throw new Error('not connected');
+                sent.push({ chat, text });
+            },
+        });
+        await notifier.tick(at('2026-03-13T04:00:00Z'));
+        await notifier.tick(at('2026-03-13T04:05:00Z'));
+        await notifier.tick(at('2026-03-13T04:10:00Z'));
+
+        assert.equal(reads, 2);
+        assert.equal(sent.filter(message => /digest/.test(message.text)).length, 1);
+        assert.equal(sent.filter(message => /Due today/.test(message.text)).length, 1);
+    });
+
+    it('does not repeat notifications after a restart', async () => {
+        await createTestNotifier().tick(at('2026-03-13T04:00:00Z'));
+        assert.equal(sent.length, 2);
+
+        await createTestNotifier().tick(at('2026-03-13T04:30:00Z'));
+        assert.equal(sent.length, 2);
+        assert.equal(reads, 1);
+    });
+
+    it('alerts a reminder again when it is snoozed to a later day', async () => {
+        const records = [{ ...RECORDS[0] }];
+        const notifier = createTestNotifier({ records });
+        await notifier.tick(at('2026-03-13T04:00:00Z'));
+        records[0].dueDate = '2026-03-16';
+
+        await notifier.tick(at('2026-03-16T04:00:00Z'));
+        assert.equal(sent.filter(message => /Due today[\s\S]*Submit DBMS Assignment 2/.test(message.text)).length, 2);
+    });
+
+    it('uses the Asia/Kolkata day, not the UTC one', async () => {
+        const notifier = createTestNotifier();
+        // 18:45 UTC on the 12th is 00:15 IST on the 13th: too early for anything, even
+        // though it is past the 18:00 due-tomorrow time in UTC
+        await notifier.tick(at('2026-03-12T18:45:00Z'));
+        assert.equal(reads, 0);
+
+        // 03:40 UTC on the 13th is 09:10 IST on the 13th
+        await notifier.tick(at('2026-03-13T03:40:00Z'));
+        const today = sent.find(message => /Due today/.test(message.text));
+        assert.match(today.text, /Submit DBMS Assignment 2/);
+        assert.doesNotMatch(today.text, /Mid-term exam|Lab record/);
+        assert.match(sent.find(message => /digest/.test(message.text)).text, /Fri, 13 Mar/);
+    });
+});
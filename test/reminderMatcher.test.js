@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createReminderMatcher, titleSimilarity } = require('../lib/reminderMatcher');
+
+describe('titleSimilarity', () => {
+    it('scores the same words in any order and case as a full match', () => {
+        assert.equal(titleSimilarity('Submit DBMS Assignment 2', 'assignment 2 submit dbms'), 1);
+    });
+
+    it('halves the score when the titles carry different numbers', () => {
+        const same = titleSimilarity('DBMS Assignment', 'DBMS Assignment');
+        const different = titleSimilarity('DBMS Assignment 1', 'DBMS Assignment 2');
+        assert.ok(different < same / 2 + 0.01, `${different} should be about half of ${same}`);
+    });
+
+    it('scores unrelated titles near zero', () => {
+        assert.ok(titleSimilarity('Submit DBMS Assignment 2', 'Holiday on Friday') < 0.2);
+    });
+});
+
+describe('reminder matcher', () => {
+    const matcher = createReminderMatcher();
+    const existing = [
+        { key: 2, title: 'Submit DBMS Assignment 2', dueDate: '2026-03-20', sourceGroup: 'CSE-A' },
+        { key: 3, title: 'Mid-term exam timetable', dueDate: '2026-03-25', sourceGroup: 'CSE-A' },
+    ];
+
+    it('merges a reminder with the same title and due date', () => {
+        const result = matcher.match({ title: 'Submit DBMS Assignment 2', dueDate: '2026-03-20' }, existing, ['CSE-A']);
+        assert.equal(result.decision, 'merge');
+        assert.equal(result.candidate.key, 2);
+    });
+
+    it('does not merge the same title when the due dates are a week or more apart', () => {
+        const result = matcher.match({ title: 'Submit DBMS Assignment 2', dueDate: '2026-04-10' }, existing, ['CSE-A']);
+        assert.equal(result.decision, 'review');
+        assert.equal(result.score, 0.6);
+    });
+
+    it('flags a similar but not identical title for review', () => {
+        const result = matcher.match({ title: 'DBMS Assignment 2 record', dueDate: '2026-03-20' }, existing, ['CSE-B']);
+        assert.ok(result.score >= 0.5 && result.score < 0.75, `score ${result.score}`);
+        assert.equal(result.decision, 'review');
+    });
+
+    it('adds an unrelated reminder as new', () => {
+        const result = matcher.match({ title: 'College fest registration', dueDate: '2026-03-21' }, existing, ['CSE-A']);
+        assert.equal(result.decision, 'new');
+        assert.equal(result.candidate, null);
+    });
+
+    it('uses the thresholds it is given', () => {
+        const strict = createReminderMatcher({ mergeThreshold: 0.99, reviewThreshold: 0.9 });
+        const result = strict.match({ title: 'DBMS Assignment 2 record', dueDate: '2026-03-20' }, existing, ['CSE-A']);
+        assert.equal(result.decision, 'new');
+    });
+
+    it('ignores candidates without a title', () => {
+        const result = matcher.match({ title: 'Submit DBMS Assignment 2' }, [{ key: 4, title: '' }]);
+        assert.equal(result.decision, 'new');
+    });
+});
@@ -0,0 +1,58 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withdrawSourceMessages, DEFAULT_STATUS, WITHDRAWN_STATUS } = require('../lib/reminderSync');
+const { createJsonStore } = require('../lib/storage/jsonStore');
+
+describe('withdrawSourceMessages', () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminder-sync-'));
+        store = createJsonStore({ filePath: path.join(dir, 'reminders.json') });
+        await store.append([
+            { id: 'r1', title: 'Submit DBMS Assignment 2', status: DEFAULT_STATUS, sourceMessageIds: 'm1, m2' },
+            { id: 'r2', title: 'Lab record', status: DEFAULT_STATUS, sourceMessageIds: 'm3, m3:edit:1773300000000' },
+            { id: 'r3', title: 'Mid-term exam', status: 'Done', sourceMessageIds: 'm4' },
+        ]);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const byId = async () => Object.fromEntries((await store.read()).map(record => [record.id, record]));
+
+    it('only removes the message while the reminder has other sources', async () => {
+        assert.equal(await withdrawSourceMessages(store, ['m1'], { reason: 'deleted' }), 1);
+
+        const { r1 } = await byId();
+        assert.equal(r1.sourceMessageIds, 'm2');
+        assert.equal(r1.status, DEFAULT_STATUS);
+    });
+
+    it('cancels the reminder once its last source is gone', async () => {
+        await withdrawSourceMessages(store, ['m1'], { reason: 'deleted' });
+        await withdrawSourceMessages(store, ['m2'], { reason: 'deleted' });
+
+        const { r1 } = await byId();
+        assert.equal(r1.sourceMessageIds, '');
+        assert.equal(r1.status, WITHDRAWN_STATUS);
+        assert.match(r1.reviewFlag, /source message was deleted/);
+    });
+
+    it('counts edits of a message as that message', async () => {
+        await withdrawSourceMessages(store, ['m3'], { reason: 'deleted' });
+        assert.equal((await byId()).r2.status, WITHDRAWN_STATUS);
+    });
+
+    it('leaves reminders whose status someone changed', async () => {
+        assert.equal(await withdrawSourceMessages(store, ['m4'], { reason: 'deleted' }), 0);
+        assert.equal((await byId()).r3.sourceMessageIds, 'm4');
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateReminders, repairDate, repairTime, repairRecurrence } = require('../lib/reminderValidation');
+
+const REFERENCE_DATE = new Date('2026-03-12T10:00:00+05:30');
+
+function validateOne(raw, messages = []) {
+    const { reminders, repairs } = validateReminders([raw], { messages, referenceDate: REFERENCE_DATE });
+    return { reminder: reminders[0], repairs };
+}
+
+describe('repairDate', () => {
+    it('keeps ISO dates and pads short ones', () => {
+        assert.equal(repairDate('2026-03-20'), '2026-03-20');
+        assert.equal(repairDate('2026/3/5'), '2026-03-05');
+        assert.equal(repairDate('2026-03-20T17:00:00'), '2026-03-20');
+    });
+
+    it('reads dates with the year last as day first', () => {
+        assert.equal(repairDate('20/03/2026'), '2026-03-20');
+        assert.equal(repairDate('05.04.2026'), '2026-04-05');
+    });
+
+    it('rejects dates that do not exist or are not dates', () => {
+        assert.equal(repairDate('2026-02-30'), null);
+        assert.equal(repairDate('31/04/2026'), null);
+        assert.equal(repairDate('next Friday'), null);
+        assert.equal(repairDate(''), null);
+    });
+});
+
+describe('repairTime', () => {
+    it('normalizes 12- and 24-hour times', () => {
+        assert.equal(repairTime('17:30'), '17:30');
+        assert.equal(repairTime('5:30 pm'), '17:30');
+        assert.equal(repairTime('5pm'), '17:00');
+        assert.equal(repairTime('12 am'), '00:00');
+        assert.equal(repairTime('9.15'), '09:15');
+    });
+
+    it('rejects bare numbers and impossible times', () => {
+        assert.equal(repairTime('5'), null);
+        assert.equal(repairTime('25:00'), null);
+        assert.equal(repairTime('13 pm'), null);
+    });
+});
+
+describe('repairRecurrence', () => {
+    it('normalizes common recurrences', () => {
+        assert.equal(repairRecurrence('Every day'), 'daily');
+        assert.equal(repairRecurrence('every 2 week'), 'every 2 weeks');
+        assert.equal(repairRecurrence('every Mon and Thu'), 'every monday, thursday');
+        assert.equal(repairRecurrence('none'), null);
+    });
+});
+
+describe('validateReminders', () => {
+    it('rejects reminders without a title and counts them', () => {
+        const { reminders, rejected } = validateReminders([{ title: '  ' }, { title: 'Lab record' }], { referenceDate: REFERENCE_DATE });
+        assert.equal(rejected, 1);
+        assert.deepEqual(reminders.map(reminder => reminder.title), ['Lab record']);
+    });
+
+    it('reformats a due date written day first and notes the repair', () => {
+        const { reminder, repairs } = validateOne({ title: 'Submit DBMS Assignment 2', due_date: '20/03/2026' });
+        assert.equal(reminder.due_date, '2026-03-20');
+        assert.deepEqual(repairs, ['"Submit DBMS Assignment 2": reformatted due date "20/03/2026" as 2026-03-20']);
+    });
+
+    it('drops an invalid due date but keeps the reminder', () => {
+        const { reminder, repairs } = validateOne({ title: 'Submit DBMS Assignment 2', due_date: 'soon' });
+        assert.equal(reminder.due_date, undefined);
+        assert.match(repairs[0], /dropped invalid due date "soon"/);
+    });
+
+    it('moves a due date in a long-past year to the year of the messages', () => {
+        const { reminder, repairs } = validateOne({ title: 'Mid-term exam', due_date: '2025-03-25' });
+        assert.equal(reminder.due_date, '2026-03-25');
+        assert.match(repairs[0], /moved due date 2025-03-25 to 2026-03-25/);
+    });
+
+    it('moves a long-past date to next year when that is the nearer one', () => {
+        const { reminders } = validateReminders([{ title: 'Fee payment', due_date: '2025-01-05' }], { referenceDate: new Date('2026-12-20T10:00:00+05:30') });
+        assert.equal(reminders[0].due_date, '2027-01-05');
+    });
+
+    it('keeps a recently past due date as it is', () => {
+        const { reminder, repairs } = validateOne({ title: 'Lab record submission', due_date: '2026-03-01' });
+        assert.equal(reminder.due_date, '2026-03-01');
+        assert.deepEqual(repairs, []);
+    });
+
+    it('keeps a past date from last year when it is within the stale window', () => {
+        const { reminder } = validateOne({ title: 'Project review', due_date: '2025-12-20' });
+        assert.equal(reminder.due_date, '2025-12-20');
+    });
+
+    it('takes the due time from an ISO date-time due date', () => {
+        const { reminder } = validateOne({ title: 'Quiz', due_date: '2026-03-20T10:30:00' });
+        assert.equal(reminder.due_date, '2026-03-20');
+        assert.equal(reminder.due_time, '10:30');
+    });
+
+    it('infers the category from the title, counting only final exams as exams', () => {
+        const categoryOf = (title) => validateOne({ title }).reminder.category;
+        assert.equal(categoryOf('Final exam timetable'), 'exam');
+        assert.equal(categoryOf('Finals begin'), 'exam');
+        assert.equal(categoryOf('Lab exam'), 'exam');
+        assert.equal(categoryOf('Final assignment submission'), 'assignment');
+        assert.equal(categoryOf('Submit final project report'), 'assignment');
+        assert.equal(categoryOf('Final year project review'), 'assignment');
+        assert.equal(categoryOf('Final list of hostel rooms'), 'info');
+    });
+
+    it('fills in provenance from the cited transcript lines', () => {
+        const messages = [
+            { id: 'm1', sender: 'Faculty 1', groupJid: 'cse-a@g.us', groupName: 'CSE-A', authoritative: true },
+            { id: 'm2', sender: 'Student 1', groupJid: 'cse-a@g.us', groupName: 'CSE-A' },
+        ];
+        const { reminder } = validateOne({ title: 'Submit DBMS Assignment 2', source_message_refs: [1, 9] }, messages);
+        assert.equal(reminder.source_group, 'CSE-A');
+        assert.equal(reminder.source_group_id, 'cse-a@g.us');
+        assert.equal(reminder.sender, 'Faculty 1');
+        assert.deepEqual(reminder.source_message_ids, ['m1']);
+        assert.equal(reminder.authoritative, true);
+    });
+});
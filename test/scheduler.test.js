@@ -0,0 +1,72 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../lib/scheduler');
+const { localTimeParts } = require('../lib/cron');
+const { pad } = require('../lib/dates');
+
+const TIME_ZONE = 'Asia/Kolkata';
+
+// "HH:MM" for `offsetMinutes` from now, in TIME_ZONE.
+function clockTime(offsetMinutes) {
+    const { hour, minute } = localTimeParts(TIME_ZONE, new Date(Date.now() + offsetMinutes * 60 * 1000));
+    return `${pad(hour)}:${pad(minute)}`;
+}
+
+function createTestScheduler(quietHours) {
+    const runs = [];
+    const scheduler = createScheduler({
+        run: async (trigger, { groupJids }) => { runs.push({ trigger, groupJids }); },
+        schedules: [],
+        quietHours,
+        connectDelayMs: null,
+        timeZone: TIME_ZONE,
+    });
+    return { scheduler, runs };
+}
+
+describe('scheduler quiet hours', () => {
+    it('holds requested runs during quiet hours', () => {
+        const { scheduler, runs } = createTestScheduler(`${clockTime(-60)}-${clockTime(60)}`);
+        assert.equal(scheduler.status().quietNow, true);
+        assert.equal(scheduler.requestRun('idle', { groupJids: ['cse-a@g.us'] }), 'held');
+        assert.equal(scheduler.status().held, true);
+        assert.deepEqual(runs, []);
+    });
+
+    it('handles quiet hours that wrap past midnight', () => {
+        // From an hour from now round to an hour ago: quiet almost all day, except now
+        const { scheduler } = createTestScheduler(`${clockTime(60)}-${clockTime(-60)}`);
+        assert.equal(scheduler.status().quietNow, false);
+        assert.equal(scheduler.requestRun('manual'), 'started');
+    });
+
+    it('runs forced requests during quiet hours', () => {
+        const { scheduler, runs } = createTestScheduler(`${clockTime(-60)}-${clockTime(60)}`);
+        assert.equal(scheduler.requestRun('manual', { force: true }), 'started');
+        assert.deepEqual(runs, [{ trigger: 'manual', groupJids: null }]);
+    });
+
+    it('runs at once outside quiet hours, merging requests made during a run', async () => {
+        const { scheduler, runs } = createTestScheduler(`${clockTime(60)}-${clockTime(120)}`);
+        assert.equal(scheduler.requestRun('schedule'), 'started');
+        assert.equal(scheduler.requestRun('idle', { groupJids: ['cse-a@g.us'] }), 'queued');
+        assert.equal(scheduler.requestRun('retry'), 'queued');
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(runs, [
+            { trigger: 'schedule', groupJids: null },
+            { trigger: 'idle+retry', groupJids: null },
+        ]);
+    });
+
+    it('rejects invalid quiet hours', () => {
+        assert.throws(() => createTestScheduler('22-07'), /Invalid quiet hours "22-07"/);
+        assert.throws(() => createTestScheduler('24:00-07:00'), /Invalid quiet hours/);
+        assert.throws(() => createTestScheduler('22:60-07:00'), /Invalid quiet hours/);
+    });
+
+    it('rejects an invalid schedule', () => {
+        assert.throws(() => createScheduler({ run: async () => {}, schedules: ['every hour'] }), /must have 5 fields/);
+    });
+});
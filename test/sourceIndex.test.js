@@ -0,0 +1,56 @@
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSourceIndex } = require('../lib/sourceIndex');
+
+const SHEET_A = { spreadsheetId: 'sheet-1', sheetName: 'CSE-A' };
+const SHEET_B = { spreadsheetId: 'sheet-1', sheetName: 'CSE-B' };
+
+describe('source index', () => {
+    let stateDir;
+
+    beforeEach(() => {
+        stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-index-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(stateDir, { recursive: true, force: true });
+    });
+
+    it('lists the targets that cite a message, once each', () => {
+        const index = createSourceIndex({ stateDir });
+        index.record(['m1', 'm2'], SHEET_A);
+        index.record(['m1'], SHEET_A);
+        index.record(['m1'], SHEET_B);
+
+        assert.deepEqual(index.targetsOf('m1'), [SHEET_A, SHEET_B]);
+        assert.deepEqual(index.targetsOf('m2'), [SHEET_A]);
+        assert.deepEqual(index.targetsOf('m3'), []);
+    });
+
+    it('files edits under the message they edit', () => {
+        const index = createSourceIndex({ stateDir });
+        index.record(['m1:edit:1773300000000'], SHEET_A);
+
+        assert.deepEqual(index.targetsOf('m1'), [SHEET_A]);
+        index.forget('m1');
+        assert.deepEqual(index.targetsOf('m1:edit:1773300000000'), []);
+    });
+
+    it('survives a restart', () => {
+        createSourceIndex({ stateDir }).record(['m1'], SHEET_A);
+        assert.deepEqual(createSourceIndex({ stateDir }).targetsOf('m1'), [SHEET_A]);
+    });
+
+    it('drops entries older than its time limit', () => {
+        createSourceIndex({ stateDir }).record(['m1'], SHEET_A);
+        const index = createSourceIndex({ stateDir, ttlMs: 0 });
+        index.record(['m2'], SHEET_A); // Saving prunes
+
+        assert.deepEqual(createSourceIndex({ stateDir }).targetsOf('m1'), []);
+    });
+});
@@ -0,0 +1,277 @@
+// --- Reminder Store Contract ---
+// Every backend must behave the same for reminderSync.js: records come back from read()
+// with a `key`, upsert() overwrites only the fields it is given (adding records that
+// have no key), and append() adds records after the existing ones. The JSON and CSV
+// stores run against temporary files, the Sheets store against an in-memory client.
+process.env.LOG_LEVEL = 'silent'; // Before lib/logger creates the logger
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../lib/storage/jsonStore');
+const { createCsvStore, parseCsv } = require('../lib/storage/csvStore');
+const { createSheetsStore } = require('../lib/storage/sheetsStore');
+const { renderMetrics } = require('../lib/metrics');
+const { createFakeSheetsClient } = require('./fakeSheetsClient');
+
+const REMINDERS_TAB = 'Reminders';
+
+const backends = {
+    json: ({ dir }) => createJsonStore({ filePath: path.join(dir, 'reminders.json') }),
+    csv: ({ dir }) => createCsvStore({ filePath: path.join(dir, 'reminders.csv') }),
+    sheets: () => createSheetsStore({
+        sheetsClient: createFakeSheetsClient({ [REMINDERS_TAB]: [] }).client,
+        spreadsheetId: 'sheet-1',
+        sheetName: REMINDERS_TAB,
+    }),
+};
+
+for (const [type, createStore] of Object.entries(backends)) {
+    describe(`${type} store`, () => {
+        let dir;
+        let store;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminder-store-'));
+            store = createStore({ dir });
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('reads nothing from a new store', async () => {
+            assert.deepEqual(await store.read(), []);
+        });
+
+        it('appends records after the existing ones, each with a key', async () => {
+            await store.append([{ id: 'r1', title: 'Submit DBMS Assignment 2', dueDate: '2026-03-20', status: 'Pending' }]);
+            await store.append([{ id: 'r2', title: 'Mid-term exam', dueDate: '2026-03-25' }]);
+
+            const records = await store.read();
+            assert.equal(records.length, 2);
+            assert.deepEqual(records.map(record => record.title), ['Submit DBMS Assignment 2', 'Mid-term exam']);
+            assert.equal(records[0].dueDate, '2026-03-20');
+            assert.equal(records[0].status, 'Pending');
+            assert.equal(records[1].id, 'r2');
+            assert.equal(new Set(records.map(record => record.key)).size, 2);
+        });
+
+        it('upserts only the fields it is given, in the record named by its key', async () => {
+            await store.append([
+                { id: 'r1', title: 'Submit DBMS Assignment 2', dueDate: '2026-03-20', description: 'Handwritten only', status: 'Pending' },
+                { id: 'r2', title: 'Mid-term exam', dueDate: '2026-03-25', status: 'Pending' },
+            ]);
+            const [first, second] = await store.read();
+
+            await store.upsert([{ key: second.key, dueDate: '2026-03-27', status: 'Done' }]);
+
+            const [unchanged, updated] = await store.read();
+            assert.deepEqual(unchanged, first);
+            assert.equal(updated.title, 'Mid-term exam');
+            assert.equal(updated.dueDate, '2026-03-27');
+            assert.equal(updated.status, 'Done');
+            assert.equal(updated.id, 'r2');
+        });
+
+        it('appends upserted records that have no key', async () => {
+            await store.append([{ id: 'r1', title: 'Submit DBMS Assignment 2' }]);
+            const [first] = await store.read();
+
+            await store.upsert([{ key: first.key, status: 'Done' }, { id: 'r2', title: 'Lab record submission' }]);
+
+            const records = await store.read();
+            assert.deepEqual(records.map(record => [record.title, record.status]), [
+                ['Submit DBMS Assignment 2', 'Done'],
+                ['Lab record submission', ''],
+            ]);
+        });
+
+        it('keeps text with commas, quotes and line breaks intact', async () => {
+            const description = 'Bring "Form A", signed\nby the HOD';
+            await store.append([{ title: 'Submit forms', description }]);
+
+            const [record] = await store.read();
+            assert.equal(record.description, description);
+        });
+
+        it('accepts change history', async () => {
+            await store.appendHistory([{ timestamp: '2026-03-12T10:00:00.000Z', reminderId: 'r1', title: 'Submit DBMS Assignment 2', field: 'dueDate', oldValue: '2026-03-20', newValue: '2026-03-22', source: 'msg-1' }]);
+        });
+    });
+}
+
+describe('csv store', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminder-store-'));
+        filePath = path.join(dir, 'reminders.csv');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('maps columns by their header, in any order', async () => {
+        fs.writeFileSync(filePath, 'Status,Due Date,Notes,Title\nPending,2026-03-20,ignored,Submit DBMS Assignment 2\n');
+
+        const [record] = await createCsvStore({ filePath }).read();
+        assert.equal(record.title, 'Submit DBMS Assignment 2');
+        assert.equal(record.dueDate, '2026-03-20');
+        assert.equal(record.status, 'Pending');
+        assert.equal(record.description, '');
+    });
+
+    it('keeps its columns, their order and columns that are not reminder fields when writing', async () => {
+        fs.writeFileSync(filePath, 'Notes,Title,Time,Status\n"Room 204, Block B",Submit DBMS Assignment 2,morning,Pending\n');
+        const store = createCsvStore({ filePath });
+
+        await store.upsert([{ key: 1, status: 'Done', dueTime: '17:00' }]);
+        await store.append([{ title: 'Mid-term exam', status: 'Pending' }]);
+
+        const [header, ...rows] = parseCsv(fs.readFileSync(filePath, 'utf8'));
+        assert.deepEqual(header.slice(0, 4), ['Notes', 'Title', 'Time', 'Status']);
+        const dueTimeColumn = header.indexOf('dueTime');
+        assert.deepEqual(rows[0].slice(0, 4), ['Room 204, Block B', 'Submit DBMS Assignment 2', 'morning', 'Done']);
+        assert.equal(rows[0][dueTimeColumn], '17:00');
+        assert.deepEqual(rows[1].slice(0, 4), ['', 'Mid-term exam', '', 'Pending']);
+    });
+});
+
+describe('sheets store', () => {
+    function createStore(rows) {
+        const sheets = createFakeSheetsClient({ [REMINDERS_TAB]: rows });
+        const store = createSheetsStore({ sheetsClient: sheets.client, spreadsheetId: 'sheet-1', sheetName: REMINDERS_TAB });
+        return { store, sheets };
+    }
+
+    it('writes the default header row to an empty sheet on first append', async () => {
+        const { store, sheets } = createStore([]);
+        await store.append([{ id: 'r1', title: 'Submit DBMS Assignment 2', dueDate: '2026-03-20' }]);
+
+        assert.deepEqual(sheets.tab(REMINDERS_TAB), [
+            ['Title', 'Due Date', 'Description', 'Icon Type', 'Status', 'ID', 'Source Group ID'],
+            ['Submit DBMS Assignment 2', '2026-03-20', '', '', '', 'r1', ''],
+        ]);
+    });
+
+    it('reads and writes fields in the columns their headers name, leaving other columns alone', async () => {
+        const { store, sheets } = createStore([
+            ['Notes', 'Title', 'Due Date', 'ID', 'Status'],
+            ['keep me', 'Submit DBMS Assignment 2', '2026-03-20', 'r1', 'Pending'],
+        ]);
+
+        const [record] = await store.read();
+        assert.equal(record.key, 2);
+        assert.equal(record.title, 'Submit DBMS Assignment 2');
+        assert.equal(record.dueDate, '2026-03-20');
+        assert.equal(record.id, 'r1');
+
+        await store.upsert([{ key: 2, dueDate: '2026-03-22', status: 'Done', description: 'not a column here' }]);
+        await store.append([{ id: 'r2', title: 'Mid-term exam', dueDate: '2026-03-25', status: 'Pending' }]);
+
+        assert.deepEqual(sheets.tab(REMINDERS_TAB), [
+            ['Notes', 'Title', 'Due Date', 'ID', 'Status', 'Source Group ID'],
+            ['keep me', 'Submit DBMS Assignment 2', '2026-03-22', 'r1', 'Done'],
+            ['', 'Mid-term exam', '2026-03-25', 'r2', 'Pending', ''],
+        ]);
+    });
+
+    it('leaves columns with generic names such as Time, Type or Group alone', async () => {
+        const { store, sheets } = createStore([
+            ['Title', 'Time', 'Type', 'Group', 'Link', 'ID'],
+            ['Submit DBMS Assignment 2', 'morning', 'lab', 'Batch 1', 'https://example.com', 'r1'],
+        ]);
+
+        await store.upsert([{ key: 2, dueTime: '17:00', icon: 'assignment', sourceGroup: 'CSE-A', messageLink: 'wa://m1' }]);
+
+        assert.deepEqual(sheets.tab(REMINDERS_TAB)[1], ['Submit DBMS Assignment 2', 'morning', 'lab', 'Batch 1', 'https://example.com', 'r1']);
+    });
+
+    it('uses other header names given as column overrides', async () => {
+        const sheets = createFakeSheetsClient({ [REMINDERS_TAB]: [['Task', 'Deadline'], ['Submit DBMS Assignment 2', '2026-03-20']] });
+        const store = createSheetsStore({ sheetsClient: sheets.client, spreadsheetId: 'sheet-1', sheetName: REMINDERS_TAB, columns: { title: 'Task', dueDate: 'Deadline' } });
+
+        const [record] = await store.read();
+        assert.equal(record.title, 'Submit DBMS Assignment 2');
+        assert.equal(record.dueDate, '2026-03-20');
+    });
+
+    it('adds ID and Source Group ID columns to a header that has none before writing', async () => {
+        const { store, sheets } = createStore([
+            ['Title', 'Due Date', 'Description', 'Icon Type', 'Status'],
+            ['Submit DBMS Assignment 2', '2026-03-20', '', '', 'Pending'],
+        ]);
+
+        await store.upsert([{ key: 2, id: 'r1', sourceGroupId: 'cse-a@g.us' }]);
+
+        const rows = sheets.tab(REMINDERS_TAB);
+        assert.deepEqual(rows[0], ['Title', 'Due Date', 'Description', 'Icon Type', 'Status', 'ID', 'Source Group ID']);
+        assert.deepEqual(rows[1].slice(5), ['r1', 'cse-a@g.us']);
+        const [record] = await store.read();
+        assert.equal(record.id, 'r1');
+        assert.equal(record.sourceGroupId, 'cse-a@g.us');
+    });
+
+    it('writes to the row a record was read from even after the sheet was sorted', async () => {
+        const { store, sheets } = createStore([
+            ['Title', 'Status', 'ID'],
+            ['Submit DBMS Assignment 2', 'Pending', 'r1'],
+            ['Mid-term exam', 'Pending', 'r2'],
+        ]);
+        const records = await store.read();
+        const rows = sheets.tab(REMINDERS_TAB);
+        rows.splice(1, 2, ['Added by hand', 'Pending', ''], rows[2], rows[1]);
+
+        await store.upsert([{ key: records[0].key, status: 'Done' }]);
+
+        assert.deepEqual(sheets.tab(REMINDERS_TAB).slice(1).map(row => row.slice(0, 3)), [
+            ['Added by hand', 'Pending', ''],
+            ['Mid-term exam', 'Pending', 'r2'],
+            ['Submit DBMS Assignment 2', 'Done', 'r1'],
+        ]);
+    });
+
+    it('finds a row read without an ID by its title, and skips rows deleted since the read', async () => {
+        const { store, sheets } = createStore([
+            ['Title', 'Status', 'ID'],
+            ['Lab record', 'Pending', 'r1'],
+            ['Seminar', 'Pending'],
+        ]);
+        const [labRecord, seminar] = await store.read();
+        sheets.tab(REMINDERS_TAB).splice(1, 1);
+
+        await store.upsert([{ key: labRecord.key, status: 'Done' }, { key: seminar.key, id: 'r2' }]);
+
+        assert.deepEqual(sheets.tab(REMINDERS_TAB).slice(1), [['Seminar', 'Pending', 'r2']]);
+    });
+
+    it('counts a failed header read during an upsert as a Sheets API error', async () => {
+        const { store, sheets } = createStore([['Title'], ['Submit DBMS Assignment 2']]);
+        sheets.client.spreadsheets.values.get = async () => { throw new Error('quota exceeded'); };
+        const updateErrors = () => Number(/sheets_api_errors_total\{operation="update"\} (\d+)/.exec(renderMetrics())?.[1] || 0);
+        const before = updateErrors();
+
+        await assert.rejects(store.upsert([{ key: 2, status: 'Done' }]), /quota exceeded/);
+        assert.equal(updateErrors(), before + 1);
+    });
+
+    it('refuses a sheet with no title column', async () => {
+        const { store } = createStore([['Due Date', 'Status']]);
+        await assert.rejects(store.read(), /no title column/);
+    });
+
+    it('writes change history to its own tab, creating it when missing', async () => {
+        const { store, sheets } = createStore([]);
+        await store.appendHistory([{ timestamp: '2026-03-12T10:00:00.000Z', reminderId: 'r1', title: 'Submit DBMS Assignment 2', field: 'dueDate', oldValue: '2026-03-20', newValue: '2026-03-22', source: 'msg-1' }]);
+
+        assert.deepEqual(sheets.tab('Change History'), [
+            ['Sheet', 'Timestamp', 'Reminder ID', 'Title', 'Field', 'Old Value', 'New Value', 'Source'],
+            [REMINDERS_TAB, '2026-03-12T10:00:00.000Z', 'r1', 'Submit DBMS Assignment 2', 'dueDate', '2026-03-20', '2026-03-22', 'msg-1'],
+        ]);
+    });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkEntries, mergeChunkReminders, formatTranscript, estimateTokens } = require('../lib/transcriptChunker');
+
+const START = new Date('2026-03-12T10:00:00+05:30').getTime();
+
+// A queue entry `minute` minutes after START, with text of about `tokens` tokens.
+function entry(id, minute, { group = 'cse-a', tokens = 10, ...message } = {}) {
+    return {
+        id,
+        message: {
+            groupJid: `${group}@g.us`,
+            groupName: group,
+            sender: 'Student 1',
+            timestamp: new Date(START + minute * 60 * 1000),
+            text: 'x'.repeat(tokens * 4),
+            ...message,
+        },
+    };
+}
+
+const ids = (chunks) => chunks.map(chunk => chunk.map(item => item.id));
+
+describe('chunkEntries', () => {
+    it('keeps a small batch from one group in one chunk, oldest first', () => {
+        const chunks = chunkEntries([entry('b', 2), entry('a', 1), entry('c', 3)]);
+        assert.deepEqual(ids(chunks), [['a', 'b', 'c']]);
+    });
+
+    it('never mixes groups in a chunk', () => {
+        const chunks = chunkEntries([entry('a1', 1), entry('b1', 2, { group: 'cse-b' }), entry('a2', 3)]);
+        assert.deepEqual(ids(chunks), [['a1', 'a2'], ['b1']]);
+    });
+
+    it('starts a new chunk when the next message would go over the budget', () => {
+        // Each line is the text plus about 20 tokens of timestamp, group and sender
+        const chunks = chunkEntries([entry('a', 1, { tokens: 50 }), entry('b', 2, { tokens: 50 }), entry('c', 3, { tokens: 50 })], { maxTokens: 150 });
+        assert.deepEqual(ids(chunks), [['a', 'b'], ['c']]);
+        for (const chunk of chunks) {
+            assert.ok(estimateTokens(formatTranscript(chunk.map(item => item.message))) <= 150);
+        }
+    });
+
+    it('keeps a reply in the chunk of the message it replies to', () => {
+        const chunks = chunkEntries([
+            entry('question', 1, { tokens: 50 }),
+            entry('other', 2, { tokens: 50 }),
+            entry('answer', 3, { tokens: 10, replyTo: 'question' }),
+        ], { maxTokens: 110 });
+        assert.deepEqual(ids(chunks), [['question', 'answer'], ['other']]);
+    });
+
+    it('keeps an edit with the message it edits', () => {
+        const chunks = chunkEntries([
+            entry('original', 1, { tokens: 50 }),
+            entry('other', 2, { tokens: 50 }),
+            entry('original:edit', 3, { tokens: 10, editOf: 'original' }),
+        ], { maxTokens: 110 });
+        assert.deepEqual(ids(chunks), [['original', 'original:edit'], ['other']]);
+    });
+
+    it('splits a thread too long for one chunk in time order', () => {
+        const chunks = chunkEntries([
+            entry('root', 1, { tokens: 50 }),
+            entry('reply1', 2, { tokens: 50, replyTo: 'root' }),
+            entry('reply2', 3, { tokens: 50, replyTo: 'root' }),
+        ], { maxTokens: 150 });
+        assert.deepEqual(ids(chunks), [['root', 'reply1'], ['reply2']]);
+    });
+
+    it('gives a message larger than the budget a chunk of its own', () => {
+        const chunks = chunkEntries([entry('a', 1), entry('huge', 2, { tokens: 500 }), entry('b', 3)], { maxTokens: 100 });
+        assert.deepEqual(ids(chunks), [['a'], ['huge'], ['b']]);
+    });
+});
+
+describe('formatTranscript', () => {
+    it('numbers lines and points replies at the line they answer', () => {
+        const transcript = formatTranscript([
+            { id: 'm1', ...entry('m1', 1, { text: 'Submit by Friday' }).message },
+            { id: 'm2', ...entry('m2', 2, { text: 'Handwritten?', replyTo: 'm1' }).message },
+        ]);
+        const lines = transcript.trim().split('\n');
+        assert.match(lines[0], /^\[#1\] .*: Submit by Friday$/);
+        assert.match(lines[1], /^\[#2\] .* \[Reply to #1\]: Handwritten\?$/);
+    });
+});
+
+describe('mergeChunkReminders', () => {
+    it('merges repeats with the same title words and due date, combining their sources', () => {
+        const merged = mergeChunkReminders([
+            [{ title: 'Submit DBMS Assignment 2', due_date: '2026-03-20', description: 'Portal', source_message_ids: ['m1'] }],
+            [{ title: 'dbms assignment 2 submit', due_date: '2026-03-20', description: 'Upload to the portal', due_time: '17:00', authoritative: true, source_message_ids: ['m1', 'm4'] }],
+        ]);
+        assert.equal(merged.length, 1);
+        assert.equal(merged[0].description, 'Upload to the portal');
+        assert.equal(merged[0].due_time, '17:00');
+        assert.equal(merged[0].authoritative, true);
+        assert.deepEqual(merged[0].source_message_ids, ['m1', 'm4']);
+    });
+
+    it('keeps every source group and sender of a reminder announced in several groups', () => {
+        const merged = mergeChunkReminders([
+            [{ title: 'Mid-term exam', due_date: '2026-03-25', source_group: 'CSE-A', source_group_id: 'cse-a@g.us', sender: 'Faculty 1' }],
+            [{ title: 'Mid-term exam', due_date: '2026-03-25', source_group: 'CSE-B', source_group_id: 'cse-b@g.us', sender: 'Faculty 1' }],
+            [{ title: 'Mid-term exam', due_date: '2026-03-25', source_group: 'CSE-A', source_group_id: 'cse-a@g.us', sender: '' }],
+        ]);
+        assert.equal(merged.length, 1);
+        assert.equal(merged[0].source_group, 'CSE-A, CSE-B');
+        assert.equal(merged[0].source_group_id, 'cse-a@g.us, cse-b@g.us');
+        assert.equal(merged[0].sender, 'Faculty 1');
+    });
+
+    it('keeps reminders with different due dates apart', () => {
+        const merged = mergeChunkReminders([
+            [{ title: 'Lab record', due_date: '2026-03-20' }],
+            [{ title: 'Lab record', due_date: '2026-03-27' }],
+        ]);
+        assert.equal(merged.length, 2);
+    });
+});